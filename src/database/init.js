@@ -4,6 +4,7 @@
  */
 const { getPool } = require('./client');
 const logger = require('../utils/logger');
+const { normalizeVenue } = require('../utils/format');
 
 const createTablesSql = `
   DROP TABLE IF EXISTS semester_metadata CASCADE;
@@ -36,6 +37,44 @@ const createTablesSql = `
     PRIMARY KEY (course_code, acadsem)
   );
 
+  ALTER TABLE course_content ADD COLUMN IF NOT EXISTS prerequisite_tree JSONB;
+
+  -- Field-level changes made to course_content by later scrapes; the first scrape of a course records nothing
+  CREATE TABLE IF NOT EXISTS course_content_history (
+    id BIGSERIAL PRIMARY KEY,
+    course_code TEXT NOT NULL,
+    acadsem TEXT NOT NULL,
+    field TEXT NOT NULL,
+    old_value TEXT,
+    new_value TEXT,
+    changed_at TIMESTAMP DEFAULT NOW()
+  );
+  CREATE INDEX IF NOT EXISTS idx_course_content_history_course ON course_content_history (course_code, acadsem, changed_at);
+
+  -- One row per exclusion as listed on the course's own page; lookups query both columns
+  CREATE TABLE IF NOT EXISTS course_mutual_exclusion (
+    course_code TEXT NOT NULL,
+    excluded_code TEXT NOT NULL,
+    acadsem TEXT NOT NULL,
+    created_at TIMESTAMP DEFAULT NOW(),
+    PRIMARY KEY (course_code, excluded_code, acadsem)
+  );
+  CREATE INDEX IF NOT EXISTS idx_course_mutual_exclusion_excluded ON course_mutual_exclusion (excluded_code, acadsem);
+
+  -- Parsed from the not_available_* columns; a NULL programme means every programme
+  CREATE TABLE IF NOT EXISTS course_programme_restriction (
+    id SERIAL PRIMARY KEY,
+    course_code TEXT NOT NULL,
+    acadsem TEXT NOT NULL,
+    restriction_type TEXT NOT NULL,
+    programme TEXT,
+    admit_year_from INTEGER,
+    admit_year_to INTEGER,
+    raw TEXT,
+    created_at TIMESTAMP DEFAULT NOW()
+  );
+  CREATE INDEX IF NOT EXISTS idx_course_programme_restriction_course ON course_programme_restriction (course_code, acadsem);
+
   CREATE TABLE IF NOT EXISTS course_schedule (
     index TEXT NOT NULL,
     course_code TEXT NOT NULL,
@@ -51,6 +90,32 @@ const createTablesSql = `
     PRIMARY KEY (index, course_code, acadsem, type, day, time, venue)
   );
 
+  ALTER TABLE course_schedule ADD COLUMN IF NOT EXISTS day_of_week SMALLINT;
+  ALTER TABLE course_schedule ADD COLUMN IF NOT EXISTS start_minute SMALLINT;
+  ALTER TABLE course_schedule ADD COLUMN IF NOT EXISTS end_minute SMALLINT;
+  ALTER TABLE course_schedule ADD COLUMN IF NOT EXISTS teaching_weeks SMALLINT[];
+  ALTER TABLE course_schedule ADD COLUMN IF NOT EXISTS week_pattern TEXT;
+  ALTER TABLE course_schedule ADD COLUMN IF NOT EXISTS venue_key TEXT;
+  CREATE INDEX IF NOT EXISTS idx_course_schedule_venue ON course_schedule (venue_key, acadsem);
+  CREATE INDEX IF NOT EXISTS idx_course_schedule_slot ON course_schedule (acadsem, day_of_week, start_minute, end_minute);
+
+  -- Sessions added, removed or moved (day, time, venue) between schedule scrapes
+  CREATE TABLE IF NOT EXISTS schedule_changes (
+    id BIGSERIAL PRIMARY KEY,
+    acadsem TEXT NOT NULL,
+    course_code TEXT NOT NULL,
+    index TEXT NOT NULL,
+    type TEXT,
+    "group" TEXT,
+    change_type TEXT NOT NULL,
+    before JSONB,
+    after JSONB,
+    fields JSONB NOT NULL DEFAULT '[]',
+    detected_at TIMESTAMP DEFAULT NOW()
+  );
+  CREATE INDEX IF NOT EXISTS idx_schedule_changes_feed ON schedule_changes (acadsem, detected_at);
+  CREATE INDEX IF NOT EXISTS idx_schedule_changes_course ON schedule_changes (course_code, acadsem, detected_at);
+
   CREATE TABLE IF NOT EXISTS exam_timetable (
     course_code TEXT NOT NULL,
     acadsem TEXT NOT NULL,
@@ -63,13 +128,133 @@ const createTablesSql = `
     student_type TEXT NOT NULL,
     exam_type TEXT,
     academic_session TEXT,
-    plan_no TEXT,
+    plan_no TEXT NOT NULL DEFAULT '',
+    paper_no SMALLINT NOT NULL DEFAULT 1,
     created_at TIMESTAMP DEFAULT NOW(),
     updated_at TIMESTAMP DEFAULT NOW(),
-    PRIMARY KEY (course_code, acadsem, student_type)
+    PRIMARY KEY (course_code, acadsem, student_type, plan_no, paper_no)
+  );
+
+  -- Older databases keyed exams by (course_code, acadsem, student_type), keeping one sitting per course
+  ALTER TABLE exam_timetable ADD COLUMN IF NOT EXISTS paper_no SMALLINT NOT NULL DEFAULT 1;
+  UPDATE exam_timetable SET plan_no = '' WHERE plan_no IS NULL;
+  ALTER TABLE exam_timetable ALTER COLUMN plan_no SET DEFAULT '';
+  ALTER TABLE exam_timetable ALTER COLUMN plan_no SET NOT NULL;
+  DO $$
+  BEGIN
+    IF (SELECT array_length(conkey, 1) FROM pg_constraint WHERE conname = 'exam_timetable_pkey') = 3 THEN
+      ALTER TABLE exam_timetable DROP CONSTRAINT exam_timetable_pkey;
+      ALTER TABLE exam_timetable ADD PRIMARY KEY (course_code, acadsem, student_type, plan_no, paper_no);
+    END IF;
+  END $$;
+
+  -- Graduate exams used to be stored under the raw WIS form value (empty string) instead of GR
+  UPDATE exam_timetable SET student_type = 'GR' WHERE student_type = '';
+
+  ALTER TABLE exam_timetable ADD COLUMN IF NOT EXISTS venue_key TEXT;
+  ALTER TABLE exam_timetable ADD COLUMN IF NOT EXISTS exam_date_iso DATE;
+  ALTER TABLE exam_timetable ADD COLUMN IF NOT EXISTS exam_start TIMESTAMPTZ;
+  ALTER TABLE exam_timetable ADD COLUMN IF NOT EXISTS exam_end TIMESTAMPTZ;
+  ALTER TABLE exam_timetable ADD COLUMN IF NOT EXISTS exam_duration_minutes INTEGER;
+  CREATE INDEX IF NOT EXISTS idx_exam_timetable_start ON exam_timetable (acadsem, exam_start);
+
+  -- Exam plans published on WIS, recorded whenever plan discovery sees them
+  CREATE TABLE IF NOT EXISTS exam_plans (
+    plan_no TEXT NOT NULL,
+    student_type TEXT NOT NULL,
+    label TEXT,
+    academic_session TEXT,
+    exam_year TEXT,
+    semester TEXT,
+    acadsem TEXT,
+    first_seen_at TIMESTAMP DEFAULT NOW(),
+    last_seen_at TIMESTAMP DEFAULT NOW(),
+    PRIMARY KEY (plan_no, student_type)
   );
+
+  -- Outbound webhook subscriptions; NULL filters match everything
+  CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+    id BIGSERIAL PRIMARY KEY,
+    url TEXT NOT NULL,
+    secret TEXT NOT NULL,
+    events TEXT[] NOT NULL,
+    course_codes TEXT[],
+    acadsem TEXT,
+    owner_key TEXT,
+    active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+  );
+  CREATE INDEX IF NOT EXISTS idx_webhook_subscriptions_owner ON webhook_subscriptions (owner_key);
+
+  -- One row per payload sent to a subscription, updated after every attempt
+  CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id BIGSERIAL PRIMARY KEY,
+    subscription_id BIGINT NOT NULL REFERENCES webhook_subscriptions (id) ON DELETE CASCADE,
+    event TEXT NOT NULL,
+    acadsem TEXT,
+    payload JSONB NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    response_status INTEGER,
+    last_error TEXT,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+  );
+  CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_subscription ON webhook_deliveries (subscription_id, created_at);
+
+  -- Vacancy and waitlist of each index, recorded every time the live vacancy service is read
+  CREATE TABLE IF NOT EXISTS vacancy_snapshots (
+    id BIGSERIAL PRIMARY KEY,
+    course_code TEXT NOT NULL,
+    index TEXT NOT NULL,
+    vacancy INTEGER NOT NULL,
+    waitlist INTEGER NOT NULL,
+    captured_at TIMESTAMP DEFAULT NOW()
+  );
+  CREATE INDEX IF NOT EXISTS idx_vacancy_snapshots_index ON vacancy_snapshots (course_code, index, captured_at);
+
+  -- Vacancy watches polled by the watch-vacancy job; last_* hold the reading from the previous check
+  CREATE TABLE IF NOT EXISTS vacancy_watches (
+    id BIGSERIAL PRIMARY KEY,
+    course_code TEXT NOT NULL,
+    index TEXT NOT NULL,
+    threshold INTEGER NOT NULL DEFAULT 1,
+    notifier TEXT NOT NULL DEFAULT 'webhook',
+    subscription_id BIGINT REFERENCES webhook_subscriptions (id) ON DELETE CASCADE,
+    active BOOLEAN NOT NULL DEFAULT TRUE,
+    last_vacancy INTEGER,
+    last_waitlist INTEGER,
+    last_checked_at TIMESTAMP,
+    last_notified_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+  );
+  CREATE INDEX IF NOT EXISTS idx_vacancy_watches_course ON vacancy_watches (course_code) WHERE active;
 `;
 
+/**
+ * Fills venue_key on rows stored before the column existed, using the same
+ * normalization the repository applies on write. Blank venues keep a NULL key.
+ * @param {object} client - Connected pg client inside the init transaction.
+ */
+async function backfillVenueKeys(client) {
+  for (const table of ['course_schedule', 'exam_timetable']) {
+    const res = await client.query(`SELECT DISTINCT venue FROM ${table} WHERE venue_key IS NULL AND venue IS NOT NULL`);
+    let updated = 0;
+    for (const { venue } of res.rows) {
+      const { key } = normalizeVenue(venue);
+      if (!key) continue;
+      const result = await client.query(
+        `UPDATE ${table} SET venue_key = $1 WHERE venue_key IS NULL AND venue = $2`,
+        [key, venue]
+      );
+      updated += result.rowCount;
+    }
+    if (updated) logger.info(`Backfilled venue_key on ${updated} ${table} rows`);
+  }
+}
+
 /**
  * Initializes the database by running the schema creation SQL.
  * Uses a transaction to ensure atomicity.
@@ -80,6 +265,7 @@ async function initDatabase() {
   try {
     await client.query('BEGIN');
     await client.query(createTablesSql);
+    await backfillVenueKeys(client);
     await client.query('COMMIT');
     logger.info('Database tables initialized');
   } catch (err) {
@@ -3,10 +3,20 @@
  * Handles all direct interactions with the PostgreSQL database.
  */
 const { getPool } = require('./client');
+const { normalizeVenue, toStandardAcadSem } = require('../utils/format');
+const { diffFields, diffSessions } = require('../utils/diff');
 const logger = require('../utils/logger');
 
 // --- Write Operations ---
 
+// course_content columns whose changes are logged to course_content_history
+// (prerequisite_tree is derived from prerequisites, so it is not tracked separately)
+const CONTENT_HISTORY_FIELDS = [
+  'title', 'au', 'description', 'prerequisites', 'mutual_exclusions', 'department_code',
+  'not_available_to_programme', 'not_available_to_all_programme_with', 'not_available_as_bde_ue_to_programme',
+  'is_unrestricted_elective', 'is_broadening_deepening_elective', 'grade_type',
+];
+
 /**
  * Saves semester metadata to the database using an upsert strategy.
  * @param {Array<object>} metaList - List of metadata objects { year, semester, label, value }.
@@ -44,12 +54,13 @@ async function saveMetadata(metaList) {
 
 /**
  * Saves course content records using an upsert strategy.
- * Preserves existing records not present in the input list.
+ * Preserves existing records not present in the input list. Fields that differ from the stored record are
+ * logged to course_content_history before being overwritten.
  * @param {Array<object>} courses - List of course content objects.
- * @returns {Promise<void>}
+ * @returns {Promise<Array<object>>} Logged changes { course_code, acadsem, field, old_value, new_value }.
  */
 async function saveCourseContent(courses) {
-  if (!courses.length) return;
+  if (!courses.length) return [];
   const pool = getPool();
   const client = await pool.connect();
 
@@ -65,9 +76,10 @@ async function saveCourseContent(courses) {
       INSERT INTO course_content (
         course_code, acadsem, title, au, description, prerequisites, mutual_exclusions,
         department_code, not_available_to_programme, not_available_to_all_programme_with,
-        not_available_as_bde_ue_to_programme, is_unrestricted_elective, is_broadening_deepening_elective, grade_type, updated_at
+        not_available_as_bde_ue_to_programme, is_unrestricted_elective, is_broadening_deepening_elective, grade_type,
+        prerequisite_tree, updated_at
       )
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, NOW())
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, NOW())
       ON CONFLICT (course_code, acadsem) DO UPDATE
       SET title = EXCLUDED.title,
           au = EXCLUDED.au,
@@ -81,19 +93,69 @@ async function saveCourseContent(courses) {
           is_unrestricted_elective = EXCLUDED.is_unrestricted_elective,
           is_broadening_deepening_elective = EXCLUDED.is_broadening_deepening_elective,
           grade_type = EXCLUDED.grade_type,
+          prerequisite_tree = EXCLUDED.prerequisite_tree,
           updated_at = NOW();
     `;
 
+    const selectExistingSql = `
+      SELECT ${CONTENT_HISTORY_FIELDS.join(', ')} FROM course_content
+      WHERE course_code = $1 AND acadsem = $2
+      FOR UPDATE
+    `;
+    const insertHistorySql = `
+      INSERT INTO course_content_history (course_code, acadsem, field, old_value, new_value, changed_at)
+      VALUES ($1, $2, $3, $4, $5, NOW())
+    `;
+
+    // Mutual exclusions and programme restrictions are refreshed per course, mirroring what the course page lists right now
+    const deleteExclusionsSql = `DELETE FROM course_mutual_exclusion WHERE course_code = $1 AND acadsem = $2`;
+    const insertExclusionSql = `
+      INSERT INTO course_mutual_exclusion (course_code, excluded_code, acadsem)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (course_code, excluded_code, acadsem) DO NOTHING
+    `;
+
+    const deleteRestrictionsSql = `DELETE FROM course_programme_restriction WHERE course_code = $1 AND acadsem = $2`;
+    const insertRestrictionSql = `
+      INSERT INTO course_programme_restriction (
+        course_code, acadsem, restriction_type, programme, admit_year_from, admit_year_to, raw
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+    `;
+
+    const changes = [];
     for (const c of courses) {
+      const existing = await client.query(selectExistingSql, [c.course_code, c.acadsem]);
+
       await client.query(query, [
         c.course_code, c.acadsem, c.title, c.au, c.description,
         c.prerequisites, c.mutual_exclusions, c.department_code,
         c.not_available_to_programme, c.not_available_to_all_programme_with,
-        c.not_available_as_bde_ue_to_programme, c.is_unrestricted_elective, c.is_broadening_deepening_elective, c.grade_type
+        c.not_available_as_bde_ue_to_programme, c.is_unrestricted_elective, c.is_broadening_deepening_elective, c.grade_type,
+        c.prerequisite_tree ? JSON.stringify(c.prerequisite_tree) : null
       ]);
+
+      if (existing.rows.length) {
+        for (const change of diffFields(existing.rows[0], c, CONTENT_HISTORY_FIELDS)) {
+          await client.query(insertHistorySql, [c.course_code, c.acadsem, change.field, change.old_value, change.new_value]);
+          changes.push({ course_code: c.course_code, acadsem: c.acadsem, ...change });
+        }
+      }
+
+      await client.query(deleteExclusionsSql, [c.course_code, c.acadsem]);
+      for (const excludedCode of c.mutual_exclusion_codes || []) {
+        await client.query(insertExclusionSql, [c.course_code, excludedCode, c.acadsem]);
+      }
+
+      await client.query(deleteRestrictionsSql, [c.course_code, c.acadsem]);
+      for (const r of c.programme_restrictions || []) {
+        await client.query(insertRestrictionSql, [
+          c.course_code, c.acadsem, r.restriction_type, r.programme, r.admit_year_from, r.admit_year_to, r.raw
+        ]);
+      }
     }
     await client.query('COMMIT');
-    logger.info(`Saved ${courses.length} course content records`);
+    logger.info(`Saved ${courses.length} course content records (${changes.length} field changes logged)`);
+    return changes;
   } catch (err) {
     await client.query('ROLLBACK');
     logger.error('Error saving course content', err);
@@ -105,12 +167,13 @@ async function saveCourseContent(courses) {
 
 /**
  * Saves course schedule records using a "Delete-then-Insert" strategy.
- * Replaces all sections for a specific course and semester.
+ * Replaces all sections for a specific course and semester. The stored sections are first compared with the
+ * scraped ones and the differences logged to schedule_changes; a course scraped for the first time logs nothing.
  * @param {Array<object>} courses - List of courses with nested 'sections' array.
- * @returns {Promise<void>}
+ * @returns {Promise<Array<object>>} Logged changes { course_code, acadsem, index, type, group, change_type, before, after, fields }.
  */
 async function saveCourseSchedule(courses) {
-  if (!courses.length) return;
+  if (!courses.length) return [];
   const pool = getPool();
   const client = await pool.connect();
 
@@ -119,17 +182,29 @@ async function saveCourseSchedule(courses) {
     
     // Refresh Strategy:
     // For each course found in the scrape, we wipe its existing schedule sections and replace them with the new ones.
+    const selectExistingSql = `
+      SELECT index, type, "group", day, time, venue FROM course_schedule
+      WHERE course_code = $1 AND acadsem = $2
+    `;
+    const insertChangeSql = `
+      INSERT INTO schedule_changes (acadsem, course_code, index, type, "group", change_type, before, after, fields, detected_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW())
+    `;
     const deleteSql = `DELETE FROM course_schedule WHERE course_code = $1 AND acadsem = $2`;
     const insertSql = `
       INSERT INTO course_schedule (
-        index, course_code, acadsem, type, "group", day, time, venue, remark, created_at
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW())
+        index, course_code, acadsem, type, "group", day, time, venue, remark,
+        day_of_week, start_minute, end_minute, teaching_weeks, week_pattern, venue_key, created_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, NOW())
       ON CONFLICT (index, course_code, acadsem, type, day, time, venue) DO NOTHING
     `;
 
     let sectionCount = 0;
+    const changes = [];
 
     for (const c of courses) {
+      const existing = await client.query(selectExistingSql, [c.course_code, c.acadsem]);
+
       // Delete existing sections for this course/sem
       await client.query(deleteSql, [c.course_code, c.acadsem]);
 
@@ -148,14 +223,28 @@ async function saveCourseSchedule(courses) {
       for (const s of uniqueSections) {
         await client.query(insertSql, [
           s.index, c.course_code, c.acadsem,
-          s.type, s.group, s.day, s.time, s.venue, s.remark
+          s.type, s.group, s.day, s.time, s.venue, s.remark,
+          s.day_of_week ?? null, s.start_minute ?? null, s.end_minute ?? null,
+          s.teaching_weeks ?? null, s.week_pattern ?? null, normalizeVenue(s.venue).key
         ]);
         sectionCount++;
       }
+
+      if (existing.rows.length) {
+        for (const change of diffSessions(existing.rows, uniqueSections)) {
+          await client.query(insertChangeSql, [
+            c.acadsem, c.course_code, change.index, change.type, change.group, change.change_type,
+            change.before && JSON.stringify(change.before), change.after && JSON.stringify(change.after),
+            JSON.stringify(change.fields)
+          ]);
+          changes.push({ course_code: c.course_code, acadsem: c.acadsem, ...change });
+        }
+      }
     }
 
     await client.query('COMMIT');
-    logger.info(`Saved schedules for ${courses.length} courses (${sectionCount} sections)`);
+    logger.info(`Saved schedules for ${courses.length} courses (${sectionCount} sections, ${changes.length} changes logged)`);
+    return changes;
   } catch (err) {
     await client.query('ROLLBACK');
     logger.error('Error saving course schedule', err);
@@ -238,11 +327,223 @@ async function getCourseContent({ course_code, acadsem, limit = 100, offset = 0
 }
 
 /**
- * Retrieves course schedules with filtering and pagination.
+ * Retrieves the logged field changes of a course, newest first.
  * @param {object} params - Query parameters { course_code, acadsem, limit, offset }.
  * @returns {Promise<object>} { total, count, rows }.
  */
-async function getCourseSchedule({ course_code, acadsem, limit = 100, offset = 0 }) {
+async function getCourseContentHistory({ course_code, acadsem, limit = 100, offset = 0 }) {
+  const pool = getPool();
+  let countQuery = 'SELECT COUNT(*) FROM course_content_history WHERE course_code = $1';
+  let query = 'SELECT acadsem, field, old_value, new_value, changed_at FROM course_content_history WHERE course_code = $1';
+  const params = [course_code];
+  const countParams = [course_code];
+  let idx = 2;
+
+  if (acadsem) {
+    countQuery += ` AND acadsem = $${idx}`;
+    query += ` AND acadsem = $${idx}`;
+    params.push(acadsem);
+    countParams.push(acadsem);
+    idx++;
+  }
+
+  const countRes = await pool.query(countQuery, countParams);
+  const total = parseInt(countRes.rows[0].count, 10);
+
+  query += ` ORDER BY changed_at DESC, id DESC LIMIT $${idx} OFFSET $${idx + 1}`;
+  params.push(Math.min(limit, 500), offset);
+
+  const res = await pool.query(query, params);
+  return { total, count: res.rowCount, rows: res.rows };
+}
+
+/**
+ * Retrieves logged schedule changes, newest first.
+ * @param {object} params - Query parameters { acadsem, course_code, since, limit, offset }; since is a timestamp.
+ * @returns {Promise<object>} { total, count, rows }.
+ */
+async function getScheduleChanges({ acadsem, course_code, since, limit = 100, offset = 0 }) {
+  const pool = getPool();
+  let countQuery = 'SELECT COUNT(*) FROM schedule_changes WHERE 1=1';
+  let query = 'SELECT * FROM schedule_changes WHERE 1=1';
+  const params = [];
+  const countParams = [];
+  let idx = 1;
+
+  if (acadsem) {
+    countQuery += ` AND acadsem = $${idx}`;
+    query += ` AND acadsem = $${idx}`;
+    params.push(acadsem);
+    countParams.push(acadsem);
+    idx++;
+  }
+  if (course_code) {
+    countQuery += ` AND course_code = $${idx}`;
+    query += ` AND course_code = $${idx}`;
+    params.push(course_code);
+    countParams.push(course_code);
+    idx++;
+  }
+  if (since) {
+    countQuery += ` AND detected_at > $${idx}`;
+    query += ` AND detected_at > $${idx}`;
+    params.push(since);
+    countParams.push(since);
+    idx++;
+  }
+
+  const countRes = await pool.query(countQuery, countParams);
+  const total = parseInt(countRes.rows[0].count, 10);
+
+  query += ` ORDER BY detected_at DESC, id DESC LIMIT $${idx} OFFSET $${idx + 1}`;
+  params.push(Math.min(limit, 500), offset);
+
+  const res = await pool.query(query, params);
+  return { total, count: res.rowCount, rows: res.rows };
+}
+
+/**
+ * Retrieves the prerequisite text and parsed tree for a single course.
+ * Falls back to the most recent semester when acadsem is omitted.
+ * @param {object} params - Query parameters { course_code, acadsem }.
+ * @returns {Promise<object|null>} { course_code, acadsem, title, prerequisites, prerequisite_tree } or null.
+ */
+async function getCoursePrerequisites({ course_code, acadsem }) {
+  const pool = getPool();
+  let query = 'SELECT course_code, acadsem, title, prerequisites, prerequisite_tree FROM course_content WHERE course_code = $1';
+  const params = [course_code];
+
+  if (acadsem) {
+    query += ' AND acadsem = $2';
+    params.push(acadsem);
+  }
+
+  query += ' ORDER BY acadsem DESC LIMIT 1';
+
+  const res = await pool.query(query, params);
+  return res.rows[0] || null;
+}
+
+/**
+ * Retrieves courses whose prerequisite text mentions any of the given course codes
+ * as a whole word, so SC200 does not match SC2005. Callers still confirm the
+ * reference against the parsed tree.
+ * @param {object} params - Query parameters { acadsem, course_codes }.
+ * @returns {Promise<Array<object>>} Rows of { course_code, title, prerequisites, prerequisite_tree }.
+ */
+async function getCoursesReferencingPrerequisites({ acadsem, course_codes }) {
+  if (!course_codes.length) return [];
+  const pool = getPool();
+  const patterns = course_codes.map(code => `\\m${code.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\M`);
+  const res = await pool.query(
+    `SELECT course_code, title, prerequisites, prerequisite_tree FROM course_content
+     WHERE acadsem = $1 AND prerequisites ~* ANY($2::text[])
+     ORDER BY course_code ASC`,
+    [acadsem, patterns]
+  );
+  return res.rows;
+}
+
+/**
+ * Retrieves mutually exclusive courses for a course, regardless of which side listed the exclusion.
+ * Falls back to the most recent semester of the course when acadsem is omitted.
+ * @param {object} params - Query parameters { course_code, acadsem }.
+ * @returns {Promise<object|null>} { acadsem, rows } or null if the course is unknown (in that semester, when given).
+ */
+async function getMutualExclusions({ course_code, acadsem }) {
+  const pool = getPool();
+  let sem = acadsem;
+
+  if (!sem) {
+    const semRes = await pool.query(
+      'SELECT MAX(acadsem) AS acadsem FROM course_content WHERE course_code = $1',
+      [course_code]
+    );
+    sem = semRes.rows[0].acadsem;
+    if (!sem) return null;
+  } else {
+    const existsRes = await pool.query(
+      'SELECT 1 FROM course_content WHERE course_code = $1 AND acadsem = $2',
+      [course_code, sem]
+    );
+    if (existsRes.rowCount === 0) return null;
+  }
+
+  // listed_by_course: this course's page names the other course
+  // listed_by_other: the other course's page names this course
+  const res = await pool.query(
+    `SELECT x.other_code AS course_code,
+            MAX(c.title) AS title,
+            BOOL_OR(x.listed_here) AS listed_by_course,
+            BOOL_OR(NOT x.listed_here) AS listed_by_other
+     FROM (
+       SELECT excluded_code AS other_code, TRUE AS listed_here
+       FROM course_mutual_exclusion WHERE course_code = $1 AND acadsem = $2
+       UNION ALL
+       SELECT course_code AS other_code, FALSE AS listed_here
+       FROM course_mutual_exclusion WHERE excluded_code = $1 AND acadsem = $2
+     ) x
+     LEFT JOIN course_content c ON c.course_code = x.other_code AND c.acadsem = $2
+     GROUP BY x.other_code
+     ORDER BY x.other_code ASC`,
+    [course_code, sem]
+  );
+
+  return { acadsem: sem, rows: res.rows };
+}
+
+/**
+ * Retrieves a course's elective flags, raw restriction text and structured restriction rows.
+ * Falls back to the most recent semester of the course when acadsem is omitted.
+ * @param {object} params - Query parameters { course_code, acadsem }.
+ * @returns {Promise<object|null>} { course, restrictions } or null if the course is not found.
+ */
+async function getCourseRestrictions({ course_code, acadsem }) {
+  const pool = getPool();
+  let query = `
+    SELECT course_code, acadsem, title, not_available_to_programme, not_available_to_all_programme_with,
+           not_available_as_bde_ue_to_programme, is_unrestricted_elective, is_broadening_deepening_elective
+    FROM course_content WHERE course_code = $1`;
+  const params = [course_code];
+
+  if (acadsem) {
+    query += ' AND acadsem = $2';
+    params.push(acadsem);
+  }
+
+  query += ' ORDER BY acadsem DESC LIMIT 1';
+
+  const courseRes = await pool.query(query, params);
+  const course = courseRes.rows[0];
+  if (!course) return null;
+
+  const res = await pool.query(
+    `SELECT restriction_type, programme, admit_year_from, admit_year_to, raw
+     FROM course_programme_restriction
+     WHERE course_code = $1 AND acadsem = $2
+     ORDER BY id ASC`,
+    [course.course_code, course.acadsem]
+  );
+
+  return { course, restrictions: res.rows };
+}
+
+/**
+ * Retrieves course schedules with filtering and pagination.
+ * Time filters are minutes after midnight; day_of_week uses ISO numbering (Monday = 1).
+ * @param {object} params - Query parameters { course_code, acadsem, day_of_week, starts_after, ends_before, type, limit, offset }.
+ * @returns {Promise<object>} { total, count, rows }.
+ */
+async function getCourseSchedule({
+  course_code,
+  acadsem,
+  day_of_week,
+  starts_after,
+  ends_before,
+  type,
+  limit = 100,
+  offset = 0,
+}) {
   const pool = getPool();
   let countQuery = 'SELECT COUNT(*) FROM course_schedule WHERE 1=1';
   let query = 'SELECT * FROM course_schedule WHERE 1=1';
@@ -264,6 +565,34 @@ async function getCourseSchedule({ course_code, acadsem, limit = 100, offset = 0
     countParams.push(acadsem);
     idx++;
   }
+  if (day_of_week) {
+    countQuery += ` AND day_of_week = $${idx}`;
+    query += ` AND day_of_week = $${idx}`;
+    params.push(day_of_week);
+    countParams.push(day_of_week);
+    idx++;
+  }
+  if (starts_after !== undefined && starts_after !== null) {
+    countQuery += ` AND start_minute >= $${idx}`;
+    query += ` AND start_minute >= $${idx}`;
+    params.push(starts_after);
+    countParams.push(starts_after);
+    idx++;
+  }
+  if (ends_before !== undefined && ends_before !== null) {
+    countQuery += ` AND end_minute <= $${idx}`;
+    query += ` AND end_minute <= $${idx}`;
+    params.push(ends_before);
+    countParams.push(ends_before);
+    idx++;
+  }
+  if (type) {
+    countQuery += ` AND UPPER(type) = UPPER($${idx})`;
+    query += ` AND UPPER(type) = UPPER($${idx})`;
+    params.push(type);
+    countParams.push(type);
+    idx++;
+  }
 
   // Get total count
   const countRes = await pool.query(countQuery, countParams);
@@ -296,13 +625,18 @@ async function getCourseCodes(tableName, acadsem) {
 
 /**
  * Saves exam timetable records using an upsert strategy.
+ * Each sitting is keyed by (course_code, acadsem, student_type, plan_no, paper_no). Sittings of the scraped
+ * semester and student type that were not in this batch are removed, for the scraped plans and for legacy rows
+ * saved before plans were tracked per sitting.
+ * A sitting only counts as newly published when its course had no earlier row for the same plan or a legacy
+ * plan, so rows re-keyed by the (plan_no, paper_no) migration are not announced again on the next scrape.
  * @param {Array<object>} exams - List of exam timetable objects.
- * @param {string} academicSession - Academic session string.
- * @param {string} planNo - Plan number.
- * @returns {Promise<void>}
+ * @param {string} academicSession - Academic session string, used when a record has none.
+ * @param {string} [planNo] - Plan number, used when a record has none.
+ * @returns {Promise<Array<object>>} Sittings that were not stored before (newly published).
  */
 async function saveExamTimetable(exams, academicSession, planNo) {
-  if (!exams.length) return;
+  if (!exams.length) return [];
   const pool = getPool();
   const client = await pool.connect();
 
@@ -312,10 +646,11 @@ async function saveExamTimetable(exams, academicSession, planNo) {
     const query = `
       INSERT INTO exam_timetable (
         course_code, acadsem, course_title, exam_date, exam_time, exam_duration,
-        venue, seat_no, student_type, exam_type, academic_session, plan_no, updated_at
+        venue, seat_no, student_type, exam_type, academic_session, plan_no, venue_key,
+        exam_date_iso, exam_start, exam_end, exam_duration_minutes, paper_no, updated_at
       )
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, NOW())
-      ON CONFLICT (course_code, acadsem, student_type) DO UPDATE
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, NOW())
+      ON CONFLICT (course_code, acadsem, student_type, plan_no, paper_no) DO UPDATE
       SET course_title = EXCLUDED.course_title,
           exam_date = EXCLUDED.exam_date,
           exam_time = EXCLUDED.exam_time,
@@ -324,12 +659,22 @@ async function saveExamTimetable(exams, academicSession, planNo) {
           seat_no = EXCLUDED.seat_no,
           exam_type = EXCLUDED.exam_type,
           academic_session = EXCLUDED.academic_session,
-          plan_no = EXCLUDED.plan_no,
-          updated_at = NOW();
+          venue_key = EXCLUDED.venue_key,
+          exam_date_iso = EXCLUDED.exam_date_iso,
+          exam_start = EXCLUDED.exam_start,
+          exam_end = EXCLUDED.exam_end,
+          exam_duration_minutes = EXCLUDED.exam_duration_minutes,
+          updated_at = NOW()
+      RETURNING (xmax = 0) AND NOT EXISTS (
+        SELECT 1 FROM exam_timetable prev
+        WHERE prev.course_code = $1 AND prev.acadsem = $2 AND prev.student_type = $9
+          AND (prev.plan_no = $12 OR prev.plan_no !~ '^[0-9]+$') AND prev.updated_at < NOW()
+      ) AS inserted;
     `;
 
+    const published = [];
     for (const exam of exams) {
-      await client.query(query, [
+      const res = await client.query(query, [
         exam.course_code,
         exam.acadsem,
         exam.course_title || null,
@@ -340,13 +685,38 @@ async function saveExamTimetable(exams, academicSession, planNo) {
         exam.seat_no || null,
         exam.student_type || 'UE',
         exam.exam_type || null,
-        academicSession || null,
-        planNo || null
+        exam.academic_session || academicSession || null,
+        exam.plan_no || planNo || '',
+        normalizeVenue(exam.venue).key,
+        exam.exam_date_iso ?? null,
+        exam.exam_start ?? null,
+        exam.exam_end ?? null,
+        exam.exam_duration_minutes ?? null,
+        exam.paper_no || 1
       ]);
+      if (res.rows[0] && res.rows[0].inserted) published.push(exam);
+    }
+
+    // Upserted rows all carry this transaction's NOW(); older rows in the same scope are sittings WIS no longer lists
+    const scopes = new Map();
+    for (const exam of exams) {
+      const key = `${exam.acadsem}|${exam.student_type || 'UE'}`;
+      if (!scopes.has(key)) scopes.set(key, { acadsem: exam.acadsem, studentType: exam.student_type || 'UE', plans: new Set() });
+      scopes.get(key).plans.add(exam.plan_no || planNo || '');
+    }
+    for (const { acadsem, studentType, plans } of scopes.values()) {
+      const removed = await client.query(
+        `DELETE FROM exam_timetable
+         WHERE acadsem = $1 AND student_type = $2 AND updated_at < NOW()
+           AND (plan_no = ANY($3) OR plan_no !~ '^[0-9]+$')`,
+        [acadsem, studentType, [...plans]]
+      );
+      if (removed.rowCount) logger.info(`Removed ${removed.rowCount} stale exam records for ${acadsem} (${studentType})`);
     }
     
     await client.query('COMMIT');
-    logger.info(`Saved ${exams.length} exam timetable records`);
+    logger.info(`Saved ${exams.length} exam timetable records (${published.length} new)`);
+    return published;
   } catch (err) {
     await client.query('ROLLBACK');
     logger.error('Error saving exam timetable', err);
@@ -358,10 +728,11 @@ async function saveExamTimetable(exams, academicSession, planNo) {
 
 /**
  * Retrieves exam timetable with filtering and pagination.
- * @param {object} params - Query parameters { course_code, acadsem, student_type, limit, offset }.
+ * date_from / date_to are inclusive ISO dates; sort is 'course_code' (default) or 'start' (chronological, unscheduled last).
+ * @param {object} params - Query parameters { course_code, course_codes, acadsem, student_type, date_from, date_to, sort, limit, offset }.
  * @returns {Promise<object>} { total, count, rows }.
  */
-async function getExamTimetable({ course_code, acadsem, student_type, limit = 100, offset = 0 }) {
+async function getExamTimetable({ course_code, course_codes, acadsem, student_type, date_from, date_to, sort = 'course_code', limit = 100, offset = 0 }) {
   const pool = getPool();
   let countQuery = 'SELECT COUNT(*) FROM exam_timetable WHERE 1=1';
   let query = 'SELECT * FROM exam_timetable WHERE 1=1';
@@ -376,6 +747,13 @@ async function getExamTimetable({ course_code, acadsem, student_type, limit = 10
     countParams.push(course_code);
     idx++;
   }
+  if (course_codes && course_codes.length) {
+    countQuery += ` AND course_code = ANY($${idx})`;
+    query += ` AND course_code = ANY($${idx})`;
+    params.push(course_codes);
+    countParams.push(course_codes);
+    idx++;
+  }
   if (acadsem) {
     countQuery += ` AND acadsem = $${idx}`;
     query += ` AND acadsem = $${idx}`;
@@ -390,27 +768,620 @@ async function getExamTimetable({ course_code, acadsem, student_type, limit = 10
     countParams.push(student_type);
     idx++;
   }
+  if (date_from) {
+    countQuery += ` AND exam_date_iso >= $${idx}`;
+    query += ` AND exam_date_iso >= $${idx}`;
+    params.push(date_from);
+    countParams.push(date_from);
+    idx++;
+  }
+  if (date_to) {
+    countQuery += ` AND exam_date_iso <= $${idx}`;
+    query += ` AND exam_date_iso <= $${idx}`;
+    params.push(date_to);
+    countParams.push(date_to);
+    idx++;
+  }
 
   // Get total count
   const countRes = await pool.query(countQuery, countParams);
   const total = parseInt(countRes.rows[0].count, 10);
 
-  query += ` ORDER BY course_code ASC LIMIT $${idx} OFFSET $${idx + 1}`;
+  const orderBy = sort === 'start'
+    ? 'exam_start ASC NULLS LAST, course_code ASC, paper_no ASC'
+    : 'course_code ASC, plan_no ASC, paper_no ASC';
+  query += ` ORDER BY ${orderBy} LIMIT $${idx} OFFSET $${idx + 1}`;
+  params.push(Math.min(limit, 500), offset);
+
+  const res = await pool.query(query, params);
+  return { total, count: res.rowCount, rows: res.rows };
+}
+
+/**
+ * Records exam plans seen on WIS using an upsert strategy.
+ * first_seen_at is kept from the first sighting; session details already known are not overwritten with blanks,
+ * since plan discovery only sees the plan number and label.
+ * @param {Array<object>} plans - Plans from parseExamMetadata { planNo, label, academicSession, examYear, semester }.
+ * @param {string} studentType - 'UE' or 'GR'.
+ * @returns {Promise<void>}
+ */
+async function saveExamPlans(plans, studentType) {
+  const valid = plans.filter(plan => plan.planNo);
+  if (!valid.length) return;
+  const pool = getPool();
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    const query = `
+      INSERT INTO exam_plans (plan_no, student_type, label, academic_session, exam_year, semester, acadsem, first_seen_at, last_seen_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, NOW(), NOW())
+      ON CONFLICT (plan_no, student_type) DO UPDATE
+      SET label = COALESCE(EXCLUDED.label, exam_plans.label),
+          academic_session = COALESCE(EXCLUDED.academic_session, exam_plans.academic_session),
+          exam_year = COALESCE(EXCLUDED.exam_year, exam_plans.exam_year),
+          semester = COALESCE(EXCLUDED.semester, exam_plans.semester),
+          acadsem = COALESCE(EXCLUDED.acadsem, exam_plans.acadsem),
+          last_seen_at = NOW();
+    `;
+
+    for (const plan of valid) {
+      await client.query(query, [
+        plan.planNo,
+        studentType,
+        plan.label || null,
+        plan.academicSession || null,
+        plan.examYear || null,
+        plan.semester || null,
+        plan.examYear && plan.semester ? toStandardAcadSem(plan.examYear, plan.semester) : null
+      ]);
+    }
+    await client.query('COMMIT');
+    logger.info(`Saved ${valid.length} exam plans (${studentType})`);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    logger.error('Error saving exam plans', err);
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Retrieves the exam plans seen on WIS, newest first.
+ * @param {object} params - Query parameters { student_type, acadsem }.
+ * @returns {Promise<Array<object>>} exam_plans rows.
+ */
+async function getExamPlans({ student_type, acadsem } = {}) {
+  const pool = getPool();
+  let query = 'SELECT * FROM exam_plans WHERE 1=1';
+  const params = [];
+  let idx = 1;
+
+  if (student_type) {
+    query += ` AND student_type = $${idx}`;
+    params.push(student_type);
+    idx++;
+  }
+
+  if (acadsem) {
+    query += ` AND acadsem = $${idx}`;
+    params.push(acadsem);
+    idx++;
+  }
+
+  query += ' ORDER BY first_seen_at DESC, plan_no DESC, student_type ASC';
+  const res = await pool.query(query, params);
+  return res.rows;
+}
+
+/**
+ * Creates a webhook subscription.
+ * @param {object} subscription - { url, secret, events, course_codes, acadsem }.
+ * @returns {Promise<object>} The stored subscription.
+ */
+async function createWebhookSubscription({ url, secret, events, course_codes, acadsem, owner_key }) {
+  const pool = getPool();
+  const res = await pool.query(
+    `INSERT INTO webhook_subscriptions (url, secret, events, course_codes, acadsem, owner_key, created_at, updated_at)
+     VALUES ($1, $2, $3, $4, $5, $6, NOW(), NOW())
+     RETURNING *`,
+    [url, secret, events, course_codes && course_codes.length ? course_codes : null, acadsem || null, owner_key || null]
+  );
+  logger.info(`Created webhook subscription ${res.rows[0].id} for ${url}`);
+  return res.rows[0];
+}
+
+/**
+ * Retrieves webhook subscriptions, oldest first.
+ * @param {object} [params] - Query parameters { active, owner_key }.
+ * @returns {Promise<Array<object>>} webhook_subscriptions rows, including secrets.
+ */
+async function getWebhookSubscriptions({ active, owner_key } = {}) {
+  const pool = getPool();
+  let query = 'SELECT * FROM webhook_subscriptions WHERE 1=1';
+  const params = [];
+  let idx = 1;
+
+  if (active !== undefined) {
+    query += ` AND active = $${idx}`;
+    params.push(active);
+    idx++;
+  }
+
+  if (owner_key) {
+    query += ` AND owner_key = $${idx}`;
+    params.push(owner_key);
+    idx++;
+  }
+
+  query += ' ORDER BY id ASC';
+  const res = await pool.query(query, params);
+  return res.rows;
+}
+
+/**
+ * Retrieves a single webhook subscription.
+ * @param {number|string} id - Subscription id.
+ * @param {object} [params] - { owner_key } to only match a subscription created with that key.
+ * @returns {Promise<object|null>} The subscription, or null if it does not exist (or belongs to another key).
+ */
+async function getWebhookSubscription(id, { owner_key } = {}) {
+  const pool = getPool();
+  const res = owner_key
+    ? await pool.query('SELECT * FROM webhook_subscriptions WHERE id = $1 AND owner_key = $2', [id, owner_key])
+    : await pool.query('SELECT * FROM webhook_subscriptions WHERE id = $1', [id]);
+  return res.rows[0] || null;
+}
+
+/**
+ * Deletes a webhook subscription together with its delivery log.
+ * @param {number|string} id - Subscription id.
+ * @param {object} [params] - { owner_key } to only delete a subscription created with that key.
+ * @returns {Promise<boolean>} Whether a subscription was deleted.
+ */
+async function deleteWebhookSubscription(id, { owner_key } = {}) {
+  const pool = getPool();
+  const res = owner_key
+    ? await pool.query('DELETE FROM webhook_subscriptions WHERE id = $1 AND owner_key = $2', [id, owner_key])
+    : await pool.query('DELETE FROM webhook_subscriptions WHERE id = $1', [id]);
+  if (res.rowCount) logger.info(`Deleted webhook subscription ${id}`);
+  return res.rowCount > 0;
+}
+
+/**
+ * Records a pending webhook delivery.
+ * @param {object} delivery - { subscription_id, event, acadsem, payload }.
+ * @returns {Promise<object>} The stored delivery.
+ */
+async function createWebhookDelivery({ subscription_id, event, acadsem, payload }) {
+  const pool = getPool();
+  const res = await pool.query(
+    `INSERT INTO webhook_deliveries (subscription_id, event, acadsem, payload, created_at, updated_at)
+     VALUES ($1, $2, $3, $4, NOW(), NOW())
+     RETURNING *`,
+    [subscription_id, event, acadsem || null, JSON.stringify(payload)]
+  );
+  return res.rows[0];
+}
+
+/**
+ * Retrieves a delivery together with the target subscription's url, secret and active flag.
+ * @param {number|string} id - Delivery id.
+ * @returns {Promise<object|null>} The delivery, or null if it (or its subscription) was deleted.
+ */
+async function getWebhookDelivery(id) {
+  const pool = getPool();
+  const res = await pool.query(
+    `SELECT d.*, s.url, s.secret, s.active
+     FROM webhook_deliveries d
+     JOIN webhook_subscriptions s ON s.id = d.subscription_id
+     WHERE d.id = $1`,
+    [id]
+  );
+  return res.rows[0] || null;
+}
+
+/**
+ * Records the outcome of a delivery attempt.
+ * @param {number|string} id - Delivery id.
+ * @param {object} outcome - { status, attempts, response_status, last_error }.
+ * @returns {Promise<void>}
+ */
+async function updateWebhookDelivery(id, { status, attempts, response_status, last_error }) {
+  const pool = getPool();
+  await pool.query(
+    `UPDATE webhook_deliveries
+     SET status = $2, attempts = $3, response_status = $4, last_error = $5, updated_at = NOW()
+     WHERE id = $1`,
+    [id, status, attempts, response_status ?? null, last_error ?? null]
+  );
+}
+
+/**
+ * Retrieves the delivery log of a subscription, newest first.
+ * @param {object} params - Query parameters { subscription_id, status, limit, offset }.
+ * @returns {Promise<object>} { total, count, rows }.
+ */
+async function getWebhookDeliveries({ subscription_id, status, limit = 100, offset = 0 }) {
+  const pool = getPool();
+  let countQuery = 'SELECT COUNT(*) FROM webhook_deliveries WHERE subscription_id = $1';
+  let query = 'SELECT * FROM webhook_deliveries WHERE subscription_id = $1';
+  const params = [subscription_id];
+  const countParams = [subscription_id];
+  let idx = 2;
+
+  if (status) {
+    countQuery += ` AND status = $${idx}`;
+    query += ` AND status = $${idx}`;
+    params.push(status);
+    countParams.push(status);
+    idx++;
+  }
+
+  const countRes = await pool.query(countQuery, countParams);
+  const total = parseInt(countRes.rows[0].count, 10);
+
+  query += ` ORDER BY created_at DESC, id DESC LIMIT $${idx} OFFSET $${idx + 1}`;
   params.push(Math.min(limit, 500), offset);
 
   const res = await pool.query(query, params);
   return { total, count: res.rowCount, rows: res.rows };
 }
 
+/**
+ * Records the vacancy and waitlist of every index of a course as read from the live vacancy service.
+ * @param {string} courseCode - Course code.
+ * @param {Array<object>} indexes - Validated vacancy indexes { index, vacancy, waitlist }.
+ * @param {Date} [capturedAt] - When the service was read; defaults to now.
+ * @returns {Promise<void>}
+ */
+async function saveVacancySnapshots(courseCode, indexes, capturedAt = new Date()) {
+  if (!indexes || !indexes.length) return;
+  const pool = getPool();
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    const query = `
+      INSERT INTO vacancy_snapshots (course_code, index, vacancy, waitlist, captured_at)
+      VALUES ($1, $2, $3, $4, $5);
+    `;
+
+    for (const idx of indexes) {
+      await client.query(query, [courseCode, idx.index, idx.vacancy, idx.waitlist, capturedAt]);
+    }
+    await client.query('COMMIT');
+    logger.info(`Saved ${indexes.length} vacancy snapshots for ${courseCode}`);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    logger.error('Error saving vacancy snapshots', err);
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Retrieves vacancy snapshots of a course in chronological order.
+ * When more than `limit` snapshots match, the most recent ones are returned.
+ * @param {object} params - Query parameters { course_code, index, from, to, limit }; from and to are timestamps.
+ * @returns {Promise<object>} { total, count, rows } with rows of { index, vacancy, waitlist, captured_at }.
+ */
+async function getVacancyHistory({ course_code, index, from, to, limit = 1000 }) {
+  const pool = getPool();
+  let where = 'WHERE course_code = $1';
+  const params = [course_code];
+  let idx = 2;
+
+  if (index) {
+    where += ` AND index = $${idx}`;
+    params.push(index);
+    idx++;
+  }
+  if (from) {
+    where += ` AND captured_at >= $${idx}`;
+    params.push(from);
+    idx++;
+  }
+  if (to) {
+    where += ` AND captured_at <= $${idx}`;
+    params.push(to);
+    idx++;
+  }
+
+  const countRes = await pool.query(`SELECT COUNT(*) FROM vacancy_snapshots ${where}`, params);
+  const total = parseInt(countRes.rows[0].count, 10);
+
+  const res = await pool.query(
+    `SELECT index, vacancy, waitlist, captured_at FROM (
+       SELECT * FROM vacancy_snapshots ${where}
+       ORDER BY captured_at DESC, id DESC
+       LIMIT $${idx}
+     ) recent
+     ORDER BY captured_at ASC, id ASC`,
+    [...params, Math.min(limit, 5000)]
+  );
+  return { total, count: res.rowCount, rows: res.rows };
+}
+
+/**
+ * Creates a vacancy watch.
+ * @param {object} watch - { course_code, index, threshold, notifier, subscription_id }.
+ * @returns {Promise<object>} The stored watch.
+ */
+async function createVacancyWatch({ course_code, index, threshold, notifier, subscription_id }) {
+  const pool = getPool();
+  const res = await pool.query(
+    `INSERT INTO vacancy_watches (course_code, index, threshold, notifier, subscription_id, created_at, updated_at)
+     VALUES ($1, $2, $3, $4, $5, NOW(), NOW())
+     RETURNING *`,
+    [course_code, index, threshold, notifier, subscription_id ?? null]
+  );
+  logger.info(`Created vacancy watch ${res.rows[0].id} for ${course_code} index ${index}`);
+  return res.rows[0];
+}
+
+/**
+ * Retrieves vacancy watches, oldest first.
+ * @param {object} [params] - Query parameters { active, course_code, owner_key }; owner_key matches the
+ *   key that created the watch's webhook subscription.
+ * @returns {Promise<Array<object>>} vacancy_watches rows.
+ */
+async function getVacancyWatches({ active, course_code, owner_key } = {}) {
+  const pool = getPool();
+  let query = 'SELECT w.* FROM vacancy_watches w WHERE 1=1';
+  const params = [];
+  let idx = 1;
+
+  if (active !== undefined) {
+    query += ` AND w.active = $${idx}`;
+    params.push(active);
+    idx++;
+  }
+
+  if (course_code) {
+    query += ` AND w.course_code = $${idx}`;
+    params.push(course_code);
+    idx++;
+  }
+
+  if (owner_key) {
+    query += ` AND w.subscription_id IN (SELECT id FROM webhook_subscriptions WHERE owner_key = $${idx})`;
+    params.push(owner_key);
+    idx++;
+  }
+
+  query += ' ORDER BY w.id ASC';
+  const res = await pool.query(query, params);
+  return res.rows;
+}
+
+/**
+ * Retrieves a single vacancy watch.
+ * @param {number|string} id - Watch id.
+ * @param {object} [params] - { owner_key } to only match a watch whose subscription was created with that key.
+ * @returns {Promise<object|null>} The watch, or null if it does not exist (or belongs to another key).
+ */
+async function getVacancyWatch(id, { owner_key } = {}) {
+  const pool = getPool();
+  const res = owner_key
+    ? await pool.query(
+      `SELECT * FROM vacancy_watches
+       WHERE id = $1 AND subscription_id IN (SELECT id FROM webhook_subscriptions WHERE owner_key = $2)`,
+      [id, owner_key]
+    )
+    : await pool.query('SELECT * FROM vacancy_watches WHERE id = $1', [id]);
+  return res.rows[0] || null;
+}
+
+/**
+ * Deletes a vacancy watch.
+ * @param {number|string} id - Watch id.
+ * @param {object} [params] - { owner_key } to only delete a watch whose subscription was created with that key.
+ * @returns {Promise<boolean>} Whether a watch was deleted.
+ */
+async function deleteVacancyWatch(id, { owner_key } = {}) {
+  const pool = getPool();
+  const res = owner_key
+    ? await pool.query(
+      `DELETE FROM vacancy_watches
+       WHERE id = $1 AND subscription_id IN (SELECT id FROM webhook_subscriptions WHERE owner_key = $2)`,
+      [id, owner_key]
+    )
+    : await pool.query('DELETE FROM vacancy_watches WHERE id = $1', [id]);
+  if (res.rowCount) logger.info(`Deleted vacancy watch ${id}`);
+  return res.rowCount > 0;
+}
+
+/**
+ * Records the reading of a watch's index so the next check can compare against it.
+ * @param {number|string} id - Watch id.
+ * @param {object} reading - { vacancy, waitlist, notified }; notified refreshes last_notified_at.
+ * @returns {Promise<void>}
+ */
+async function updateVacancyWatchReading(id, { vacancy, waitlist, notified = false }) {
+  const pool = getPool();
+  await pool.query(
+    `UPDATE vacancy_watches
+     SET last_vacancy = $2, last_waitlist = $3, last_checked_at = NOW(),
+         last_notified_at = CASE WHEN $4::boolean THEN NOW() ELSE last_notified_at END
+     WHERE id = $1`,
+    [id, vacancy, waitlist, notified]
+  );
+}
+
+/**
+ * Retrieves the venue catalogue built from schedule and exam venues.
+ * Usage is counted per semester; venues without a normalized key (blank/TBA) are excluded.
+ * @param {object} params - Query parameters { acadsem }.
+ * @returns {Promise<Array<object>>} Rows of { venue_key, acadsem, sessions, exams, variants }.
+ */
+async function getVenueUsage({ acadsem } = {}) {
+  const pool = getPool();
+  const params = [];
+  let filter = '';
+
+  if (acadsem) {
+    filter = ' AND acadsem = $1';
+    params.push(acadsem);
+  }
+
+  const res = await pool.query(
+    `SELECT venue_key, acadsem,
+            COUNT(*) FILTER (WHERE source = 'schedule')::int AS sessions,
+            COUNT(*) FILTER (WHERE source = 'exam')::int AS exams,
+            ARRAY_AGG(DISTINCT venue) AS variants
+     FROM (
+       SELECT venue_key, venue, acadsem, 'schedule' AS source FROM course_schedule WHERE venue_key IS NOT NULL${filter}
+       UNION ALL
+       SELECT venue_key, venue, acadsem, 'exam' AS source FROM exam_timetable WHERE venue_key IS NOT NULL${filter}
+     ) v
+     GROUP BY venue_key, acadsem
+     ORDER BY venue_key ASC, acadsem DESC`,
+    params
+  );
+  return res.rows;
+}
+
+/**
+ * Retrieves every scheduled session held at a venue, ordered by day and time.
+ * @param {object} params - Query parameters { venue_key, acadsem }.
+ * @returns {Promise<Array<object>>} Schedule rows.
+ */
+async function getVenueSchedule({ venue_key, acadsem }) {
+  const pool = getPool();
+  let query = `
+    SELECT index, course_code, acadsem, type, "group", day, time, venue, remark,
+           day_of_week, start_minute, end_minute, teaching_weeks, week_pattern
+    FROM course_schedule WHERE venue_key = $1`;
+  const params = [venue_key];
+
+  if (acadsem) {
+    query += ' AND acadsem = $2';
+    params.push(acadsem);
+  }
+
+  query += ' ORDER BY acadsem DESC, day_of_week ASC NULLS LAST, start_minute ASC NULLS LAST, course_code ASC, index ASC';
+
+  const res = await pool.query(query, params);
+  return res.rows;
+}
+
+/**
+ * Finds physical venues with no scheduled session overlapping a time window.
+ * Candidate venues are those used by any session in the semester. When a week is given, a session only
+ * blocks the window if it runs in that teaching week. Sessions whose day or time could not be parsed never block.
+ * @param {object} params - Query parameters { acadsem, day_of_week, start_minute, end_minute, week }.
+ * @returns {Promise<Array<object>>} Rows of { venue_key } ordered by venue.
+ */
+async function getFreeVenues({ acadsem, day_of_week, start_minute, end_minute, week }) {
+  const pool = getPool();
+  const res = await pool.query(
+    `SELECT venue_key
+     FROM course_schedule
+     WHERE acadsem = $1 AND venue_key IS NOT NULL AND venue_key <> 'ONLINE'
+     GROUP BY venue_key
+     HAVING NOT COALESCE(BOOL_OR(
+       day_of_week = $2
+       AND start_minute < $4
+       AND end_minute > $3
+       AND ($5::int IS NULL OR teaching_weeks IS NULL OR $5::smallint = ANY(teaching_weeks))
+     ), false)
+     ORDER BY venue_key ASC`,
+    [acadsem, day_of_week, start_minute, end_minute, week ?? null]
+  );
+  return res.rows;
+}
+
+/**
+ * Retrieves every scheduled session for a set of indexes in one semester.
+ * @param {object} params - Query parameters { acadsem, indexes }.
+ * @returns {Promise<Array<object>>} Schedule rows ordered by index, day and time.
+ */
+async function getSessionsByIndexes({ acadsem, indexes }) {
+  const pool = getPool();
+  const res = await pool.query(
+    `SELECT index, course_code, acadsem, type, "group", day, time, venue, remark,
+            day_of_week, start_minute, end_minute, teaching_weeks, week_pattern
+     FROM course_schedule
+     WHERE acadsem = $1 AND index = ANY($2)
+     ORDER BY index ASC, day_of_week ASC NULLS LAST, start_minute ASC NULLS LAST`,
+    [acadsem, indexes]
+  );
+  return res.rows;
+}
+
+/**
+ * Retrieves every scheduled session for a set of courses in one semester.
+ * @param {object} params - Query parameters { acadsem, course_codes }.
+ * @returns {Promise<Array<object>>} Schedule rows ordered by course, index, day and time.
+ */
+async function getSessionsByCourses({ acadsem, course_codes }) {
+  const pool = getPool();
+  const res = await pool.query(
+    `SELECT index, course_code, acadsem, type, "group", day, time, venue, remark,
+            day_of_week, start_minute, end_minute, teaching_weeks, week_pattern
+     FROM course_schedule
+     WHERE acadsem = $1 AND course_code = ANY($2)
+     ORDER BY course_code ASC, index ASC, day_of_week ASC NULLS LAST, start_minute ASC NULLS LAST`,
+    [acadsem, course_codes]
+  );
+  return res.rows;
+}
+
+/**
+ * Retrieves exam timetable rows for a set of courses in one semester.
+ * @param {object} params - Query parameters { acadsem, course_codes }.
+ * @returns {Promise<Array<object>>} Exam rows ordered by course code.
+ */
+async function getExamsForCourses({ acadsem, course_codes }) {
+  const pool = getPool();
+  const res = await pool.query(
+    'SELECT * FROM exam_timetable WHERE acadsem = $1 AND course_code = ANY($2) ORDER BY course_code ASC, student_type ASC',
+    [acadsem, course_codes]
+  );
+  return res.rows;
+}
+
 module.exports = {
   saveMetadata,
   saveCourseContent,
   saveCourseSchedule,
   saveExamTimetable,
+  saveExamPlans,
   getMetadata,
   getAllCourses,
   getCourseContent,
+  getCourseContentHistory,
+  getCoursePrerequisites,
+  getCoursesReferencingPrerequisites,
+  getMutualExclusions,
+  getCourseRestrictions,
   getCourseSchedule,
+  getScheduleChanges,
   getExamTimetable,
+  getExamPlans,
+  createWebhookSubscription,
+  getWebhookSubscriptions,
+  getWebhookSubscription,
+  deleteWebhookSubscription,
+  createWebhookDelivery,
+  getWebhookDelivery,
+  updateWebhookDelivery,
+  getWebhookDeliveries,
+  saveVacancySnapshots,
+  getVacancyHistory,
+  createVacancyWatch,
+  getVacancyWatches,
+  getVacancyWatch,
+  deleteVacancyWatch,
+  updateVacancyWatchReading,
+  getVenueUsage,
+  getVenueSchedule,
+  getFreeVenues,
+  getSessionsByIndexes,
+  getSessionsByCourses,
+  getExamsForCourses,
   getCourseCodes,
 };
\ No newline at end of file
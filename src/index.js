@@ -13,7 +13,7 @@ if (!global.File) {
 const express = require('express');
 const { initDatabase } = require('./database/init');
 const { startWorkers } = require('./workers/index');
-const { addJob, clearQueue } = require('./queue/client');
+const { addJob, clearQueue, scheduleVacancyWatch } = require('./queue/client');
 const logger = require('./utils/logger');
 
 // Routes
@@ -23,6 +23,12 @@ const coursesRoutes = require('./routes/courses');
 const metaRoutes = require('./routes/meta');
 const examRoutes = require('./routes/exam');
 const vacancyRoutes = require('./routes/vacancy');
+const venueRoutes = require('./routes/venues');
+const timetableRoutes = require('./routes/timetable');
+const calendarRoutes = require('./routes/calendar');
+const changesRoutes = require('./routes/changes');
+const webhookRoutes = require('./routes/webhooks');
+const watchRoutes = require('./routes/watches');
 
 // Manual Trigger Imports
 const { fetchCourseSchedule } = require('./scrappers/fetchSchedule');
@@ -33,6 +39,7 @@ const { parseContent } = require('./parsers/contentParser');
 const { saveCourseContent } = require('./database/repository');
 const { fetchScheduleForm, fetchContentForm } = require('./scrappers/fetchOptions');
 const { parseScheduleOptions, parseContentOptions } = require('./parsers/metaParser');
+const { EXAM_STUDENT_TYPES } = require('./utils/format');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -52,6 +59,11 @@ if (process.env.DISABLE_SWAGGER !== 'true') {
         version: '2.0.0',
         description: 'API for accessing NTU Course Content and Schedules',
       },
+      components: {
+        securitySchemes: {
+          ApiKeyAuth: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+        },
+      },
     },
     apis: ['./src/routes/*.js'], 
   };
@@ -68,7 +80,13 @@ app.use('/course-schedule', scheduleRoutes);
 app.use('/courses', coursesRoutes);
 app.use('/semesters', metaRoutes);
 app.use('/exam-timetable', examRoutes);
+app.use('/vacancy/watches', watchRoutes);
 app.use('/vacancy', vacancyRoutes);
+app.use('/venues', venueRoutes);
+app.use('/timetable', timetableRoutes);
+app.use('/changes', changesRoutes);
+app.use('/webhooks', webhookRoutes);
+app.use('/', calendarRoutes);
 
 app.get('/health', (req, res) => {
   res.json({ status: 'ok' });
@@ -137,12 +155,14 @@ app.get('/exam', async (req, res, next) => {
     const { acadsem, student_type } = req.query;
     if (!acadsem) throw new Error('acadsem is required');
 
+    if (student_type && !EXAM_STUDENT_TYPES[student_type]) throw new Error('student_type must be UE or GR');
+
     const { scrapeExamsForSemester } = require('./workers/examScraper');
     
-    const studentType = student_type || 'UE';
-    logger.info(`Manual exam scrape triggered: ${acadsem}, ${studentType}`);
+    const studentTypes = student_type ? [student_type] : Object.keys(EXAM_STUDENT_TYPES);
+    logger.info(`Manual exam scrape triggered: ${acadsem}, ${studentTypes.join(', ')}`);
     
-    const result = await scrapeExamsForSemester(acadsem);
+    const result = await scrapeExamsForSemester(acadsem, studentTypes);
     
     res.json({
       acadsem,
@@ -193,6 +213,8 @@ async function start() {
     // Trigger initial scrape on startup
     await addJob('scrape-metadata', { triggerNext: true });
     logger.info('Initial metadata scrape triggered');
+
+    await scheduleVacancyWatch();
     
     app.listen(PORT, () => {
       logger.info(`Server running on port ${PORT}`);
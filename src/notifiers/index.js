@@ -0,0 +1,27 @@
+/**
+ * Notifier registry for vacancy watches
+ * Each notifier exports send(watch, alert); a watch names its notifier in vacancy_watches.notifier.
+ * New notifiers are added here and to WATCH_NOTIFIERS in src/utils/vacancyWatch.js.
+ */
+const webhook = require('./webhook');
+
+const NOTIFIERS = {
+  webhook,
+};
+
+/**
+ * Sends an alert through the watch's notifier
+ * @param {object} watch - vacancy_watches row
+ * @param {object} alert - Alert from buildAlert
+ * @returns {Promise<void>}
+ */
+async function notify(watch, alert) {
+  const notifier = NOTIFIERS[watch.notifier];
+  if (!notifier) throw new Error(`Unknown notifier ${watch.notifier} for watch ${watch.id}`);
+  await notifier.send(watch, alert);
+}
+
+module.exports = {
+  notify,
+  NOTIFIERS,
+};
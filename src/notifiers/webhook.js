@@ -0,0 +1,28 @@
+/**
+ * Webhook notifier
+ * Alerts go through the webhook delivery queue of the watch's subscription, so they are signed, retried and
+ * logged like every other webhook.
+ */
+const { createWebhookDelivery } = require('../database/repository');
+const { addWebhookJob } = require('../queue/client');
+const { WATCH_ALERT_EVENT } = require('../utils/vacancyWatch');
+
+/**
+ * Queues an alert for delivery to the watch's webhook subscription
+ * @param {object} watch - vacancy_watches row with subscription_id
+ * @param {object} alert - Alert from buildAlert
+ * @returns {Promise<void>}
+ */
+async function send(watch, alert) {
+  const delivery = await createWebhookDelivery({
+    subscription_id: watch.subscription_id,
+    event: WATCH_ALERT_EVENT,
+    acadsem: null,
+    payload: { event: WATCH_ALERT_EVENT, data: [alert] }
+  });
+  await addWebhookJob({ deliveryId: delivery.id });
+}
+
+module.exports = {
+  send,
+};
@@ -1,4 +1,6 @@
 const cheerio = require('cheerio');
+const { parsePrerequisites, extractCourseCodes } = require('./prerequisiteParser');
+const { parseProgrammeRestrictions } = require('./restrictionParser');
 
 const clean = (text) => text.replace(/\s+/g, ' ').trim();
 
@@ -174,16 +176,22 @@ function parseContent(html, acadsem) {
   });
 
   // Trim all fields final pass
-  return courses.map(c => ({
+  return courses.map(c => {
+    const course = {
       ...c,
       prerequisites: c.prerequisites.trim(),
+      prerequisite_tree: parsePrerequisites(c.prerequisites),
       mutual_exclusions: c.mutual_exclusions.trim(),
+      mutual_exclusion_codes: extractCourseCodes(c.mutual_exclusions).filter(code => code !== c.course_code),
       not_available_to_programme: c.not_available_to_programme.trim(),
       not_available_to_all_programme_with: c.not_available_to_all_programme_with.trim(),
       not_available_as_bde_ue_to_programme: c.not_available_as_bde_ue_to_programme.trim(),
       description: c.description.trim(),
       grade_type: c.grade_type.trim()
-  }));
+    };
+    course.programme_restrictions = parseProgrammeRestrictions(course);
+    return course;
+  });
 }
 
 module.exports = {
@@ -5,6 +5,94 @@
 const cheerio = require('cheerio');
 const logger = require('../utils/logger');
 
+const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+/**
+ * Parses an exam date such as "27 APRIL 2026" or "27-Apr-2026"
+ * @param {string} text - Exam date as shown on WIS
+ * @returns {string|null} ISO date (YYYY-MM-DD), or null if unparseable
+ */
+function parseExamDate(text) {
+  const match = String(text || '').trim().match(/^(\d{1,2})[\s-]+([A-Za-z]{3,})[\s-]+(\d{4})$/);
+  if (!match) return null;
+  const month = MONTHS.indexOf(match[2].slice(0, 3).toUpperCase());
+  const day = parseInt(match[1], 10);
+  if (month === -1 || day < 1 || day > 31) return null;
+  return `${match[3]}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Formats an ISO date as the exam date filter WIS expects (p_exam_dt), e.g. "27-APR-2026"
+ * @param {string} isoDate - Date as YYYY-MM-DD
+ * @returns {string|null} WIS date, or null if isoDate is not a date
+ */
+function formatWisExamDate(isoDate) {
+  const match = String(isoDate || '').match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!match || !MONTHS[parseInt(match[2], 10) - 1]) return null;
+  return `${match[3]}-${MONTHS[parseInt(match[2], 10) - 1]}-${match[1]}`;
+}
+
+/**
+ * Parses an exam start time such as "5.00 pm" or "9:30 AM" into minutes after midnight
+ * @param {string} text - Exam time as shown on WIS
+ * @returns {number|null} Minutes of day, or null if unparseable
+ */
+function parseExamTime(text) {
+  const match = String(text || '').trim().match(/^(\d{1,2})(?:[.:](\d{2}))?\s*([AaPp])\.?\s*[Mm]\.?$/);
+  if (!match) return null;
+  const hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2] || '0', 10);
+  if (hours < 1 || hours > 12 || minutes > 59) return null;
+  const isPm = match[3].toUpperCase() === 'P';
+  return ((hours % 12) + (isPm ? 12 : 0)) * 60 + minutes;
+}
+
+/**
+ * Parses an exam duration such as "2 hr 30 min", "2 hrs" or "90 min" into minutes
+ * @param {string} text - Exam duration as shown on WIS
+ * @returns {number|null} Duration in minutes, or null if unparseable
+ */
+function parseExamDuration(text) {
+  const value = String(text || '').toLowerCase();
+  const hours = value.match(/(\d+(?:\.\d+)?)\s*h/);
+  const minutes = value.match(/(\d+)\s*m/);
+  if (!hours && !minutes) return null;
+  const total = Math.round((hours ? parseFloat(hours[1]) * 60 : 0) + (minutes ? parseInt(minutes[1], 10) : 0));
+  return total > 0 ? total : null;
+}
+
+// Exams are held in Singapore, which is UTC+8 all year round
+const SINGAPORE_OFFSET_MINUTES = 8 * 60;
+
+/**
+ * Converts the display date, time and duration of an exam into typed values
+ * @param {string} examDate - e.g. "27 APRIL 2026"
+ * @param {string} examTime - e.g. "5.00 pm"
+ * @param {string} examDuration - e.g. "2 hr 30 min"
+ * @returns {object} { exam_date_iso, exam_start, exam_end, exam_duration_minutes } with UTC ISO timestamps; unparseable parts are null
+ */
+function parseExamSchedule(examDate, examTime, examDuration) {
+  const isoDate = parseExamDate(examDate);
+  const startMinute = parseExamTime(examTime);
+  const duration = parseExamDuration(examDuration);
+
+  let start = null;
+  let end = null;
+  if (isoDate && startMinute !== null) {
+    const [year, month, day] = isoDate.split('-').map(Number);
+    const startMs = Date.UTC(year, month - 1, day) + (startMinute - SINGAPORE_OFFSET_MINUTES) * 60 * 1000;
+    start = new Date(startMs).toISOString();
+    end = duration === null ? null : new Date(startMs + duration * 60 * 1000).toISOString();
+  }
+
+  return {
+    exam_date_iso: isoDate,
+    exam_start: start,
+    exam_end: end,
+    exam_duration_minutes: duration,
+  };
+}
+
 /**
  * Parses exam metadata from the first step response
  * Extracts available plan numbers with their details
@@ -95,11 +183,16 @@ function parseExamMetadata(html) {
  * @param {string} html - HTML response from Get_detail
  * @param {string} acadsem - Academic semester in YYYY_S format
  * @param {string} studentType - 'UE' for undergraduate, 'GR' for graduate
- * @returns {Array<object>} Array of exam records
+ * @param {string} [academicSession] - Academic session label of the plan the page belongs to
+ * @param {string} [planNo] - Exam plan number the page belongs to
+ * @returns {Array<object>} Array of exam records; a course listed more than once (e.g. paper 1 and paper 2)
+ *   yields one record per sitting, numbered by paper_no in page order
  */
-function parseExamDetails(html, acadsem, studentType = 'UE') {
+function parseExamDetails(html, acadsem, studentType = 'UE', academicSession = null, planNo = null) {
   const $ = cheerio.load(html);
   const exams = [];
+  const sittings = new Set();
+  const paperCounts = new Map();
   
   // Check if the page contains the exam type legend
   // Only set exam types if the legend is explicitly present
@@ -240,8 +333,16 @@ function parseExamDetails(html, acadsem, studentType = 'UE') {
         }
         
         if (courseCode && courseCode.length > 2) {
+          const code = courseCode.toUpperCase();
+
+          // The same row can be seen twice when tables are nested; only distinct sittings are papers
+          const sitting = `${code}|${examDate}|${examTime}`;
+          if (sittings.has(sitting)) return;
+          sittings.add(sitting);
+          paperCounts.set(code, (paperCounts.get(code) || 0) + 1);
+
           exams.push({
-            course_code: courseCode.toUpperCase(),
+            course_code: code,
             course_title: courseTitle,
             acadsem,
             exam_date: examDate,
@@ -250,7 +351,11 @@ function parseExamDetails(html, acadsem, studentType = 'UE') {
             venue,
             seat_no: seatNo,
             student_type: studentType,
-            exam_type: examType
+            exam_type: examType,
+            academic_session: academicSession,
+            plan_no: planNo,
+            paper_no: paperCounts.get(code),
+            ...parseExamSchedule(examDate, examTime, examDuration)
           });
         }
       });
@@ -266,5 +371,10 @@ function parseExamDetails(html, acadsem, studentType = 'UE') {
 
 module.exports = {
   parseExamMetadata,
-  parseExamDetails
+  parseExamDetails,
+  parseExamDate,
+  formatWisExamDate,
+  parseExamTime,
+  parseExamDuration,
+  parseExamSchedule
 };
@@ -0,0 +1,182 @@
+/**
+ * Parser for free-text prerequisite strings from NTU course content
+ * Converts text such as "SC1007 & SC1008 OR MH1812" into an AND/OR expression tree
+ *
+ * Node shapes:
+ *   { type: 'course', code: 'SC1007' }
+ *   { type: 'clause', text: 'Study Year 2 standing', courses: [] }
+ *   { type: 'and', children: [...] }
+ *   { type: 'or', children: [...] }
+ *
+ * '&' and 'AND' bind tighter than 'OR', matching how WIS lists alternatives.
+ * Anything that is not a lone course code (grade requirements, year standing, etc.)
+ * is kept as an opaque 'clause' leaf, with any course codes it mentions listed in `courses`.
+ */
+
+const COURSE_CODE_REGEX = /^[A-Z]{1,4}\d{2,4}[A-Z]?$/;
+const COURSE_CODE_GLOBAL_REGEX = /\b[A-Z]{1,4}\d{2,4}[A-Z]?\b/g;
+
+/**
+ * Checks whether a single word is an NTU course code (e.g. SC1007, AAE18D, E3014L)
+ * @param {string} word - Word to test
+ * @returns {boolean} True if the word looks like a course code
+ */
+const isCourseCode = (word) => COURSE_CODE_REGEX.test(word);
+
+/**
+ * Extracts every course code mentioned in free text
+ * @param {string} text - Text to scan (e.g. mutual exclusion or prerequisite text)
+ * @returns {Array<string>} Unique course codes in order of appearance
+ */
+const extractCourseCodes = (text) => [...new Set((text || '').match(COURSE_CODE_GLOBAL_REGEX) || [])];
+
+/**
+ * Splits prerequisite text into structural tokens
+ * @param {string} text - Raw prerequisite text
+ * @returns {Array<object>} Tokens of type LPAREN, RPAREN, AND, OR or WORD
+ */
+function tokenize(text) {
+  const tokens = [];
+  const parts = text
+    .replace(/([()&,])/g, ' $1 ')
+    .split(/\s+/)
+    .filter(Boolean);
+
+  for (const part of parts) {
+    if (part === '(') tokens.push({ type: 'LPAREN' });
+    else if (part === ')') tokens.push({ type: 'RPAREN' });
+    else if (part === '&' || part === ',' || part === 'AND') tokens.push({ type: 'AND' });
+    else if (part === 'OR') tokens.push({ type: 'OR' });
+    else tokens.push({ type: 'WORD', value: part });
+  }
+
+  return tokens;
+}
+
+/**
+ * Builds a leaf node from a run of consecutive words
+ * @param {Array<string>} words - Words making up the term
+ * @returns {object} Course or clause node
+ */
+function buildLeaf(words) {
+  const text = words.join(' ');
+  if (words.length === 1 && isCourseCode(words[0])) {
+    return { type: 'course', code: words[0] };
+  }
+  return { type: 'clause', text, courses: extractCourseCodes(text) };
+}
+
+/**
+ * Combines child nodes under an operator, flattening nested operators of the same type
+ * @param {string} type - 'and' or 'or'
+ * @param {Array<object>} children - Child nodes (nulls are ignored)
+ * @returns {object|null} Combined node, the single child, or null
+ */
+function combine(type, children) {
+  const flat = [];
+  for (const child of children) {
+    if (!child) continue;
+    if (child.type === type) flat.push(...child.children);
+    else flat.push(child);
+  }
+  if (flat.length === 0) return null;
+  if (flat.length === 1) return flat[0];
+  return { type, children: flat };
+}
+
+/**
+ * Parses prerequisite text into an expression tree
+ * Lenient by design: unbalanced parentheses and dangling operators are tolerated
+ * @param {string} text - Raw prerequisite text from course_content.prerequisites
+ * @returns {object|null} Expression tree, or null when there is no prerequisite
+ */
+function parsePrerequisites(text) {
+  if (!text || !text.trim()) return null;
+
+  const tokens = tokenize(text.trim());
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+
+  const parsePrimary = () => {
+    const token = peek();
+    if (!token) return null;
+
+    if (token.type === 'LPAREN') {
+      pos++;
+      const node = parseOr();
+      if (peek() && peek().type === 'RPAREN') pos++;
+      return node;
+    }
+
+    if (token.type === 'WORD') {
+      const words = [];
+      while (peek() && peek().type === 'WORD') {
+        words.push(peek().value);
+        pos++;
+      }
+      return buildLeaf(words);
+    }
+
+    return null;
+  };
+
+  const parseAnd = () => {
+    const children = [parsePrimary()];
+    while (peek()) {
+      const token = peek();
+      if (token.type === 'AND') {
+        pos++;
+        children.push(parsePrimary());
+      } else if (token.type === 'LPAREN' || token.type === 'WORD') {
+        // Adjacent terms without an operator, e.g. "SC2001 (Corequisite)"
+        children.push(parsePrimary());
+      } else {
+        break;
+      }
+    }
+    return combine('and', children);
+  };
+
+  const parseOr = () => {
+    const children = [parseAnd()];
+    while (peek() && peek().type === 'OR') {
+      pos++;
+      children.push(parseAnd());
+    }
+    return combine('or', children);
+  };
+
+  const roots = [parseOr()];
+  // Skip stray closing parentheses and keep parsing whatever follows them
+  while (pos < tokens.length) {
+    pos++;
+    roots.push(parseOr());
+  }
+
+  return combine('and', roots);
+}
+
+/**
+ * Collects every course code referenced by a prerequisite tree
+ * @param {object|null} tree - Tree returned by parsePrerequisites
+ * @returns {Array<string>} Unique course codes in order of appearance
+ */
+function collectCourseCodes(tree) {
+  const codes = new Set();
+  const walk = (node) => {
+    if (!node) return;
+    if (node.type === 'course') codes.add(node.code);
+    else if (node.type === 'clause') node.courses.forEach((code) => codes.add(code));
+    else node.children.forEach(walk);
+  };
+  walk(tree);
+  return [...codes];
+}
+
+module.exports = {
+  parsePrerequisites,
+  collectCourseCodes,
+  extractCourseCodes,
+  isCourseCode,
+};
@@ -0,0 +1,128 @@
+/**
+ * Parser for programme restriction text from NTU course content
+ * Converts the comma-separated "Not available to ..." fields into structured restriction rows
+ *
+ * Entries look like:
+ *   "EEE"                     -> programme EEE, all admission years
+ *   "ENG(EEE)"                -> programme ENG(EEE), all admission years
+ *   "CSC(Admyr 2021-2024)"    -> programme CSC, admitted 2021 to 2024
+ *   "BCE(2023-onwards)"       -> programme BCE, admitted 2023 or later
+ *   "(Admyr 2004-2020)"       -> every programme, admitted 2004 to 2020
+ */
+
+/**
+ * Restriction types, keyed by the course_content column they are parsed from
+ * - programme: course cannot be taken at all
+ * - all_programme: course cannot be taken at all (usually an admission-year condition for everyone)
+ * - bde_ue: course cannot be counted as a BDE or UE
+ */
+const RESTRICTION_FIELDS = {
+  programme: 'not_available_to_programme',
+  all_programme: 'not_available_to_all_programme_with',
+  bde_ue: 'not_available_as_bde_ue_to_programme',
+};
+
+/**
+ * Splits a comma-separated list, ignoring commas nested inside parentheses
+ * @param {string} text - Raw list text
+ * @returns {Array<string>} Trimmed, non-empty entries
+ */
+function splitEntries(text) {
+  const entries = [];
+  let depth = 0;
+  let current = '';
+
+  for (const ch of text) {
+    if (ch === '(') depth++;
+    if (ch === ')') depth = Math.max(depth - 1, 0);
+    if ((ch === ',' || ch === ';') && depth === 0) {
+      entries.push(current);
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  entries.push(current);
+
+  return entries.map(e => e.replace(/\s+/g, ' ').trim()).filter(Boolean);
+}
+
+/**
+ * Extracts an admission-year range from a condition string
+ * @param {string} text - Condition text, e.g. "Admyr 2021-2024" or "2023-onwards"
+ * @returns {object|null} { from, to } with null for an open end, or null if no year is present
+ */
+function parseYearRange(text) {
+  let match = text.match(/(\d{4})\s*(?:-|to)\s*(\d{4})/i);
+  if (match) return { from: parseInt(match[1], 10), to: parseInt(match[2], 10) };
+
+  match = text.match(/(\d{4})\s*-?\s*(?:onwards|&\s*after|and\s+after)/i);
+  if (match) return { from: parseInt(match[1], 10), to: null };
+
+  match = text.match(/(?:before|up\s+to|until)\s*(\d{4})/i);
+  if (match) return { from: null, to: parseInt(match[1], 10) };
+
+  match = text.match(/\b(\d{4})\b/);
+  if (match) return { from: parseInt(match[1], 10), to: parseInt(match[1], 10) };
+
+  return null;
+}
+
+/**
+ * Parses one restriction entry into a structured row
+ * @param {string} entry - Single list entry
+ * @param {string} restrictionType - Key of RESTRICTION_FIELDS
+ * @returns {object} { restriction_type, programme, admit_year_from, admit_year_to, raw }
+ */
+function parseEntry(entry, restrictionType) {
+  let programme = entry;
+  let years = null;
+
+  // A parenthesised group containing a year is an admission condition; other groups are part of the programme code
+  const groups = entry.match(/\([^)]*\)/g) || [];
+  for (const group of groups) {
+    const range = parseYearRange(group);
+    if (range) {
+      years = range;
+      programme = programme.replace(group, '');
+    }
+  }
+
+  // Bare conditions without parentheses, e.g. "Admyr 2021-2024"
+  if (!years && /\d{4}/.test(programme)) {
+    years = parseYearRange(programme);
+    programme = programme.replace(/\badmyr\b/i, '').replace(/\d{4}.*$/, '');
+  }
+
+  programme = programme.replace(/\s+/g, ' ').trim().toUpperCase();
+
+  return {
+    restriction_type: restrictionType,
+    programme: programme || null,
+    admit_year_from: years ? years.from : null,
+    admit_year_to: years ? years.to : null,
+    raw: entry,
+  };
+}
+
+/**
+ * Parses every restriction field of a course into structured rows
+ * @param {object} course - Course content object with the not_available_* fields
+ * @returns {Array<object>} Restriction rows
+ */
+function parseProgrammeRestrictions(course) {
+  const rows = [];
+  for (const [restrictionType, field] of Object.entries(RESTRICTION_FIELDS)) {
+    const text = course[field] || '';
+    for (const entry of splitEntries(text)) {
+      rows.push(parseEntry(entry, restrictionType));
+    }
+  }
+  return rows;
+}
+
+module.exports = {
+  parseProgrammeRestrictions,
+  parseYearRange,
+  RESTRICTION_FIELDS,
+};
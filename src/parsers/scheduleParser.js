@@ -2,6 +2,91 @@ const cheerio = require('cheerio');
 
 const clean = (text) => text.replace(/\s+/g, ' ').trim();
 
+const DAYS_OF_WEEK = ['MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT', 'SUN'];
+
+/**
+ * Converts a clock time such as "0930", "930" or "09:30" into minutes after midnight
+ * @param {string} text - Clock time in 24-hour format
+ * @returns {number|null} Minutes of day, or null if the text is not a valid time
+ */
+const parseClockTime = (text) => {
+  const match = String(text || '').trim().match(/^(\d{1,2}):?(\d{2})$/);
+  if (!match) return null;
+  const hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2], 10);
+  if (hours > 24 || minutes > 59 || (hours === 24 && minutes > 0)) return null;
+  return hours * 60 + minutes;
+};
+
+/**
+ * Formats minutes after midnight as a 24-hour HHMM clock time (inverse of parseClockTime)
+ * @param {number} minutes - Minutes of day
+ * @returns {string} Clock time, e.g. "1330"
+ */
+const formatClockTime = (minutes) =>
+  `${String(Math.floor(minutes / 60)).padStart(2, '0')}${String(minutes % 60).padStart(2, '0')}`;
+
+/**
+ * Parses a session time range such as "0930-1120"
+ * @param {string} text - Time range from the schedule table
+ * @returns {object|null} { start, end } in minutes of day, or null if unparseable
+ */
+const parseTimeRange = (text) => {
+  const [startText, endText] = String(text || '').split('-');
+  const start = parseClockTime(startText);
+  const end = parseClockTime(endText);
+  if (start === null || end === null) return null;
+  return { start, end };
+};
+
+/**
+ * Converts a day label such as "MON" or "Tuesday" into an ISO day-of-week number (Monday = 1)
+ * @param {string|number} day - Day label or number
+ * @returns {number|null} Day of week 1-7, or null if unrecognised
+ */
+const parseDayOfWeek = (day) => {
+  const text = String(day || '').trim().toUpperCase();
+  if (/^[1-7]$/.test(text)) return parseInt(text, 10);
+  const idx = DAYS_OF_WEEK.indexOf(text.slice(0, 3));
+  return idx === -1 ? null : idx + 1;
+};
+
+const TEACHING_WEEKS = 13;
+const ALL_WEEKS = Array.from({ length: TEACHING_WEEKS }, (_, i) => i + 1);
+
+/**
+ * Parses the teaching weeks listed in a schedule remark
+ * Handles remarks such as "Teaching Wk2-13", "Wk1,3,5,7,9,11,13" and "Teaching Wk1-6,8-13".
+ * Remarks without a week list mean the session runs every teaching week.
+ * @param {string} remark - Remark text from the schedule table
+ * @returns {object} { weeks, pattern } where pattern is 'all', 'odd', 'even' or 'custom'
+ */
+const parseTeachingWeeks = (remark) => {
+  const match = String(remark || '').match(/\bw(?:ee)?ks?\.?\s*(\d{1,2}(?:\s*[-,&]\s*\d{1,2})*)/i);
+  if (!match) return { weeks: [...ALL_WEEKS], pattern: 'all' };
+
+  const weeks = new Set();
+  for (const part of match[1].split(/[,&]/)) {
+    const [from, to] = part.split('-').map(n => parseInt(n, 10));
+    const end = Number.isNaN(to) || to === undefined ? from : to;
+    for (let w = Math.min(from, end); w <= Math.max(from, end); w++) {
+      if (w >= 1 && w <= TEACHING_WEEKS) weeks.add(w);
+    }
+  }
+
+  const sorted = [...weeks].sort((a, b) => a - b);
+  if (!sorted.length) return { weeks: [...ALL_WEEKS], pattern: 'all' };
+
+  let pattern = 'custom';
+  if (sorted.length === TEACHING_WEEKS) {
+    pattern = 'all';
+  } else if (sorted.length > 1 && sorted.every((w, i) => i === 0 || w - sorted[i - 1] === 2)) {
+    pattern = sorted[0] % 2 === 1 ? 'odd' : 'even';
+  }
+
+  return { weeks: sorted, pattern };
+};
+
 const isScheduleTable = ($table, $) => {
   const headers = $table
     .find('th')
@@ -23,14 +108,25 @@ const parseScheduleRows = ($table, $) => {
     // If index is empty, it inherits from the previous row (same index, multiple sessions)
     if (idxText) currentIndex = idxText;
 
+    const day = clean(cells.eq(3).text());
+    const time = clean(cells.eq(4).text());
+    const range = parseTimeRange(time);
+    const remark = clean(cells.eq(6).text());
+    const teaching = parseTeachingWeeks(remark);
+
     rows.push({
       index: currentIndex || '',
       type: clean(cells.eq(1).text()),
       group: clean(cells.eq(2).text()),
-      day: clean(cells.eq(3).text()),
-      time: clean(cells.eq(4).text()),
+      day,
+      time,
       venue: clean(cells.eq(5).text()),
-      remark: clean(cells.eq(6).text()),
+      remark,
+      day_of_week: parseDayOfWeek(day),
+      start_minute: range ? range.start : null,
+      end_minute: range ? range.end : null,
+      teaching_weeks: teaching.weeks,
+      week_pattern: teaching.pattern,
     });
   });
 
@@ -77,4 +173,11 @@ function parseSchedule(html, acadsem) {
 
 module.exports = {
   parseSchedule,
+  parseClockTime,
+  formatClockTime,
+  parseTimeRange,
+  parseDayOfWeek,
+  parseTeachingWeeks,
+  DAYS_OF_WEEK,
+  TEACHING_WEEKS,
 };
@@ -11,21 +11,45 @@ const connection = new IORedis({
 });
 
 const QUEUE_NAME = 'scrape-queue';
+const WEBHOOK_QUEUE_NAME = 'webhook-queue';
+const VACANCY_QUEUE_NAME = 'vacancy-queue';
 
 const scrapeQueue = new Queue(QUEUE_NAME, { connection });
+const webhookQueue = new Queue(WEBHOOK_QUEUE_NAME, { connection });
+const vacancyQueue = new Queue(VACANCY_QUEUE_NAME, { connection });
+
+// Failed deliveries are retried with exponential backoff (30s, 1m, 2m, ...)
+const WEBHOOK_JOB_OPTIONS = {
+  attempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS || 6),
+  backoff: { type: 'exponential', delay: 30 * 1000 },
+  removeOnComplete: 1000,
+  removeOnFail: 5000,
+};
 
 async function addJob(name, data, opts = {}) {
   return scrapeQueue.add(name, data, opts);
 }
 
+async function addWebhookJob(data) {
+  return webhookQueue.add('deliver-webhook', data, { ...WEBHOOK_JOB_OPTIONS, jobId: `delivery-${data.deliveryId}` });
+}
+
+// Vacancy watches are polled every 5 minutes unless VACANCY_WATCH_INTERVAL_MS says otherwise
+async function scheduleVacancyWatch(every = Number(process.env.VACANCY_WATCH_INTERVAL_MS || 5 * 60 * 1000)) {
+  return vacancyQueue.upsertJobScheduler('watch-vacancy', { every }, {
+    name: 'watch-vacancy',
+    opts: { removeOnComplete: 100, removeOnFail: 100 },
+  });
+}
+
 async function clearQueue() {
   // Clears all jobs from the queue
   await scrapeQueue.obliterate({ force: true });
   logger.info('Queue obliterated (cleared all jobs)');
 }
 
-function createWorker(processor, concurrency = 1) {
-  const worker = new Worker(QUEUE_NAME, processor, {
+function createWorker(processor, concurrency = 1, queueName = QUEUE_NAME) {
+  const worker = new Worker(queueName, processor, {
     connection,
     concurrency,
     limiter: {
@@ -47,7 +71,11 @@ function createWorker(processor, concurrency = 1) {
 
 module.exports = {
   addJob,
+  addWebhookJob,
+  scheduleVacancyWatch,
   clearQueue,
   createWorker,
   connection,
+  WEBHOOK_QUEUE_NAME,
+  VACANCY_QUEUE_NAME,
 };
@@ -0,0 +1,257 @@
+const express = require('express');
+const { getSessionsByIndexes, getExamsForCourses } = require('../database/repository');
+const { parseExamDate, parseExamTime, parseExamDuration } = require('../parsers/examParser');
+const { sessionWeeks, isPlaced } = require('../utils/timetable');
+const { getWeek1Start, parseIsoDate, teachingWeekDate } = require('../utils/academicCalendar');
+const { buildCalendar, formatLocalDateTime } = require('../utils/ical');
+const router = express.Router();
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+const MAX_CALENDAR_INDEXES = 20;
+const MAX_CALENDAR_COURSES = 20;
+
+/**
+ * Splits a comma-separated query value into unique, trimmed entries
+ * @param {string} value - Query string value
+ * @param {boolean} [upper=false] - Uppercase each entry
+ * @returns {Array<string>} Entries
+ */
+function splitList(value, upper = false) {
+  const entries = String(value || '').split(',').map(v => v.trim()).filter(Boolean);
+  return [...new Set(upper ? entries.map(v => v.toUpperCase()) : entries)];
+}
+
+/**
+ * Turns one weekly session into a recurring event
+ * The event repeats every calendar week from its first to its last teaching week; weeks it does not run in
+ * (including recess week) are excluded with EXDATE.
+ * @param {object} session - Schedule row with a parsed day and time
+ * @param {string} acadsem - Academic semester
+ * @param {string} week1Start - Start of teaching week 1 (YYYY-MM-DD)
+ * @returns {object} Event for buildCalendar
+ */
+function sessionToEvent(session, acadsem, week1Start) {
+  const weeks = [...sessionWeeks(session)].sort((a, b) => a - b);
+  const teachingDates = weeks.map(week => teachingWeekDate(week1Start, week, session.day_of_week));
+  const first = teachingDates[0];
+  const last = teachingDates[teachingDates.length - 1];
+  const count = Math.round((last - first) / WEEK_MS) + 1;
+
+  const taught = new Set(teachingDates.map(date => date.getTime()));
+  const exdates = [];
+  for (let k = 0; k < count; k++) {
+    const date = new Date(first.getTime() + k * WEEK_MS);
+    if (!taught.has(date.getTime())) exdates.push(formatLocalDateTime(date, session.start_minute));
+  }
+
+  const uidParts = [acadsem, session.index, session.type, session.group, session.day_of_week, session.start_minute];
+  return {
+    uid: `${uidParts.map(part => String(part ?? '').replace(/[^A-Za-z0-9_]+/g, '-')).join('-')}@ntu-public-apis`,
+    start: formatLocalDateTime(first, session.start_minute),
+    end: formatLocalDateTime(first, session.end_minute),
+    rrule: `FREQ=WEEKLY;COUNT=${count}`,
+    exdates,
+    summary: `${session.course_code} ${session.type}`,
+    location: session.venue,
+    description: [
+      `Index: ${session.index}`,
+      `Type: ${session.type}`,
+      `Group: ${session.group}`,
+      `Venue: ${session.venue}`,
+      ...(session.remark ? [`Remark: ${session.remark}`] : []),
+    ].join('\n'),
+  };
+}
+
+/**
+ * Turns an exam timetable row into a one-off event
+ * @param {object} exam - exam_timetable row
+ * @returns {object|null} Event for buildCalendar, or null if the date or time cannot be parsed
+ */
+function examToEvent(exam) {
+  const isoDate = parseExamDate(exam.exam_date);
+  const start = parseExamTime(exam.exam_time);
+  if (!isoDate || start === null) return null;
+
+  const date = new Date(parseIsoDate(isoDate));
+  const duration = parseExamDuration(exam.exam_duration);
+  const title = [exam.course_code, exam.course_title].filter(Boolean).join(' ');
+
+  return {
+    uid: `${exam.acadsem}-exam-${exam.course_code}-${isoDate}-${start}@ntu-public-apis`.replace(/[^A-Za-z0-9_@.-]+/g, '-'),
+    start: formatLocalDateTime(date, start),
+    end: duration === null ? null : formatLocalDateTime(date, start + duration),
+    summary: `Exam: ${title}`,
+    location: exam.venue,
+    description: [
+      `Course: ${title}`,
+      ...(exam.exam_type ? [`Exam type: ${exam.exam_type}`] : []),
+      ...(exam.venue ? [`Venue: ${exam.venue}`] : []),
+      ...(exam.exam_duration ? [`Duration: ${exam.exam_duration}`] : []),
+    ].join('\n'),
+  };
+}
+
+/**
+ * @swagger
+ * /timetable.ics:
+ *   get:
+ *     summary: Export a chosen timetable as an iCalendar feed
+ *     description: |
+ *       Returns the sessions of the given indexes as recurring weekly events (Asia/Singapore time) that can be
+ *       imported into or subscribed to from Google Calendar, Outlook or Apple Calendar. Each event repeats from
+ *       its first to its last teaching week; recess week and weeks the session does not run in are excluded.
+ *       Teaching week 1 is anchored on the date configured for the semester in `SEMESTER_WEEK1_DATES`,
+ *       or on the `week1` parameter.
+ *     parameters:
+ *       - in: query
+ *         name: acadsem
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Academic semester (e.g. 2025_2)
+ *       - in: query
+ *         name: indexes
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Comma-separated index numbers (e.g. 10294,10311)
+ *       - in: query
+ *         name: week1
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Monday of teaching week 1 (YYYY-MM-DD), overriding the configured date
+ *     responses:
+ *       200:
+ *         description: iCalendar feed
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Missing parameters, or no week-1 date is known for the semester
+ *       404:
+ *         description: None of the indexes were found in the semester
+ */
+router.get('/timetable.ics', async (req, res, next) => {
+  try {
+    const { acadsem, week1 } = req.query;
+    const indexes = splitList(req.query.indexes);
+
+    if (!acadsem || indexes.length === 0 || indexes.length > MAX_CALENDAR_INDEXES) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_REQUEST',
+          message: `acadsem and between 1 and ${MAX_CALENDAR_INDEXES} comma-separated indexes are required`
+        }
+      });
+    }
+
+    const week1Start = week1 === undefined ? getWeek1Start(acadsem) : week1;
+    if (!week1Start || parseIsoDate(week1Start) === null) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_REQUEST',
+          message: week1 === undefined
+            ? `No teaching week 1 date is configured for ${acadsem}; pass week1=YYYY-MM-DD`
+            : 'week1 must be a date such as 2026-01-12'
+        }
+      });
+    }
+
+    const sessions = await getSessionsByIndexes({ acadsem, indexes });
+    if (sessions.length === 0) {
+      return res.status(404).json({
+        error: {
+          code: 'NOT_FOUND',
+          message: `None of the indexes were found in ${acadsem}`
+        }
+      });
+    }
+
+    const events = sessions.filter(isPlaced).map(session => sessionToEvent(session, acadsem, week1Start));
+    const calendar = buildCalendar(events, { name: `NTU Timetable ${acadsem}` });
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', `inline; filename="timetable-${acadsem}.ics"`);
+    res.send(calendar);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /exam-timetable.ics:
+ *   get:
+ *     summary: Export exams as an iCalendar feed
+ *     description: |
+ *       Returns the stored exams of the given courses as one-off events in Asia/Singapore time. The end time is
+ *       the start time plus the exam duration; exams without a duration are exported as a point in time.
+ *       The exam type and venue are included in the event description. A course listed under several
+ *       student types with the same slot is exported once.
+ *     parameters:
+ *       - in: query
+ *         name: acadsem
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Academic semester (e.g. 2025_2)
+ *       - in: query
+ *         name: courses
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Comma-separated course codes (e.g. SC2103,SC2008)
+ *     responses:
+ *       200:
+ *         description: iCalendar feed
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Missing parameters
+ *       404:
+ *         description: No exams were found for the courses in the semester
+ */
+router.get('/exam-timetable.ics', async (req, res, next) => {
+  try {
+    const { acadsem } = req.query;
+    const courseCodes = splitList(req.query.courses, true);
+
+    if (!acadsem || courseCodes.length === 0 || courseCodes.length > MAX_CALENDAR_COURSES) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_REQUEST',
+          message: `acadsem and between 1 and ${MAX_CALENDAR_COURSES} comma-separated courses are required`
+        }
+      });
+    }
+
+    const exams = await getExamsForCourses({ acadsem, course_codes: courseCodes });
+    if (exams.length === 0) {
+      return res.status(404).json({
+        error: {
+          code: 'NOT_FOUND',
+          message: `No exams found in ${acadsem} for ${courseCodes.join(', ')}`
+        }
+      });
+    }
+
+    const events = new Map();
+    for (const event of exams.map(examToEvent).filter(Boolean)) {
+      if (!events.has(event.uid)) events.set(event.uid, event);
+    }
+    const calendar = buildCalendar([...events.values()], { name: `NTU Exams ${acadsem}` });
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', `inline; filename="exams-${acadsem}.ics"`);
+    res.send(calendar);
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,146 @@
+const express = require('express');
+const { getScheduleChanges } = require('../database/repository');
+const router = express.Router();
+
+const CHANGE_KINDS = ['schedule'];
+
+/**
+ * @swagger
+ * /changes:
+ *   get:
+ *     summary: Retrieve the schedule change feed
+ *     description: |
+ *       Lists changes detected between schedule scrapes, newest first: sessions `added`, `removed`, or `modified`
+ *       (moved to another day, time or venue). Sessions are matched by index, type and group; `fields` lists what
+ *       changed on a modified session. A course scraped for the first time logs nothing.
+ *
+ *       Poll with `since` set to the newest `detected_at` already seen to get only new changes.
+ *     parameters:
+ *       - in: query
+ *         name: acadsem
+ *         schema:
+ *           type: string
+ *         description: Filter by academic semester (e.g. 2025_2)
+ *       - in: query
+ *         name: since
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only changes detected after this time (ISO 8601)
+ *       - in: query
+ *         name: course_code
+ *         schema:
+ *           type: string
+ *         description: Filter by course code (e.g. SC2103)
+ *       - in: query
+ *         name: kind
+ *         schema:
+ *           type: string
+ *           enum: [schedule]
+ *           default: schedule
+ *         description: Kind of change
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *           maximum: 500
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Change events
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 total:
+ *                   type: integer
+ *                 count:
+ *                   type: integer
+ *                 rows:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                       acadsem:
+ *                         type: string
+ *                       course_code:
+ *                         type: string
+ *                       index:
+ *                         type: string
+ *                       type:
+ *                         type: string
+ *                         example: "TUT"
+ *                       group:
+ *                         type: string
+ *                       change_type:
+ *                         type: string
+ *                         enum: [added, removed, modified]
+ *                       before:
+ *                         type: object
+ *                         nullable: true
+ *                         description: "{ day, time, venue } before the change; null when added"
+ *                       after:
+ *                         type: object
+ *                         nullable: true
+ *                         description: "{ day, time, venue } after the change; null when removed"
+ *                       fields:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             field:
+ *                               type: string
+ *                               example: "venue"
+ *                             old_value:
+ *                               type: string
+ *                             new_value:
+ *                               type: string
+ *                       detected_at:
+ *                         type: string
+ *                         format: date-time
+ *       400:
+ *         description: Invalid since or kind
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const { acadsem, since, course_code, kind = 'schedule', limit = 100, offset = 0 } = req.query;
+
+    if (!CHANGE_KINDS.includes(kind)) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_REQUEST',
+          message: `kind must be one of: ${CHANGE_KINDS.join(', ')}`
+        }
+      });
+    }
+    if (since && Number.isNaN(Date.parse(since))) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_REQUEST',
+          message: 'since must be a timestamp such as 2026-01-05T08:00:00Z'
+        }
+      });
+    }
+
+    const result = await getScheduleChanges({
+      acadsem,
+      course_code: course_code ? course_code.trim().toUpperCase() : undefined,
+      since: since ? new Date(since) : undefined,
+      limit: parseInt(limit, 10),
+      offset: parseInt(offset, 10)
+    });
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -1,5 +1,5 @@
 const express = require('express');
-const { getCourseContent } = require('../database/repository');
+const { getCourseContent, getCourseContentHistory } = require('../database/repository');
 const router = express.Router();
 
 /**
@@ -104,4 +104,99 @@ router.get('/', async (req, res, next) => {
   }
 });
 
+/**
+ * @swagger
+ * /course-content/{code}/history:
+ *   get:
+ *     summary: Retrieve the change history of a course
+ *     description: |
+ *       Lists the fields NTU changed on the course page, newest first, with the old and new value of each.
+ *       A change is recorded when a scrape finds a value different from the stored one; the first scrape of a
+ *       course records nothing. Values are returned as text (e.g. "3" for AU, "true" for elective flags).
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Course code (e.g. SC2103)
+ *       - in: query
+ *         name: acadsem
+ *         schema:
+ *           type: string
+ *         description: Filter by academic semester (e.g. 2025_2)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *           maximum: 500
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Field changes
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 course_code:
+ *                   type: string
+ *                 total:
+ *                   type: integer
+ *                 count:
+ *                   type: integer
+ *                 rows:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       acadsem:
+ *                         type: string
+ *                       field:
+ *                         type: string
+ *                         example: "prerequisites"
+ *                       old_value:
+ *                         type: string
+ *                         nullable: true
+ *                       new_value:
+ *                         type: string
+ *                         nullable: true
+ *                       changed_at:
+ *                         type: string
+ *                         format: date-time
+ *       404:
+ *         description: Course not found
+ */
+router.get('/:code/history', async (req, res, next) => {
+  try {
+    const courseCode = req.params.code.trim().toUpperCase();
+    const { acadsem, limit = 100, offset = 0 } = req.query;
+
+    const course = await getCourseContent({ course_code: courseCode, acadsem, limit: 1, offset: 0 });
+    if (course.total === 0) {
+      return res.status(404).json({
+        error: {
+          code: 'NOT_FOUND',
+          message: `Course ${courseCode} not found${acadsem ? ` for ${acadsem}` : ''}`
+        }
+      });
+    }
+
+    const result = await getCourseContentHistory({
+      course_code: courseCode,
+      acadsem,
+      limit: parseInt(limit, 10),
+      offset: parseInt(offset, 10)
+    });
+    res.json({ course_code: courseCode, ...result });
+  } catch (err) {
+    next(err);
+  }
+});
+
 module.exports = router;
@@ -1,5 +1,15 @@
 const express = require('express');
-const { getAllCourses } = require('../database/repository');
+const {
+  getAllCourses,
+  getCoursePrerequisites,
+  getCoursesReferencingPrerequisites,
+  getMutualExclusions,
+  getCourseRestrictions,
+} = require('../database/repository');
+const { parsePrerequisites } = require('../parsers/prerequisiteParser');
+const { parseProgrammeRestrictions } = require('../parsers/restrictionParser');
+const { evaluateEligibility, ELECTIVE_TYPES } = require('../utils/eligibility');
+const { buildDependentGraph, DEFAULT_DEPTH, MAX_DEPTH } = require('../utils/prerequisiteGraph');
 const router = express.Router();
 
 /**
@@ -64,4 +74,453 @@ router.get('/', async (req, res, next) => {
   }
 });
 
+/**
+ * @swagger
+ * /courses/{code}/prerequisites:
+ *   get:
+ *     summary: Retrieve structured prerequisites for a course
+ *     description: |
+ *       Returns the raw prerequisite text together with a parsed AND/OR expression tree.
+ *
+ *       **Tree Nodes:**
+ *       - `course`: A single course code (`code`)
+ *       - `clause`: Opaque condition such as a grade or year-standing requirement (`text`, plus any `courses` it mentions)
+ *       - `and` / `or`: Operator with `children`; `&` binds tighter than `OR`
+ *
+ *       `tree` is `null` when the course has no prerequisites.
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Course code (e.g. SC2001)
+ *       - in: query
+ *         name: acadsem
+ *         schema:
+ *           type: string
+ *         description: Academic semester (e.g. 2025_2). Defaults to the most recent semester on record.
+ *     responses:
+ *       200:
+ *         description: Prerequisite text and expression tree
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 course_code:
+ *                   type: string
+ *                   example: "SC2001"
+ *                 acadsem:
+ *                   type: string
+ *                   example: "2025_2"
+ *                 title:
+ *                   type: string
+ *                 prerequisites:
+ *                   type: string
+ *                   example: "SC1007 & SC1008 OR MH1812"
+ *                 tree:
+ *                   type: object
+ *                   nullable: true
+ *                   example: { "type": "or", "children": [{ "type": "and", "children": [{ "type": "course", "code": "SC1007" }, { "type": "course", "code": "SC1008" }] }, { "type": "course", "code": "MH1812" }] }
+ *       404:
+ *         description: Course not found for the given semester
+ */
+router.get('/:code/prerequisites', async (req, res, next) => {
+  try {
+    const courseCode = req.params.code.trim().toUpperCase();
+    const { acadsem } = req.query;
+
+    const row = await getCoursePrerequisites({ course_code: courseCode, acadsem });
+    if (!row) {
+      return res.status(404).json({
+        error: {
+          code: 'NOT_FOUND',
+          message: `Course ${courseCode} not found${acadsem ? ` for ${acadsem}` : ''}`
+        }
+      });
+    }
+
+    // Rows scraped before the tree column existed are parsed on the fly
+    const tree = row.prerequisite_tree || parsePrerequisites(row.prerequisites);
+
+    res.json({
+      course_code: row.course_code,
+      acadsem: row.acadsem,
+      title: row.title,
+      prerequisites: row.prerequisites || '',
+      tree
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /courses/{code}/dependents:
+ *   get:
+ *     summary: Retrieve courses unlocked by a course
+ *     description: |
+ *       Walks the reverse prerequisite graph: returns every course that lists the given course
+ *       as a prerequisite, directly or transitively, up to `depth` levels.
+ *
+ *       Edges point from the prerequisite to the course it unlocks. Each node carries its
+ *       distance from the requested course. Any cycles found in the returned edges are listed in `cycles`.
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Course code (e.g. SC1007)
+ *       - in: query
+ *         name: acadsem
+ *         schema:
+ *           type: string
+ *         description: Academic semester (e.g. 2025_2). Defaults to the most recent semester on record for the course.
+ *       - in: query
+ *         name: depth
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 10
+ *           default: 3
+ *         description: Maximum traversal depth (default 3, max 10)
+ *     responses:
+ *       200:
+ *         description: Dependent course graph
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 course_code:
+ *                   type: string
+ *                   example: "SC1007"
+ *                 acadsem:
+ *                   type: string
+ *                   example: "2025_2"
+ *                 depth:
+ *                   type: integer
+ *                   example: 3
+ *                 nodes:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       course_code:
+ *                         type: string
+ *                       title:
+ *                         type: string
+ *                       depth:
+ *                         type: integer
+ *                 edges:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       from:
+ *                         type: string
+ *                         example: "SC1007"
+ *                       to:
+ *                         type: string
+ *                         example: "SC2001"
+ *                 cycles:
+ *                   type: array
+ *                   items:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *       400:
+ *         description: depth is not a positive integer
+ *       404:
+ *         description: Course not found for the given semester
+ */
+router.get('/:code/dependents', async (req, res, next) => {
+  try {
+    const courseCode = req.params.code.trim().toUpperCase();
+    const { depth } = req.query;
+
+    if (depth !== undefined && !/^\d+$/.test(depth)) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_REQUEST',
+          message: `depth must be an integer between 1 and ${MAX_DEPTH}`
+        }
+      });
+    }
+
+    const root = await getCoursePrerequisites({ course_code: courseCode, acadsem: req.query.acadsem });
+    if (!root) {
+      return res.status(404).json({
+        error: {
+          code: 'NOT_FOUND',
+          message: `Course ${courseCode} not found${req.query.acadsem ? ` for ${req.query.acadsem}` : ''}`
+        }
+      });
+    }
+
+    const acadsem = root.acadsem;
+    const graph = await buildDependentGraph(
+      courseCode,
+      (codes) => getCoursesReferencingPrerequisites({ acadsem, course_codes: codes }),
+      { depth: depth === undefined ? DEFAULT_DEPTH : parseInt(depth, 10) }
+    );
+    graph.nodes[0].title = root.title;
+
+    res.json({ course_code: courseCode, acadsem, ...graph });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /courses/{code}/exclusions:
+ *   get:
+ *     summary: Retrieve mutually exclusive courses
+ *     description: |
+ *       Returns courses that are mutually exclusive with the given course.
+ *       NTU often lists an exclusion on only one of the two course pages, so lookups are symmetric:
+ *       asking about either course returns the other. `listed_by_course` and `listed_by_other`
+ *       show which page(s) actually named the exclusion.
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Course code (e.g. SC2008)
+ *       - in: query
+ *         name: acadsem
+ *         schema:
+ *           type: string
+ *         description: Academic semester (e.g. 2025_2). Defaults to the most recent semester on record for the course.
+ *     responses:
+ *       200:
+ *         description: Mutually exclusive courses
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 course_code:
+ *                   type: string
+ *                   example: "SC2008"
+ *                 acadsem:
+ *                   type: string
+ *                   example: "2025_2"
+ *                 count:
+ *                   type: integer
+ *                 exclusions:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       course_code:
+ *                         type: string
+ *                         example: "CZ3006"
+ *                       title:
+ *                         type: string
+ *                         nullable: true
+ *                       listed_by_course:
+ *                         type: boolean
+ *                       listed_by_other:
+ *                         type: boolean
+ *       404:
+ *         description: Course not found, or not offered in the given acadsem
+ */
+router.get('/:code/exclusions', async (req, res, next) => {
+  try {
+    const courseCode = req.params.code.trim().toUpperCase();
+    const { acadsem } = req.query;
+
+    const result = await getMutualExclusions({ course_code: courseCode, acadsem });
+    if (!result) {
+      return res.status(404).json({
+        error: {
+          code: 'NOT_FOUND',
+          message: `Course ${courseCode} not found${acadsem ? ` in ${acadsem}` : ''}`
+        }
+      });
+    }
+
+    res.json({
+      course_code: courseCode,
+      acadsem: result.acadsem,
+      count: result.rows.length,
+      exclusions: result.rows
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /courses/{code}/eligibility:
+ *   get:
+ *     summary: Check whether a course is open to a programme
+ *     description: |
+ *       Evaluates the course's programme restrictions ("Not available to Programme",
+ *       "Not available to all Programme with" and "Not available as BDE/UE to Programme")
+ *       together with its UE/BDE offering flags.
+ *
+ *       - `eligible` answers the question for the requested `as` category, or for taking the course at all when `as` is omitted.
+ *       - `available_as` lists the elective categories (`UE`, `BDE`) the course can still count towards.
+ *       - `blocked_by` is the restriction rule that caused a "no" answer.
+ *
+ *       When `admit_year` is omitted, restrictions bounded by admission year are assumed to apply.
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Course code (e.g. SC2008)
+ *       - in: query
+ *         name: programme
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Student's programme code (e.g. CSC, ENG(EEE))
+ *       - in: query
+ *         name: admit_year
+ *         schema:
+ *           type: integer
+ *         description: Student's admission year (e.g. 2023)
+ *       - in: query
+ *         name: as
+ *         schema:
+ *           type: string
+ *           enum: [UE, BDE]
+ *         description: Elective category the student wants to count the course towards
+ *       - in: query
+ *         name: acadsem
+ *         schema:
+ *           type: string
+ *         description: Academic semester (e.g. 2025_2). Defaults to the most recent semester on record for the course.
+ *     responses:
+ *       200:
+ *         description: Eligibility result
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 course_code:
+ *                   type: string
+ *                 acadsem:
+ *                   type: string
+ *                 programme:
+ *                   type: string
+ *                 admit_year:
+ *                   type: integer
+ *                   nullable: true
+ *                 as:
+ *                   type: string
+ *                   nullable: true
+ *                 eligible:
+ *                   type: boolean
+ *                 available_as:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   example: ["UE", "BDE"]
+ *                 blocked_by:
+ *                   type: object
+ *                   nullable: true
+ *                   properties:
+ *                     restriction_type:
+ *                       type: string
+ *                       example: "bde_ue"
+ *                     programme:
+ *                       type: string
+ *                       nullable: true
+ *                     admit_year_from:
+ *                       type: integer
+ *                       nullable: true
+ *                     admit_year_to:
+ *                       type: integer
+ *                       nullable: true
+ *                     raw:
+ *                       type: string
+ *                 reason:
+ *                   type: string
+ *                   nullable: true
+ *       400:
+ *         description: Missing programme or invalid admit_year / as
+ *       404:
+ *         description: Course not found
+ */
+router.get('/:code/eligibility', async (req, res, next) => {
+  try {
+    const courseCode = req.params.code.trim().toUpperCase();
+    const { programme, admit_year, acadsem } = req.query;
+    const as = req.query.as ? req.query.as.trim().toUpperCase() : null;
+
+    if (!programme) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_REQUEST',
+          message: 'programme parameter is required'
+        }
+      });
+    }
+
+    if (admit_year !== undefined && !/^\d{4}$/.test(admit_year)) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_REQUEST',
+          message: 'admit_year must be a year such as 2023'
+        }
+      });
+    }
+    const admitYear = admit_year === undefined ? null : parseInt(admit_year, 10);
+
+    if (as && !ELECTIVE_TYPES.includes(as)) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_REQUEST',
+          message: `as must be one of: ${ELECTIVE_TYPES.join(', ')}`
+        }
+      });
+    }
+
+    const result = await getCourseRestrictions({ course_code: courseCode, acadsem });
+    if (!result) {
+      return res.status(404).json({
+        error: {
+          code: 'NOT_FOUND',
+          message: `Course ${courseCode} not found${acadsem ? ` for ${acadsem}` : ''}`
+        }
+      });
+    }
+
+    // Rows scraped before restrictions were normalized are parsed on the fly
+    const restrictions = result.restrictions.length
+      ? result.restrictions
+      : parseProgrammeRestrictions(result.course);
+
+    const programmeCode = programme.trim().toUpperCase();
+    const evaluation = evaluateEligibility(result.course, restrictions, {
+      programme: programmeCode,
+      admitYear,
+      as
+    });
+
+    res.json({
+      course_code: result.course.course_code,
+      acadsem: result.course.acadsem,
+      programme: programmeCode,
+      admit_year: admitYear,
+      as,
+      ...evaluation
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
 module.exports = router;
@@ -1,7 +1,53 @@
 const express = require('express');
-const { getExamTimetable } = require('../database/repository');
+const { getExamTimetable, getExamPlans } = require('../database/repository');
+const { fetchExamDetails } = require('../scrappers/fetchExam');
+const { parseExamDetails, formatWisExamDate } = require('../parsers/examParser');
+const { parseIsoDate } = require('../utils/academicCalendar');
+const { EXAM_STUDENT_TYPES } = require('../utils/format');
+const { analyzeExams } = require('../utils/timetable');
+const { examAnalyzeRequestSchema, describeIssues } = require('../validation/schemas');
+const logger = require('../utils/logger');
 const router = express.Router();
 
+// Live lookups hit WIS directly, so identical queries are answered from memory for a short while
+const LIVE_CACHE_TTL_MS = 60 * 1000;
+const LIVE_CACHE_MAX_ENTRIES = 200;
+const liveCache = new Map();
+
+/**
+ * Fetches and parses one WIS exam query, reusing a recent answer for the same query
+ * @param {object} plan - exam_plans row the query runs against
+ * @param {object} filters - { venue, dept, subject, date } with date as YYYY-MM-DD
+ * @returns {Promise<object>} { exams, fetched_at, cached }
+ */
+async function fetchLiveExams(plan, filters) {
+  const key = JSON.stringify([plan.plan_no, plan.student_type, filters.venue, filters.dept, filters.subject, filters.date]);
+  const hit = liveCache.get(key);
+  if (hit && hit.expiresAt > Date.now()) {
+    return { exams: hit.exams, fetched_at: hit.fetchedAt, cached: true };
+  }
+
+  const html = await fetchExamDetails({
+    academicSession: plan.academic_session,
+    planNo: plan.plan_no,
+    examYear: plan.exam_year,
+    semester: plan.semester,
+    studentType: plan.student_type,
+    venue: filters.venue,
+    dept: filters.dept,
+    subject: filters.subject,
+    examDate: filters.date ? formatWisExamDate(filters.date) : ''
+  });
+  const exams = parseExamDetails(html, plan.acadsem, plan.student_type, plan.academic_session, plan.plan_no);
+  const fetchedAt = new Date().toISOString();
+
+  liveCache.delete(key);
+  liveCache.set(key, { exams, fetchedAt, expiresAt: Date.now() + LIVE_CACHE_TTL_MS });
+  if (liveCache.size > LIVE_CACHE_MAX_ENTRIES) liveCache.delete(liveCache.keys().next().value);
+
+  return { exams, fetched_at: fetchedAt, cached: false };
+}
+
 /**
  * @swagger
  * /exam-timetable:
@@ -38,6 +84,25 @@ const router = express.Router();
  *           enum: [UE, GR]
  *         description: Filter by student type (UE for undergraduate, GR for graduate)
  *       - in: query
+ *         name: date_from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only exams on or after this date (YYYY-MM-DD)
+ *       - in: query
+ *         name: date_to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only exams on or before this date (YYYY-MM-DD)
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [course_code, start]
+ *           default: course_code
+ *         description: Order by course code, or chronologically by exam start (exams without a parsed start come last)
+ *       - in: query
  *         name: limit
  *         schema:
  *           type: integer
@@ -129,6 +194,29 @@ const router = express.Router();
  *                         nullable: true
  *                         example: "113"
  *                         description: Internal exam plan number. May be null if unavailable.
+ *                       exam_date_iso:
+ *                         type: string
+ *                         format: date
+ *                         nullable: true
+ *                         example: "2026-04-27"
+ *                         description: Exam date parsed from exam_date. Null if it could not be parsed.
+ *                       exam_start:
+ *                         type: string
+ *                         format: date-time
+ *                         nullable: true
+ *                         example: "2026-04-27T09:00:00.000Z"
+ *                         description: Exam start (exams are held in Asia/Singapore time, UTC+8). Null if the date or time could not be parsed.
+ *                       exam_end:
+ *                         type: string
+ *                         format: date-time
+ *                         nullable: true
+ *                         example: "2026-04-27T11:30:00.000Z"
+ *                         description: Exam end (start plus duration). Null if the duration could not be parsed.
+ *                       exam_duration_minutes:
+ *                         type: integer
+ *                         nullable: true
+ *                         example: 150
+ *                         description: Exam duration in minutes, parsed from exam_duration
  *                       created_at:
  *                         type: string
  *                         format: date-time
@@ -137,14 +225,45 @@ const router = express.Router();
  *                         type: string
  *                         format: date-time
  *                         description: Timestamp when the record was last updated
+ *       400:
+ *         description: Invalid date, sort or student_type
  */
 router.get('/', async (req, res, next) => {
   try {
-    const { course_code, acadsem, student_type, limit = 100, offset = 0 } = req.query;
+    const { course_code, acadsem, student_type, date_from, date_to, sort = 'course_code', limit = 100, offset = 0 } = req.query;
+
+    if ((date_from && parseIsoDate(date_from) === null) || (date_to && parseIsoDate(date_to) === null)) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_REQUEST',
+          message: 'date_from and date_to must be dates such as 2026-04-27'
+        }
+      });
+    }
+    if (student_type && !EXAM_STUDENT_TYPES[student_type]) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_REQUEST',
+          message: 'student_type must be UE or GR'
+        }
+      });
+    }
+    if (!['course_code', 'start'].includes(sort)) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_REQUEST',
+          message: 'sort must be course_code or start'
+        }
+      });
+    }
+
     const result = await getExamTimetable({ 
       course_code, 
       acadsem,
       student_type,
+      date_from,
+      date_to,
+      sort,
       limit: parseInt(limit, 10), 
       offset: parseInt(offset, 10) 
     });
@@ -154,4 +273,395 @@ router.get('/', async (req, res, next) => {
   }
 });
 
+/**
+ * @swagger
+ * /exam-timetable/plans:
+ *   get:
+ *     summary: List the exam plans published on WIS
+ *     description: |
+ *       Returns every exam plan the scraper has discovered, newest first. `first_seen_at` is when the plan was
+ *       first seen on WIS and `last_seen_at` the latest scrape that still listed it, so a new plan shows up at the
+ *       top shortly after NTU publishes it. Session details are filled in once the plan has been opened by an exam scrape.
+ *     parameters:
+ *       - in: query
+ *         name: student_type
+ *         schema:
+ *           type: string
+ *           enum: [UE, GR]
+ *         description: Filter by student type (UE for undergraduate, GR for graduate)
+ *       - in: query
+ *         name: acadsem
+ *         schema:
+ *           type: string
+ *         description: Filter by academic semester (e.g. 2025_2)
+ *     responses:
+ *       200:
+ *         description: Exam plans
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 count:
+ *                   type: integer
+ *                 rows:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       plan_no:
+ *                         type: string
+ *                         example: "114"
+ *                       student_type:
+ *                         type: string
+ *                         example: "UE"
+ *                       label:
+ *                         type: string
+ *                         nullable: true
+ *                       academic_session:
+ *                         type: string
+ *                         nullable: true
+ *                         example: "Semester 2 Academic Year 2025-2026"
+ *                       exam_year:
+ *                         type: string
+ *                         nullable: true
+ *                         example: "2025"
+ *                       semester:
+ *                         type: string
+ *                         nullable: true
+ *                         example: "2"
+ *                       acadsem:
+ *                         type: string
+ *                         nullable: true
+ *                         example: "2025_2"
+ *                       first_seen_at:
+ *                         type: string
+ *                         format: date-time
+ *                       last_seen_at:
+ *                         type: string
+ *                         format: date-time
+ *       400:
+ *         description: Invalid student_type
+ */
+router.get('/plans', async (req, res, next) => {
+  try {
+    const { student_type, acadsem } = req.query;
+
+    if (student_type && !EXAM_STUDENT_TYPES[student_type]) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_REQUEST',
+          message: 'student_type must be UE or GR'
+        }
+      });
+    }
+
+    const rows = await getExamPlans({ student_type, acadsem });
+    res.json({ count: rows.length, rows });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /exam-timetable/live:
+ *   get:
+ *     summary: Look up exams live from WIS by venue, date, department or subject
+ *     description: |
+ *       Queries the WIS exam timetable directly instead of the stored data, for example to list every exam in a
+ *       venue on a given day. `venue`, `dept` and `subject` are passed to WIS as search filters; `date` is applied
+ *       to the parsed exam dates. At least one filter is required. Results are not saved, and the same query is
+ *       answered from a cache for up to a minute (`cached` is then true).
+ *
+ *       The query runs against the most recently published exam plan for the semester and student type
+ *       (see `/exam-timetable/plans`).
+ *     parameters:
+ *       - in: query
+ *         name: venue
+ *         schema:
+ *           type: string
+ *         description: Venue as listed on WIS (e.g. SPORTS HALL 1)
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Exam date (YYYY-MM-DD)
+ *       - in: query
+ *         name: dept
+ *         schema:
+ *           type: string
+ *         description: Department code as listed on WIS
+ *       - in: query
+ *         name: subject
+ *         schema:
+ *           type: string
+ *         description: Course code (e.g. SC2103)
+ *       - in: query
+ *         name: acadsem
+ *         schema:
+ *           type: string
+ *         description: Academic semester (e.g. 2025_2); defaults to the latest exam plan
+ *       - in: query
+ *         name: student_type
+ *         schema:
+ *           type: string
+ *           enum: [UE, GR]
+ *           default: UE
+ *     responses:
+ *       200:
+ *         description: Exams returned by WIS
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 acadsem:
+ *                   type: string
+ *                 student_type:
+ *                   type: string
+ *                 plan_no:
+ *                   type: string
+ *                 academic_session:
+ *                   type: string
+ *                 fetched_at:
+ *                   type: string
+ *                   format: date-time
+ *                   description: When WIS was queried
+ *                 cached:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 rows:
+ *                   type: array
+ *                   description: Exam records in the same shape as /exam-timetable rows, without timestamps
+ *                   items:
+ *                     type: object
+ *       400:
+ *         description: No filter, or an invalid date or student_type
+ *       404:
+ *         description: No exam plan is known for the semester and student type
+ *       503:
+ *         description: WIS could not be reached
+ */
+router.get('/live', async (req, res, next) => {
+  try {
+    const { acadsem, date, student_type = 'UE' } = req.query;
+    const filters = {
+      venue: String(req.query.venue || '').trim().toUpperCase(),
+      dept: String(req.query.dept || '').trim().toUpperCase(),
+      subject: String(req.query.subject || '').trim().toUpperCase()
+    };
+
+    if (!filters.venue && !filters.dept && !filters.subject && !date) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_REQUEST',
+          message: 'At least one of venue, date, dept or subject is required'
+        }
+      });
+    }
+    if (date && parseIsoDate(date) === null) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_REQUEST',
+          message: 'date must be a date such as 2026-04-27'
+        }
+      });
+    }
+    if (!EXAM_STUDENT_TYPES[student_type]) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_REQUEST',
+          message: 'student_type must be UE or GR'
+        }
+      });
+    }
+
+    const plans = await getExamPlans({ student_type, acadsem });
+    const plan = plans.find(p => p.academic_session && p.exam_year && p.semester);
+    if (!plan) {
+      return res.status(404).json({
+        error: {
+          code: 'NOT_FOUND',
+          message: `No exam plan is known for ${acadsem || 'the current semester'} (${student_type})`
+        }
+      });
+    }
+
+    logger.info(`Live exam lookup on plan ${plan.plan_no}: ${JSON.stringify({ ...filters, date })}`);
+    const { exams, fetched_at, cached } = await fetchLiveExams(plan, { ...filters, date });
+    // WIS filters by date already; this only guards against rows it lets through
+    const rows = date ? exams.filter(exam => exam.exam_date_iso === date) : exams;
+
+    res.json({
+      acadsem: plan.acadsem,
+      student_type,
+      plan_no: plan.plan_no,
+      academic_session: plan.academic_session,
+      fetched_at,
+      cached,
+      count: rows.length,
+      rows
+    });
+  } catch (err) {
+    if (err.code === 'ECONNREFUSED' || err.code === 'ETIMEDOUT' || err.code === 'ECONNABORTED') {
+      return res.status(503).json({
+        error: {
+          code: 'UPSTREAM_ERROR',
+          message: 'Unable to reach the WIS exam timetable. The service may be temporarily unavailable.'
+        }
+      });
+    }
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /exam-timetable/analyze:
+ *   post:
+ *     summary: Analyze the exam load of a set of courses
+ *     description: |
+ *       Reports exams whose papers overlap in time, days with more than one exam, and the rest in hours between
+ *       consecutive papers (from the end of one to the start of the next; negative when they overlap).
+ *       Courses without any exam record are listed in `no_exam`; courses whose exam date or time could not be
+ *       parsed are listed in `unscheduled` and left out of the gap calculation.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [acadsem, course_codes]
+ *             properties:
+ *               acadsem:
+ *                 type: string
+ *                 example: "2025_2"
+ *               course_codes:
+ *                 type: array
+ *                 maxItems: 20
+ *                 items:
+ *                   type: string
+ *                 example: ["SC2103", "SC2008", "SC2005"]
+ *               student_type:
+ *                 type: string
+ *                 enum: [UE, GR]
+ *                 default: UE
+ *                 description: Only exams for this student type, so one student's sittings are analysed
+ *     responses:
+ *       200:
+ *         description: Exam load analysis
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 acadsem:
+ *                   type: string
+ *                 course_codes:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 exams:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 same_slot:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       exam_date:
+ *                         type: string
+ *                       exam_time:
+ *                         type: string
+ *                       start:
+ *                         type: string
+ *                         format: date-time
+ *                         description: Start of the first overlapping paper, or null if the times could not be parsed
+ *                       end:
+ *                         type: string
+ *                         format: date-time
+ *                       course_codes:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                 same_day:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       date:
+ *                         type: string
+ *                         format: date
+ *                       course_codes:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                 gaps:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       from:
+ *                         type: object
+ *                       to:
+ *                         type: object
+ *                       rest_hours:
+ *                         type: number
+ *                         example: 43.5
+ *                 min_rest_hours:
+ *                   type: number
+ *                   nullable: true
+ *                 unscheduled:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 no_exam:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *       400:
+ *         description: Invalid body
+ */
+router.post('/analyze', async (req, res, next) => {
+  try {
+    const parsed = examAnalyzeRequestSchema.safeParse(req.body || {});
+    if (!parsed.success) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_REQUEST',
+          message: describeIssues(parsed.error)
+        }
+      });
+    }
+
+    const { acadsem, student_type } = parsed.data;
+    const courseCodes = [...new Set(parsed.data.course_codes)];
+    const { rows } = await getExamTimetable({ acadsem, student_type, course_codes: courseCodes, sort: 'start', limit: 500 });
+
+    res.json({
+      acadsem,
+      student_type,
+      course_codes: courseCodes,
+      exams: rows.map(row => ({
+        course_code: row.course_code,
+        course_title: row.course_title,
+        student_type: row.student_type,
+        exam_date: row.exam_date,
+        exam_time: row.exam_time,
+        exam_duration: row.exam_duration,
+        exam_start: row.exam_start ?? null,
+        exam_end: row.exam_end ?? null,
+        venue: row.venue
+      })),
+      ...analyzeExams(rows, courseCodes)
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
 module.exports = router;
@@ -1,5 +1,6 @@
 const express = require('express');
 const { getCourseSchedule } = require('../database/repository');
+const { parseClockTime, parseDayOfWeek } = require('../parsers/scheduleParser');
 const router = express.Router();
 
 /**
@@ -19,6 +20,26 @@ const router = express.Router();
  *           type: string
  *         description: Filter by academic semester (e.g. 2025_2)
  *       - in: query
+ *         name: day
+ *         schema:
+ *           type: string
+ *         description: Filter by day of week (e.g. MON, TUE or 1-7 with Monday = 1)
+ *       - in: query
+ *         name: starts_after
+ *         schema:
+ *           type: string
+ *         description: Only sessions starting at or after this time, 24-hour HHMM (e.g. 1000)
+ *       - in: query
+ *         name: ends_before
+ *         schema:
+ *           type: string
+ *         description: Only sessions ending at or before this time, 24-hour HHMM (e.g. 1800)
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *         description: Filter by session type, case-insensitive (e.g. LEC/STUDIO, TUT, LAB)
+ *       - in: query
  *         name: limit
  *         schema:
  *           type: integer
@@ -87,13 +108,61 @@ const router = express.Router();
  *                       remark:
  *                         type: string
  *                         example: ""
+ *                       day_of_week:
+ *                         type: integer
+ *                         nullable: true
+ *                         description: ISO day of week (Monday = 1)
+ *                         example: 1
+ *                       start_minute:
+ *                         type: integer
+ *                         nullable: true
+ *                         description: Start time in minutes after midnight
+ *                         example: 570
+ *                       end_minute:
+ *                         type: integer
+ *                         nullable: true
+ *                         description: End time in minutes after midnight
+ *                         example: 680
+ *                       teaching_weeks:
+ *                         type: array
+ *                         nullable: true
+ *                         items:
+ *                           type: integer
+ *                         description: Teaching weeks the session runs, parsed from remark (all 13 weeks when the remark lists none)
+ *                         example: [2, 4, 6, 8, 10, 12]
+ *                       week_pattern:
+ *                         type: string
+ *                         nullable: true
+ *                         enum: [all, odd, even, custom]
+ *                         description: Summary of teaching_weeks
+ *                         example: "even"
+ *       400:
+ *         description: Invalid day or time filter
  */
 router.get('/', async (req, res, next) => {
   try {
-    const { course_code, acadsem, limit = 100, offset = 0 } = req.query;
+    const { course_code, acadsem, day, starts_after, ends_before, type, limit = 100, offset = 0 } = req.query;
+
+    const dayOfWeek = day === undefined ? undefined : parseDayOfWeek(day);
+    const startsAfter = starts_after === undefined ? undefined : parseClockTime(starts_after);
+    const endsBefore = ends_before === undefined ? undefined : parseClockTime(ends_before);
+
+    if (dayOfWeek === null || startsAfter === null || endsBefore === null) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_REQUEST',
+          message: 'day must be a weekday such as MON, and starts_after / ends_before must be times such as 0930'
+        }
+      });
+    }
+
     const result = await getCourseSchedule({ 
       course_code, 
       acadsem, 
+      day_of_week: dayOfWeek,
+      starts_after: startsAfter,
+      ends_before: endsBefore,
+      type,
       limit: parseInt(limit, 10), 
       offset: parseInt(offset, 10) 
     });
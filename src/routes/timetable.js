@@ -0,0 +1,383 @@
+const express = require('express');
+const { getSessionsByIndexes, getSessionsByCourses, getExamsForCourses } = require('../database/repository');
+const { timetableCheckRequestSchema, timetablePlanRequestSchema, describeIssues } = require('../validation/schemas');
+const { findSessionClashes, findExamClashes } = require('../utils/timetable');
+const { planTimetables, DEFAULT_PLAN_LIMIT, DEFAULT_TIME_BUDGET_MS } = require('../utils/timetablePlanner');
+const { parseClockTime, parseDayOfWeek } = require('../parsers/scheduleParser');
+const router = express.Router();
+
+/**
+ * @swagger
+ * /timetable/check:
+ *   post:
+ *     summary: Check a set of indexes for class and exam clashes
+ *     description: |
+ *       Loads every session of the given indexes from the stored class schedule and reports each pair of
+ *       sessions that overlap on the same day in at least one common teaching week. Exams of the selected
+ *       courses whose papers overlap in time (from their parsed start and duration) are reported as exam clashes.
+ *       Sessions whose day or time could not be parsed are not checked.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [acadsem, indexes]
+ *             properties:
+ *               acadsem:
+ *                 type: string
+ *                 example: "2025_2"
+ *               indexes:
+ *                 type: array
+ *                 maxItems: 20
+ *                 items:
+ *                   type: string
+ *                 example: ["10284", "10301"]
+ *     responses:
+ *       200:
+ *         description: Clash report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 acadsem:
+ *                   type: string
+ *                 has_clash:
+ *                   type: boolean
+ *                 courses:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       index:
+ *                         type: string
+ *                       course_code:
+ *                         type: string
+ *                 missing_indexes:
+ *                   type: array
+ *                   description: Requested indexes with no sessions in this semester
+ *                   items:
+ *                     type: string
+ *                 clashes:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       a:
+ *                         type: object
+ *                       b:
+ *                         type: object
+ *                       day:
+ *                         type: string
+ *                         example: "TUE"
+ *                       overlap:
+ *                         type: object
+ *                         properties:
+ *                           start:
+ *                             type: string
+ *                             example: "1030"
+ *                           end:
+ *                             type: string
+ *                             example: "1120"
+ *                           minutes:
+ *                             type: integer
+ *                       weeks:
+ *                         type: array
+ *                         description: Teaching weeks in which both sessions run
+ *                         items:
+ *                           type: integer
+ *                 exam_clashes:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       exam_date:
+ *                         type: string
+ *                       exam_time:
+ *                         type: string
+ *                       start:
+ *                         type: string
+ *                         format: date-time
+ *                         description: Start of the first overlapping paper, or null if the times could not be parsed
+ *                       end:
+ *                         type: string
+ *                         format: date-time
+ *                       course_codes:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *       400:
+ *         description: Invalid body, or two indexes of the same course
+ *       404:
+ *         description: None of the indexes were found in the semester
+ */
+router.post('/check', async (req, res, next) => {
+  try {
+    const parsed = timetableCheckRequestSchema.safeParse(req.body || {});
+    if (!parsed.success) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_REQUEST',
+          message: describeIssues(parsed.error)
+        }
+      });
+    }
+
+    const { acadsem } = parsed.data;
+    const indexes = [...new Set(parsed.data.indexes)];
+    const sessions = await getSessionsByIndexes({ acadsem, indexes });
+
+    if (sessions.length === 0) {
+      return res.status(404).json({
+        error: {
+          code: 'NOT_FOUND',
+          message: `None of the indexes were found in ${acadsem}`
+        }
+      });
+    }
+
+    const courseByIndex = new Map(sessions.map(s => [s.index, s.course_code]));
+    const courses = indexes
+      .filter(index => courseByIndex.has(index))
+      .map(index => ({ index, course_code: courseByIndex.get(index) }));
+
+    const seenCourses = new Map();
+    for (const { index, course_code } of courses) {
+      if (seenCourses.has(course_code)) {
+        return res.status(400).json({
+          error: {
+            code: 'INVALID_REQUEST',
+            message: `Indexes ${seenCourses.get(course_code)} and ${index} both belong to ${course_code}`
+          }
+        });
+      }
+      seenCourses.set(course_code, index);
+    }
+
+    const exams = await getExamsForCourses({ acadsem, course_codes: [...seenCourses.keys()] });
+    const clashes = findSessionClashes(sessions);
+    const examClashes = findExamClashes(exams);
+
+    res.json({
+      acadsem,
+      has_clash: clashes.length > 0 || examClashes.length > 0,
+      courses,
+      missing_indexes: indexes.filter(index => !courseByIndex.has(index)),
+      clashes,
+      exam_clashes: examClashes
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /timetable/plan:
+ *   post:
+ *     summary: Generate clash-free timetables for a set of courses
+ *     description: |
+ *       Searches index combinations of the requested courses in the stored class schedule and returns the
+ *       best-ranked timetables with no clashes (teaching weeks are taken into account). Timetables are ranked by
+ *       fewest days on campus, then least idle time between classes, then latest first class.
+ *       Indexes that meet at exactly the same times are searched once and listed as `alternatives`.
+ *       The search stops after `timeout_ms`; `truncated` is then true and the results are the best found so far.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [acadsem, course_codes]
+ *             properties:
+ *               acadsem:
+ *                 type: string
+ *                 example: "2025_2"
+ *               course_codes:
+ *                 type: array
+ *                 maxItems: 10
+ *                 items:
+ *                   type: string
+ *                 example: ["SC2005", "SC2008", "SC2207"]
+ *               constraints:
+ *                 type: object
+ *                 properties:
+ *                   no_classes_before:
+ *                     type: string
+ *                     description: No class may start before this time, 24-hour HHMM
+ *                     example: "1000"
+ *                   free_day:
+ *                     type: string
+ *                     description: A weekday that must have no classes (e.g. FRI), or ANY for at least one free weekday
+ *                     example: "ANY"
+ *                   max_consecutive_hours:
+ *                     type: number
+ *                     description: Longest allowed run of back-to-back classes (breaks of 10 minutes or less do not count)
+ *                     example: 4
+ *                   locked_indexes:
+ *                     type: array
+ *                     description: Indexes that must be used for their course
+ *                     items:
+ *                       type: string
+ *               limit:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 20
+ *                 default: 5
+ *               timeout_ms:
+ *                 type: integer
+ *                 minimum: 50
+ *                 maximum: 500
+ *                 default: 200
+ *     responses:
+ *       200:
+ *         description: Ranked timetables
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 acadsem:
+ *                   type: string
+ *                 count:
+ *                   type: integer
+ *                 explored:
+ *                   type: integer
+ *                   description: Clash-free combinations evaluated
+ *                 truncated:
+ *                   type: boolean
+ *                 blocked:
+ *                   type: array
+ *                   description: Courses left with no usable index after applying the constraints
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       course_code:
+ *                         type: string
+ *                       reason:
+ *                         type: string
+ *                 timetables:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       rank:
+ *                         type: integer
+ *                       days_on_campus:
+ *                         type: integer
+ *                       free_weekdays:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                       idle_minutes:
+ *                         type: integer
+ *                       earliest_start:
+ *                         type: string
+ *                       latest_end:
+ *                         type: string
+ *                       indexes:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             course_code:
+ *                               type: string
+ *                             index:
+ *                               type: string
+ *                             alternatives:
+ *                               type: array
+ *                               items:
+ *                                 type: string
+ *       400:
+ *         description: Invalid body or constraints
+ *       404:
+ *         description: Some courses have no schedule in the semester
+ */
+router.post('/plan', async (req, res, next) => {
+  try {
+    const parsed = timetablePlanRequestSchema.safeParse(req.body || {});
+    if (!parsed.success) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_REQUEST',
+          message: describeIssues(parsed.error)
+        }
+      });
+    }
+
+    const { acadsem, constraints = {}, limit = DEFAULT_PLAN_LIMIT, timeout_ms = DEFAULT_TIME_BUDGET_MS } = parsed.data;
+    const courseCodes = [...new Set(parsed.data.course_codes)];
+
+    const earliestStart = constraints.no_classes_before === undefined ? undefined : parseClockTime(constraints.no_classes_before);
+    const anyFreeDay = String(constraints.free_day || '').trim().toUpperCase() === 'ANY';
+    const freeDay = constraints.free_day === undefined || anyFreeDay ? undefined : parseDayOfWeek(constraints.free_day);
+
+    if (earliestStart === null || freeDay === null) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_REQUEST',
+          message: 'no_classes_before must be a time such as 1000, and free_day a weekday such as FRI or ANY'
+        }
+      });
+    }
+
+    const sessions = await getSessionsByCourses({ acadsem, course_codes: courseCodes });
+    const found = new Set(sessions.map(s => s.course_code));
+    const missing = courseCodes.filter(code => !found.has(code));
+
+    if (missing.length > 0) {
+      return res.status(404).json({
+        error: {
+          code: 'NOT_FOUND',
+          message: `No schedule found in ${acadsem} for ${missing.join(', ')}`
+        }
+      });
+    }
+
+    const courseByIndex = new Map(sessions.map(s => [s.index, s.course_code]));
+    const locked = {};
+    for (const index of constraints.locked_indexes || []) {
+      const courseCode = courseByIndex.get(index);
+      if (!courseCode || locked[courseCode]) {
+        return res.status(400).json({
+          error: {
+            code: 'INVALID_REQUEST',
+            message: courseCode
+              ? `Only one index can be locked for ${courseCode}`
+              : `Locked index ${index} does not belong to any requested course`
+          }
+        });
+      }
+      locked[courseCode] = index;
+    }
+
+    const result = await planTimetables(sessions, {
+      courseCodes,
+      constraints: {
+        earliest_start: earliestStart,
+        free_days: freeDay ? [freeDay] : [],
+        any_free_day: anyFreeDay,
+        max_consecutive_minutes: constraints.max_consecutive_hours === undefined
+          ? undefined
+          : Math.round(constraints.max_consecutive_hours * 60)
+      },
+      locked,
+      limit,
+      timeBudgetMs: timeout_ms
+    });
+
+    res.json({
+      acadsem,
+      count: result.timetables.length,
+      explored: result.explored,
+      truncated: result.truncated,
+      blocked: result.blocked,
+      timetables: result.timetables
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
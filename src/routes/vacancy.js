@@ -1,11 +1,82 @@
 const express = require('express');
-const { fetchVacancy } = require('../scrappers/fetchVacancy');
 const { parseVacancyHtml } = require('../parsers/vacancyParser');
-const { vacancyResponseSchema } = require('../validation/schemas');
+const { vacancyResponseSchema, vacancyBulkRequestSchema, describeIssues } = require('../validation/schemas');
+const { saveVacancySnapshots, getVacancyHistory } = require('../database/repository');
+const { fetchVacancyCached } = require('../utils/vacancyCache');
+const { hasApiKey } = require('../utils/apiKeys');
+const { mapWithConcurrency } = require('../utils/concurrency');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
+const BULK_CONCURRENCY = Number(process.env.VACANCY_BULK_CONCURRENCY || 3);
+
+/**
+ * Records a snapshot of every index read from the vacancy service
+ * A failed write is logged but does not fail the live response.
+ * @param {string} courseCode - Course code
+ * @param {Array<object>} indexes - Validated vacancy indexes
+ * @param {Date} fetchedAt - When the service was read
+ */
+async function recordSnapshots(courseCode, indexes, fetchedAt) {
+  try {
+    await saveVacancySnapshots(courseCode, indexes, fetchedAt);
+  } catch (err) {
+    logger.warn(`Could not record vacancy snapshots for ${courseCode}: ${err.message}`);
+  }
+}
+
+/**
+ * Reads, validates and records the vacancy of one course
+ * Errors reported by NTU in the page come back as { error } with the HTTP status to use; connection and
+ * validation errors are thrown.
+ * @param {string} courseCode - Uppercase course code
+ * @param {object} [options] - { fresh }
+ * @returns {Promise<object>} { course_code, fetched_at, age, cached, indexes } or { error: { status, code, message, source } }
+ */
+async function readCourseVacancy(courseCode, { fresh = false } = {}) {
+  const { html, fetched_at, source } = await fetchVacancyCached(courseCode, { fresh });
+  
+  // Parse HTML response
+  const result = parseVacancyHtml(html, courseCode);
+  
+  // Check if NTU returned an error (e.g., service hours)
+  if (result.error) {
+    // Determine the appropriate status code based on the error message
+    if (result.error.includes('only available from')) {
+      logger.warn(`NTU service unavailable: ${result.error}`);
+      return { error: { status: 503, code: 'SERVICE_UNAVAILABLE', message: result.error, source: 'NTU_VACANCY_SERVICE' } };
+    }
+    
+    // Generic error from NTU
+    logger.error(`NTU returned error for ${courseCode}: ${result.error}`);
+    return { error: { status: 500, code: 'UPSTREAM_ERROR', message: result.error, source: 'NTU_VACANCY_SERVICE' } };
+  }
+  
+  if (result.indexes.length === 0) {
+    logger.info(`No indexes found for course ${courseCode}`);
+    return {
+      error: {
+        status: 404,
+        code: 'NOT_FOUND',
+        message: `No indexes found for course ${courseCode}. Course may not exist or not be offered this semester.`
+      }
+    };
+  }
+  
+  // Validate every index; only readings made for this request are recorded, not cached or shared ones
+  const validated = vacancyResponseSchema.parse({ course_code: courseCode, indexes: result.indexes });
+  if (source === 'upstream') await recordSnapshots(courseCode, validated.indexes, fetched_at);
+
+  return {
+    course_code: courseCode,
+    fetched_at: fetched_at.toISOString(),
+    age: Math.max(0, Math.floor((Date.now() - fetched_at.getTime()) / 1000)),
+    cached: source !== 'upstream',
+    indexes: validated.indexes
+  };
+}
+
 /**
  * @swagger
  * /vacancy:
@@ -13,11 +84,14 @@ const router = express.Router();
  *     summary: Check course vacancy and waitlist information
  *     description: |
  *       Fetches real-time vacancy and waitlist data for a given course from NTU Vacancy Service.
- *       This endpoint does NOT store data in the database - it returns live data directly from NTU.
+ *       The vacancy and waitlist of every index of the course are also recorded as a timestamped snapshot,
+ *       served by `/vacancy/history`.
  *       
  *       **Important Notes:**
  *       - Service availability is determined by NTU Vacancy Service (typically 9:00 AM to 10:00 PM Singapore time)
- *       - Data is fetched in real-time from NTU Vacancy Service API
+ *       - Pages are cached for a few seconds (`VACANCY_CACHE_TTL_SECONDS`) and simultaneous requests for the same
+ *         course share one upstream request; `fetched_at` and `age` tell how fresh the numbers are
+ *       - `fresh=true` bypasses the cache and requires an `X-API-Key` header
  *       - Response time may vary depending on NTU server load
  *       - Course code must be valid and currently offered
  *       - Error messages from NTU are passed through directly
@@ -36,6 +110,12 @@ const router = express.Router();
  *           type: string
  *         description: Specific index number to filter (optional, returns all indexes if omitted)
  *         example: "10294"
+ *       - in: query
+ *         name: fresh
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *         description: Skip the cache and read NTU directly (requires an X-API-Key header)
  *     responses:
  *       200:
  *         description: Vacancy information retrieved successfully
@@ -48,6 +128,17 @@ const router = express.Router();
  *                   type: string
  *                   description: Course code
  *                   example: "SC2103"
+ *                 fetched_at:
+ *                   type: string
+ *                   format: date-time
+ *                   description: When the numbers were read from NTU
+ *                 age:
+ *                   type: integer
+ *                   description: Seconds since fetched_at
+ *                   example: 4
+ *                 cached:
+ *                   type: boolean
+ *                   description: True if the numbers came from the cache or a request already in flight
  *                 indexes:
  *                   type: array
  *                   description: List of course indexes with vacancy information
@@ -108,6 +199,8 @@ const router = express.Router();
  *                     message:
  *                       type: string
  *                       example: "course_code parameter is required"
+ *       401:
+ *         description: fresh=true without a valid API key
  *       404:
  *         description: Course not found or no indexes available
  *         content:
@@ -146,6 +239,7 @@ const router = express.Router();
 router.get('/', async (req, res, next) => {
   try {
     const { course_code, index } = req.query;
+    const fresh = req.query.fresh === 'true';
     
     // Validate required parameter
     if (!course_code) {
@@ -157,56 +251,29 @@ router.get('/', async (req, res, next) => {
       });
     }
     
-    // Fetch vacancy data from NTU
-    const courseCodeUpper = course_code.trim().toUpperCase();
-    logger.info(`Processing vacancy request for course: ${courseCodeUpper}${index ? ` (index: ${index})` : ''}`);
-    
-    const html = await fetchVacancy(courseCodeUpper);
-    
-    // Parse HTML response
-    const result = parseVacancyHtml(html, courseCodeUpper);
-    
-    // Check if NTU returned an error (e.g., service hours)
-    if (result.error) {
-      // Determine the appropriate status code based on the error message
-      if (result.error.includes('only available from')) {
-        logger.warn(`NTU service unavailable: ${result.error}`);
-        return res.status(503).json({
-          error: {
-            code: 'SERVICE_UNAVAILABLE',
-            message: result.error,
-            source: 'NTU_VACANCY_SERVICE'
-          }
-        });
-      }
-      
-      // Generic error from NTU
-      logger.error(`NTU returned error for ${courseCodeUpper}: ${result.error}`);
-      return res.status(500).json({
+    if (fresh && !hasApiKey(req)) {
+      return res.status(401).json({
         error: {
-          code: 'UPSTREAM_ERROR',
-          message: result.error,
-          source: 'NTU_VACANCY_SERVICE'
+          code: 'UNAUTHORIZED',
+          message: 'fresh=true requires a valid X-API-Key header'
         }
       });
     }
     
-    const indexes = result.indexes;
+    // Fetch vacancy data from NTU, or the cache
+    const courseCodeUpper = course_code.trim().toUpperCase();
+    logger.info(`Processing vacancy request for course: ${courseCodeUpper}${index ? ` (index: ${index})` : ''}`);
     
-    if (indexes.length === 0) {
-      logger.info(`No indexes found for course ${courseCodeUpper}`);
-      return res.status(404).json({
-        error: {
-          code: 'NOT_FOUND',
-          message: `No indexes found for course ${courseCodeUpper}. Course may not exist or not be offered this semester.`
-        }
-      });
+    const vacancy = await readCourseVacancy(courseCodeUpper, { fresh });
+    if (vacancy.error) {
+      const { status, ...error } = vacancy.error;
+      return res.status(status).json({ error });
     }
-    
+
     // Filter by specific index if requested
-    let filteredIndexes = indexes;
+    let filteredIndexes = vacancy.indexes;
     if (index) {
-      filteredIndexes = indexes.filter(idx => idx.index === index.trim());
+      filteredIndexes = vacancy.indexes.filter(idx => idx.index === index.trim());
       
       if (filteredIndexes.length === 0) {
         return res.status(404).json({
@@ -218,17 +285,9 @@ router.get('/', async (req, res, next) => {
       }
     }
     
-    // Construct response
-    const response = {
-      course_code: courseCodeUpper,
-      indexes: filteredIndexes
-    };
-    
-    // Validate response against schema
-    const validated = vacancyResponseSchema.parse(response);
-    
     logger.info(`Successfully retrieved vacancy for ${courseCodeUpper} with ${filteredIndexes.length} index(es)`);
-    res.json(validated);
+    res.set('Age', String(vacancy.age));
+    res.json({ ...vacancy, indexes: filteredIndexes });
     
   } catch (error) {
     logger.error(`Error in vacancy endpoint: ${error.message}`);
@@ -258,4 +317,322 @@ router.get('/', async (req, res, next) => {
   }
 });
 
+/**
+ * Groups bulk entries by course, keeping the order in which courses first appear
+ * An entry without an index asks for every index of its course.
+ * @param {Array<string|object>} entries - Course codes or { course_code, index }
+ * @returns {Array<object>} { course_code, indexes } where indexes is null for all indexes
+ */
+function groupBulkEntries(entries) {
+  const courses = new Map();
+  for (const entry of entries) {
+    const { course_code, index } = typeof entry === 'string' ? { course_code: entry } : entry;
+    const current = courses.get(course_code);
+    if (current === null) continue;
+    if (index === undefined) courses.set(course_code, null);
+    else courses.set(course_code, [...new Set([...(current || []), index])]);
+  }
+  return [...courses].map(([course_code, indexes]) => ({ course_code, indexes }));
+}
+
+/**
+ * Reads one course of a bulk request; every failure is reported in the result instead of being thrown
+ * @param {object} course - { course_code, indexes } from groupBulkEntries
+ * @param {boolean} fresh - Skip the cache
+ * @returns {Promise<object>} Per-course result
+ */
+async function readBulkCourse({ course_code, indexes }, fresh) {
+  try {
+    const vacancy = await readCourseVacancy(course_code, { fresh });
+    if (vacancy.error) {
+      const { code, message } = vacancy.error;
+      return { course_code, status: 'error', error: { code, message } };
+    }
+
+    const requested = indexes || vacancy.indexes.map(idx => idx.index);
+    const found = new Set(vacancy.indexes.map(idx => idx.index));
+    return {
+      course_code,
+      status: 'ok',
+      fetched_at: vacancy.fetched_at,
+      age: vacancy.age,
+      cached: vacancy.cached,
+      indexes: vacancy.indexes.filter(idx => requested.includes(idx.index)),
+      missing_indexes: requested.filter(index => !found.has(index))
+    };
+  } catch (error) {
+    logger.error(`Error reading vacancy for ${course_code} in bulk request: ${error.message}`);
+    const unreachable = error.code === 'ECONNREFUSED' || error.code === 'ETIMEDOUT';
+    return {
+      course_code,
+      status: 'error',
+      error: unreachable
+        ? { code: 'UPSTREAM_ERROR', message: 'Unable to connect to NTU Vacancy Service server. The service may be temporarily unavailable.' }
+        : { code: 'INTERNAL_ERROR', message: `Failed to read vacancy for ${course_code}` }
+    };
+  }
+}
+
+/**
+ * @swagger
+ * /vacancy/bulk:
+ *   post:
+ *     summary: Get real-time vacancy for several courses
+ *     description: |
+ *       Reads up to 20 courses in one call. Each entry is a course code (all indexes) or a course/index pair;
+ *       pairs of the same course are read with one request. Courses are read a few at a time
+ *       (`VACANCY_BULK_CONCURRENCY`) through the same cache and upstream rate limit as `GET /vacancy`.
+ *
+ *       The response is always 200 with one result per course in request order. A course that fails,
+ *       for example outside NTU service hours, is reported with `status: error` without affecting the others.
+ *       `fresh: true` bypasses the cache and requires an `X-API-Key` header.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [courses]
+ *             properties:
+ *               courses:
+ *                 type: array
+ *                 minItems: 1
+ *                 maxItems: 20
+ *                 items:
+ *                   oneOf:
+ *                     - type: string
+ *                     - type: object
+ *                       required: [course_code]
+ *                       properties:
+ *                         course_code:
+ *                           type: string
+ *                         index:
+ *                           type: string
+ *                 example: ["SC2103", { "course_code": "SC2005", "index": "10284" }]
+ *               fresh:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       200:
+ *         description: Per-course results
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 count:
+ *                   type: integer
+ *                 succeeded:
+ *                   type: integer
+ *                 failed:
+ *                   type: integer
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       course_code:
+ *                         type: string
+ *                       status:
+ *                         type: string
+ *                         enum: [ok, error]
+ *                       fetched_at:
+ *                         type: string
+ *                         format: date-time
+ *                       age:
+ *                         type: integer
+ *                       cached:
+ *                         type: boolean
+ *                       indexes:
+ *                         type: array
+ *                         description: Same shape as GET /vacancy
+ *                         items:
+ *                           type: object
+ *                       missing_indexes:
+ *                         type: array
+ *                         description: Requested indexes the course does not have
+ *                         items:
+ *                           type: string
+ *                       error:
+ *                         type: object
+ *                         properties:
+ *                           code:
+ *                             type: string
+ *                             example: "SERVICE_UNAVAILABLE"
+ *                           message:
+ *                             type: string
+ *       400:
+ *         description: Invalid body
+ *       401:
+ *         description: fresh=true without a valid API key
+ */
+router.post('/bulk', async (req, res, next) => {
+  try {
+    const parsed = vacancyBulkRequestSchema.safeParse(req.body || {});
+    if (!parsed.success) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_REQUEST',
+          message: describeIssues(parsed.error)
+        }
+      });
+    }
+
+    const { fresh } = parsed.data;
+    if (fresh && !hasApiKey(req)) {
+      return res.status(401).json({
+        error: {
+          code: 'UNAUTHORIZED',
+          message: 'fresh=true requires a valid X-API-Key header'
+        }
+      });
+    }
+
+    const courses = groupBulkEntries(parsed.data.courses);
+    logger.info(`Processing bulk vacancy request for ${courses.length} course(s)`);
+    const results = await mapWithConcurrency(courses, BULK_CONCURRENCY, course => readBulkCourse(course, fresh));
+    const succeeded = results.filter(result => result.status === 'ok').length;
+
+    res.json({
+      count: results.length,
+      succeeded,
+      failed: results.length - succeeded,
+      results
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /vacancy/history:
+ *   get:
+ *     summary: Vacancy and waitlist time series of a course
+ *     description: |
+ *       Returns the snapshots recorded each time `/vacancy` read the course from the NTU Vacancy Service,
+ *       grouped per index in chronological order. Snapshots are only as frequent as the course was looked up.
+ *       When more than `limit` snapshots match, the most recent ones are returned.
+ *     parameters:
+ *       - in: query
+ *         name: course_code
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: SC2103
+ *       - in: query
+ *         name: index
+ *         schema:
+ *           type: string
+ *         description: Only this index
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only snapshots taken at or after this time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only snapshots taken at or before this time
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 1000
+ *           maximum: 5000
+ *     responses:
+ *       200:
+ *         description: Time series per index
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 course_code:
+ *                   type: string
+ *                 total:
+ *                   type: integer
+ *                   description: Matching snapshots
+ *                 count:
+ *                   type: integer
+ *                   description: Snapshots returned
+ *                 series:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       index:
+ *                         type: string
+ *                       points:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             captured_at:
+ *                               type: string
+ *                             vacancy:
+ *                               type: integer
+ *                             waitlist:
+ *                               type: integer
+ *       400:
+ *         description: Missing course_code or invalid time range
+ */
+router.get('/history', async (req, res, next) => {
+  try {
+    const { course_code, index, from, to, limit = 1000 } = req.query;
+
+    if (!course_code) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_REQUEST',
+          message: 'course_code parameter is required'
+        }
+      });
+    }
+    if ((from && Number.isNaN(Date.parse(from))) || (to && Number.isNaN(Date.parse(to)))) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_REQUEST',
+          message: 'from and to must be timestamps such as 2026-01-05T08:00:00Z'
+        }
+      });
+    }
+    if (from && to && Date.parse(from) > Date.parse(to)) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_REQUEST',
+          message: 'from must not be after to'
+        }
+      });
+    }
+
+    const courseCodeUpper = course_code.trim().toUpperCase();
+    const result = await getVacancyHistory({
+      course_code: courseCodeUpper,
+      index: index ? index.trim() : undefined,
+      from: from ? new Date(from) : undefined,
+      to: to ? new Date(to) : undefined,
+      limit: parseInt(limit, 10)
+    });
+
+    const series = new Map();
+    for (const { index: idx, captured_at, vacancy, waitlist } of result.rows) {
+      if (!series.has(idx)) series.set(idx, []);
+      series.get(idx).push({ captured_at, vacancy, waitlist });
+    }
+
+    res.json({
+      course_code: courseCodeUpper,
+      total: result.total,
+      count: result.count,
+      series: [...series].map(([idx, points]) => ({ index: idx, points }))
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
 module.exports = router;
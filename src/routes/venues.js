@@ -0,0 +1,291 @@
+const express = require('express');
+const { getVenueUsage, getVenueSchedule, getFreeVenues } = require('../database/repository');
+const { normalizeVenue } = require('../utils/format');
+const { parseClockTime, formatClockTime, parseDayOfWeek, DAYS_OF_WEEK, TEACHING_WEEKS } = require('../parsers/scheduleParser');
+const router = express.Router();
+
+/**
+ * Folds per-semester usage rows into one catalogue entry per venue
+ * @param {Array<object>} rows - Rows from getVenueUsage
+ * @returns {Array<object>} Catalogue entries
+ */
+function buildCatalogue(rows) {
+  const venues = new Map();
+
+  for (const row of rows) {
+    if (!venues.has(row.venue_key)) {
+      venues.set(row.venue_key, {
+        venue: row.venue_key,
+        kind: normalizeVenue(row.venue_key).kind,
+        variants: new Set(),
+        sessions: 0,
+        exams: 0,
+        usage: [],
+      });
+    }
+    const entry = venues.get(row.venue_key);
+    (row.variants || []).forEach(v => entry.variants.add(v));
+    entry.sessions += row.sessions;
+    entry.exams += row.exams;
+    entry.usage.push({ acadsem: row.acadsem, sessions: row.sessions, exams: row.exams });
+  }
+
+  return [...venues.values()].map(entry => ({ ...entry, variants: [...entry.variants].sort() }));
+}
+
+/**
+ * @swagger
+ * /venues:
+ *   get:
+ *     summary: Retrieve the venue catalogue
+ *     description: |
+ *       Lists every venue found in class schedules and exam timetables.
+ *       Venue strings are normalized (case, whitespace, spacing around hyphens) so variants share one entry;
+ *       `variants` lists the raw spellings seen. Online venues are grouped under `ONLINE`; blank or TBA venues are excluded.
+ *     parameters:
+ *       - in: query
+ *         name: acadsem
+ *         schema:
+ *           type: string
+ *         description: Only count usage in this academic semester (e.g. 2025_2)
+ *     responses:
+ *       200:
+ *         description: Venue catalogue with per-semester usage counts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 count:
+ *                   type: integer
+ *                 rows:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       venue:
+ *                         type: string
+ *                         example: "LT19A"
+ *                       kind:
+ *                         type: string
+ *                         enum: [physical, online]
+ *                       variants:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                         example: ["LT19A", "LT19a"]
+ *                       sessions:
+ *                         type: integer
+ *                         description: Scheduled class sessions across the listed semesters
+ *                       exams:
+ *                         type: integer
+ *                         description: Exam papers across the listed semesters
+ *                       usage:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             acadsem:
+ *                               type: string
+ *                             sessions:
+ *                               type: integer
+ *                             exams:
+ *                               type: integer
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const { acadsem } = req.query;
+    const rows = buildCatalogue(await getVenueUsage({ acadsem }));
+    res.json({ count: rows.length, rows });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /venues/free:
+ *   get:
+ *     summary: Find venues with no class in a time window
+ *     description: |
+ *       Returns physical venues used by the semester's class schedule that have no session overlapping
+ *       the requested window. When `week` is given, sessions restricted to other teaching weeks
+ *       (e.g. "Teaching Wk2,4,6") do not block the venue. Exams are not considered.
+ *     parameters:
+ *       - in: query
+ *         name: acadsem
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Academic semester (e.g. 2025_2)
+ *       - in: query
+ *         name: day
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Day of week (e.g. TUE or 1-7 with Monday = 1)
+ *       - in: query
+ *         name: start
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Window start, 24-hour HHMM (e.g. 1330)
+ *       - in: query
+ *         name: end
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Window end, 24-hour HHMM (e.g. 1530)
+ *       - in: query
+ *         name: week
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 13
+ *         description: Teaching week; omit to require the venue to be free in every week
+ *     responses:
+ *       200:
+ *         description: Free venues
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 acadsem:
+ *                   type: string
+ *                 day:
+ *                   type: string
+ *                   example: "TUE"
+ *                 start:
+ *                   type: string
+ *                   example: "1330"
+ *                 end:
+ *                   type: string
+ *                   example: "1530"
+ *                 week:
+ *                   type: integer
+ *                   nullable: true
+ *                 count:
+ *                   type: integer
+ *                 rows:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       venue:
+ *                         type: string
+ *                         example: "LT19A"
+ *       400:
+ *         description: Missing or invalid parameters
+ */
+router.get('/free', async (req, res, next) => {
+  try {
+    const { acadsem, day, start, end, week } = req.query;
+
+    const dayOfWeek = day === undefined ? null : parseDayOfWeek(day);
+    const startMinute = start === undefined ? null : parseClockTime(start);
+    const endMinute = end === undefined ? null : parseClockTime(end);
+    const weekNumber = week === undefined ? null : Number(week);
+
+    if (!acadsem || dayOfWeek === null || startMinute === null || endMinute === null || startMinute >= endMinute) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_REQUEST',
+          message: 'acadsem, day (e.g. TUE) and a start / end window (e.g. 1330 and 1530) are required'
+        }
+      });
+    }
+
+    if (weekNumber !== null && (!Number.isInteger(weekNumber) || weekNumber < 1 || weekNumber > TEACHING_WEEKS)) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_REQUEST',
+          message: `week must be a teaching week between 1 and ${TEACHING_WEEKS}`
+        }
+      });
+    }
+
+    const rows = await getFreeVenues({
+      acadsem,
+      day_of_week: dayOfWeek,
+      start_minute: startMinute,
+      end_minute: endMinute,
+      week: weekNumber
+    });
+
+    res.json({
+      acadsem,
+      day: DAYS_OF_WEEK[dayOfWeek - 1],
+      start: formatClockTime(startMinute),
+      end: formatClockTime(endMinute),
+      week: weekNumber,
+      count: rows.length,
+      rows: rows.map(r => ({ venue: r.venue_key }))
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /venues/{venue}/schedule:
+ *   get:
+ *     summary: Retrieve every class session held at a venue
+ *     description: Sessions are ordered by semester, day of week and start time. The venue is matched after normalization, so "lt19a" finds "LT19A".
+ *     parameters:
+ *       - in: path
+ *         name: venue
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Venue name (e.g. LT19A)
+ *       - in: query
+ *         name: acadsem
+ *         schema:
+ *           type: string
+ *         description: Filter by academic semester (e.g. 2025_2)
+ *     responses:
+ *       200:
+ *         description: Sessions held at the venue
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 venue:
+ *                   type: string
+ *                 acadsem:
+ *                   type: string
+ *                   nullable: true
+ *                 count:
+ *                   type: integer
+ *                 rows:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *       400:
+ *         description: Venue is blank or a placeholder such as TBA
+ */
+router.get('/:venue/schedule', async (req, res, next) => {
+  try {
+    const { acadsem } = req.query;
+    const { key } = normalizeVenue(req.params.venue);
+
+    if (!key) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_REQUEST',
+          message: `"${req.params.venue}" is not a schedulable venue`
+        }
+      });
+    }
+
+    const rows = await getVenueSchedule({ venue_key: key, acadsem });
+    res.json({ venue: key, acadsem: acadsem || null, count: rows.length, rows });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
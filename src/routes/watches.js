@@ -0,0 +1,210 @@
+const express = require('express');
+const {
+  createVacancyWatch,
+  getVacancyWatches,
+  getVacancyWatch,
+  deleteVacancyWatch,
+  getWebhookSubscription,
+} = require('../database/repository');
+const { vacancyWatchRequestSchema, describeIssues } = require('../validation/schemas');
+const { requireApiKey, getApiKeyOwner } = require('../utils/apiKeys');
+const router = express.Router();
+
+// Watches send alerts through webhook subscriptions, which are limited to API key holders;
+// a key only sees and manages watches on its own subscriptions
+router.use(requireApiKey);
+
+/**
+ * Parses a watch id path parameter
+ * @param {string} value - Path parameter
+ * @returns {number|null} Positive integer id, or null if invalid
+ */
+function parseId(value) {
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+/**
+ * @swagger
+ * /vacancy/watches:
+ *   post:
+ *     summary: Watch an index for vacancies
+ *     description: |
+ *       Registers a watch on one index. While the NTU Vacancy Service is open, a background job reads each watched
+ *       course every few minutes (one request per course, however many watches it has) and sends a
+ *       `vacancy.alert` when the vacancy reaches `threshold` after being below it, or when the waitlist drops.
+ *       A watch whose index is already at the threshold fires on its first check.
+ *
+ *       Alerts are delivered through the `webhook` notifier to an existing webhook subscription, signed and
+ *       retried like other webhooks and listed in its delivery log. Requires an `X-API-Key` header.
+ *     security:
+ *       - ApiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [course_code, index, subscription_id]
+ *             properties:
+ *               course_code:
+ *                 type: string
+ *                 example: "SC2103"
+ *               index:
+ *                 type: string
+ *                 example: "10294"
+ *               threshold:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 1000
+ *                 default: 1
+ *                 description: Alert when the vacancy reaches this number
+ *               notifier:
+ *                 type: string
+ *                 enum: [webhook]
+ *                 default: webhook
+ *               subscription_id:
+ *                 type: integer
+ *                 description: Webhook subscription that receives the alerts, created with the same API key
+ *     responses:
+ *       201:
+ *         description: Watch created
+ *       400:
+ *         description: Invalid body, or the subscription does not exist, is inactive or belongs to another API key
+ *       401:
+ *         description: Missing or invalid API key
+ *   get:
+ *     summary: List vacancy watches
+ *     description: Requires an `X-API-Key` header.
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: course_code
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Watches with the reading from their last check
+ *       401:
+ *         description: Missing or invalid API key
+ */
+router.post('/', async (req, res, next) => {
+  try {
+    const parsed = vacancyWatchRequestSchema.safeParse(req.body || {});
+    if (!parsed.success) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_REQUEST',
+          message: describeIssues(parsed.error)
+        }
+      });
+    }
+
+    const subscription = await getWebhookSubscription(parsed.data.subscription_id, { owner_key: getApiKeyOwner(req) });
+    if (!subscription || !subscription.active) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_REQUEST',
+          message: `Webhook subscription ${parsed.data.subscription_id} does not exist or is inactive`
+        }
+      });
+    }
+
+    const watch = await createVacancyWatch(parsed.data);
+    res.status(201).json(watch);
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.get('/', async (req, res, next) => {
+  try {
+    const { course_code } = req.query;
+    const rows = await getVacancyWatches({
+      course_code: course_code ? course_code.trim().toUpperCase() : undefined,
+      owner_key: getApiKeyOwner(req)
+    });
+    res.json({ count: rows.length, rows });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /vacancy/watches/{id}:
+ *   get:
+ *     summary: Get a vacancy watch
+ *     description: Requires an `X-API-Key` header.
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Watch
+ *       401:
+ *         description: Missing or invalid API key
+ *       404:
+ *         description: Watch not found
+ *   delete:
+ *     summary: Delete a vacancy watch
+ *     description: Requires an `X-API-Key` header.
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       204:
+ *         description: Deleted
+ *       401:
+ *         description: Missing or invalid API key
+ *       404:
+ *         description: Watch not found
+ */
+router.get('/:id', async (req, res, next) => {
+  try {
+    const id = parseId(req.params.id);
+    const watch = id && await getVacancyWatch(id, { owner_key: getApiKeyOwner(req) });
+    if (!watch) {
+      return res.status(404).json({
+        error: {
+          code: 'NOT_FOUND',
+          message: `Vacancy watch ${req.params.id} not found`
+        }
+      });
+    }
+    res.json(watch);
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const id = parseId(req.params.id);
+    const deleted = id && await deleteVacancyWatch(id, { owner_key: getApiKeyOwner(req) });
+    if (!deleted) {
+      return res.status(404).json({
+        error: {
+          code: 'NOT_FOUND',
+          message: `Vacancy watch ${req.params.id} not found`
+        }
+      });
+    }
+    res.status(204).end();
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,306 @@
+const express = require('express');
+const {
+  createWebhookSubscription,
+  getWebhookSubscriptions,
+  getWebhookSubscription,
+  deleteWebhookSubscription,
+  getWebhookDeliveries,
+} = require('../database/repository');
+const { webhookSubscriptionRequestSchema, describeIssues } = require('../validation/schemas');
+const { generateSecret, assertPublicUrl, WEBHOOK_HOST_BLOCKED } = require('../utils/webhooks');
+const { requireApiKey, getApiKeyOwner } = require('../utils/apiKeys');
+const router = express.Router();
+
+const DELIVERY_STATUSES = ['pending', 'retrying', 'delivered', 'failed', 'cancelled'];
+
+// Managing subscriptions makes this service send requests to arbitrary URLs, so it is limited to API key holders.
+// Each key only sees and manages the subscriptions created with it.
+router.use(requireApiKey);
+
+/**
+ * Strips the signing secret and owning key from a subscription row
+ * @param {object} row - webhook_subscriptions row
+ * @returns {object} Subscription without its secret
+ */
+function publicSubscription(row) {
+  const { secret, owner_key, ...subscription } = row;
+  return subscription;
+}
+
+/**
+ * Parses a subscription id path parameter
+ * @param {string} value - Path parameter
+ * @returns {number|null} Positive integer id, or null if invalid
+ */
+function parseId(value) {
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+/**
+ * @swagger
+ * /webhooks:
+ *   post:
+ *     summary: Subscribe a URL to data change events
+ *     description: |
+ *       Registers a URL to receive signed JSON payloads after scrape jobs save changes. Events are
+ *       `schedule.changed` (sessions added, removed or moved), `content.changed` (course page fields changed) and
+ *       `exam.published` (exam sittings listed for the first time). `course_codes` and `acadsem` narrow the events;
+ *       omit them to receive everything.
+ *
+ *       Each request carries `X-Webhook-Id`, `X-Webhook-Event`, `X-Webhook-Timestamp` (Unix seconds) and
+ *       `X-Webhook-Signature: sha256=<hex>`, the HMAC-SHA256 of `<timestamp>.<body>` keyed with the subscription
+ *       secret. The secret is only returned by this call. Non-2xx responses are retried with exponential backoff.
+ *
+ *       Requires an `X-API-Key` header.
+ *     security:
+ *       - ApiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [url, events]
+ *             properties:
+ *               url:
+ *                 type: string
+ *                 example: "https://example.com/hooks/ntu"
+ *               events:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [schedule.changed, content.changed, exam.published]
+ *               course_codes:
+ *                 type: array
+ *                 maxItems: 100
+ *                 items:
+ *                   type: string
+ *                 example: ["SC2103"]
+ *               acadsem:
+ *                 type: string
+ *                 example: "2025_2"
+ *               secret:
+ *                 type: string
+ *                 description: Signing secret (16-256 characters); generated when omitted
+ *     responses:
+ *       201:
+ *         description: Subscription created, including its secret
+ *       400:
+ *         description: Invalid body, or a url whose host does not resolve or resolves to a private, loopback or link-local address
+ *       401:
+ *         description: Missing or invalid API key
+ *   get:
+ *     summary: List webhook subscriptions
+ *     description: Requires an `X-API-Key` header. Secrets are not returned.
+ *     security:
+ *       - ApiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: Subscriptions
+ *       401:
+ *         description: Missing or invalid API key
+ */
+router.post('/', async (req, res, next) => {
+  try {
+    const parsed = webhookSubscriptionRequestSchema.safeParse(req.body || {});
+    if (!parsed.success) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_REQUEST',
+          message: describeIssues(parsed.error)
+        }
+      });
+    }
+
+    const { url, events, course_codes, acadsem, secret } = parsed.data;
+    try {
+      await assertPublicUrl(url);
+    } catch (err) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_REQUEST',
+          message: err.code === WEBHOOK_HOST_BLOCKED
+            ? `url must point to a public host: ${err.message}`
+            : `url host could not be resolved: ${new URL(url).hostname}`
+        }
+      });
+    }
+
+    const subscription = await createWebhookSubscription({
+      url,
+      secret: secret || generateSecret(),
+      events: [...new Set(events)],
+      course_codes: course_codes ? [...new Set(course_codes)] : undefined,
+      acadsem,
+      owner_key: getApiKeyOwner(req)
+    });
+    res.status(201).json({ ...publicSubscription(subscription), secret: subscription.secret });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.get('/', async (req, res, next) => {
+  try {
+    const rows = (await getWebhookSubscriptions({ owner_key: getApiKeyOwner(req) })).map(publicSubscription);
+    res.json({ count: rows.length, rows });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /webhooks/{id}:
+ *   get:
+ *     summary: Retrieve a webhook subscription
+ *     description: Requires an `X-API-Key` header. The secret is not returned.
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Subscription
+ *       401:
+ *         description: Missing or invalid API key
+ *       404:
+ *         description: Subscription not found
+ *   delete:
+ *     summary: Delete a webhook subscription and its delivery log
+ *     description: Requires an `X-API-Key` header. Deliveries still queued are dropped.
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       204:
+ *         description: Deleted
+ *       401:
+ *         description: Missing or invalid API key
+ *       404:
+ *         description: Subscription not found
+ */
+router.get('/:id', async (req, res, next) => {
+  try {
+    const id = parseId(req.params.id);
+    const subscription = id && await getWebhookSubscription(id, { owner_key: getApiKeyOwner(req) });
+    if (!subscription) {
+      return res.status(404).json({
+        error: {
+          code: 'NOT_FOUND',
+          message: `Webhook subscription ${req.params.id} not found`
+        }
+      });
+    }
+    res.json(publicSubscription(subscription));
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const id = parseId(req.params.id);
+    const deleted = id && await deleteWebhookSubscription(id, { owner_key: getApiKeyOwner(req) });
+    if (!deleted) {
+      return res.status(404).json({
+        error: {
+          code: 'NOT_FOUND',
+          message: `Webhook subscription ${req.params.id} not found`
+        }
+      });
+    }
+    res.status(204).end();
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /webhooks/{id}/deliveries:
+ *   get:
+ *     summary: Retrieve the delivery log of a webhook subscription
+ *     description: |
+ *       Lists deliveries newest first with their status (`pending`, `retrying`, `delivered`, `failed` after the
+ *       last retry, or `cancelled`), number of attempts, last HTTP status and last error. Requires an `X-API-Key` header.
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, retrying, delivered, failed, cancelled]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *           maximum: 500
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Deliveries as { total, count, rows }
+ *       400:
+ *         description: Invalid status
+ *       401:
+ *         description: Missing or invalid API key
+ *       404:
+ *         description: Subscription not found
+ */
+router.get('/:id/deliveries', async (req, res, next) => {
+  try {
+    const { status, limit = 100, offset = 0 } = req.query;
+    if (status && !DELIVERY_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_REQUEST',
+          message: `status must be one of: ${DELIVERY_STATUSES.join(', ')}`
+        }
+      });
+    }
+
+    const id = parseId(req.params.id);
+    const subscription = id && await getWebhookSubscription(id, { owner_key: getApiKeyOwner(req) });
+    if (!subscription) {
+      return res.status(404).json({
+        error: {
+          code: 'NOT_FOUND',
+          message: `Webhook subscription ${req.params.id} not found`
+        }
+      });
+    }
+
+    const result = await getWebhookDeliveries({
+      subscription_id: id,
+      status,
+      limit: parseInt(limit, 10),
+      offset: parseInt(offset, 10)
+    });
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
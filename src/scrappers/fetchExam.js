@@ -3,24 +3,25 @@
  * Fetches exam schedule data from WIS (Web Information System)
  */
 const { postRequest } = require('./httpClient');
+const { toWisExamType } = require('../utils/format');
 const logger = require('../utils/logger');
 
 const EXAM_BASE_URL = 'https://wis.ntu.edu.sg/webexe/owa/exam_timetable_und';
 
 /**
  * Step 1: Fetch exam metadata (plan number and academic session details)
- * @param {string} studentType - 'UE' for undergraduate, '' for graduate
+ * @param {string} studentType - 'UE' for undergraduate, 'GR' for graduate
  * @returns {Promise<string>} HTML response containing plan number and academic details
  */
 async function fetchExamMetadata(studentType = 'UE') {
   const url = `${EXAM_BASE_URL}.MainSubmit`;
   const formData = {
-    p_type: studentType,
+    p_type: toWisExamType(studentType),
     bOption: 'Next'
   };
 
   try {
-    logger.info(`Fetching exam metadata for student type: ${studentType || 'Graduate'}`);
+    logger.info(`Fetching exam metadata for student type: ${studentType}`);
     const html = await postRequest(url, formData);
     return html;
   } catch (err) {
@@ -32,19 +33,19 @@ async function fetchExamMetadata(studentType = 'UE') {
 /**
  * Step 1.5: Select a specific plan number to get detailed session information
  * @param {string} planNo - Plan number to select
- * @param {string} studentType - 'UE' for undergraduate, '' for graduate
+ * @param {string} studentType - 'UE' for undergraduate, 'GR' for graduate
  * @returns {Promise<string>} HTML response containing academic session details for the selected plan
  */
 async function fetchExamPlanDetails(planNo, studentType = 'UE') {
   const url = `${EXAM_BASE_URL}.query_page`;
   const formData = {
     p_plan_no: planNo,
-    p_type: studentType,
+    p_type: toWisExamType(studentType),
     bOption: 'Next'
   };
 
   try {
-    logger.info(`Fetching exam plan details for plan ${planNo}, student type: ${studentType || 'Graduate'}`);
+    logger.info(`Fetching exam plan details for plan ${planNo}, student type: ${studentType}`);
     const html = await postRequest(url, formData);
     return html;
   } catch (err) {
@@ -60,7 +61,7 @@ async function fetchExamPlanDetails(planNo, studentType = 'UE') {
  * @param {string} params.planNo - Plan number from step 1
  * @param {string} params.examYear - Exam year (e.g., "2025")
  * @param {string} params.semester - Semester number (e.g., "1" or "2")
- * @param {string} params.studentType - 'UE' for undergraduate, '' for graduate
+ * @param {string} params.studentType - 'UE' for undergraduate, 'GR' for graduate
  * @param {string} params.examDate - Optional filter for exam date
  * @param {string} params.startTime - Optional filter for start time
  * @param {string} params.dept - Optional filter for department
@@ -94,7 +95,7 @@ async function fetchExamDetails({
     p_plan_no: planNo,
     p_exam_yr: examYear,
     p_semester: semester,
-    p_type: studentType,
+    p_type: toWisExamType(studentType),
     bOption: 'Next'
   };
 
@@ -0,0 +1,69 @@
+/**
+ * Academic calendar helpers
+ * NTU does not publish semester dates on the scraped pages, so the Monday of teaching week 1 is configured
+ * per semester through SEMESTER_WEEK1_DATES, e.g. "2025_1:2025-08-11,2025_2:2026-01-12".
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Recess week falls between teaching weeks 7 and 8
+const RECESS_AFTER_WEEK = 7;
+
+/**
+ * Parses a YYYY-MM-DD date into a UTC midnight timestamp
+ * @param {string} text - Calendar date
+ * @returns {number|null} Milliseconds since epoch, or null if the date is invalid
+ */
+function parseIsoDate(text) {
+  const match = String(text || '').trim().match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!match) return null;
+  const [year, month, day] = match.slice(1).map(Number);
+  const time = Date.UTC(year, month - 1, day);
+  const date = new Date(time);
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  return time;
+}
+
+/**
+ * Parses the SEMESTER_WEEK1_DATES setting
+ * @param {string} text - Comma-separated acadsem:YYYY-MM-DD pairs
+ * @returns {object} acadsem -> YYYY-MM-DD
+ */
+function parseWeek1Dates(text) {
+  const dates = {};
+  for (const pair of String(text || '').split(',')) {
+    const [acadsem, date] = pair.split(':').map(part => (part || '').trim());
+    if (acadsem && parseIsoDate(date) !== null) dates[acadsem] = date;
+  }
+  return dates;
+}
+
+/**
+ * Looks up the configured start of teaching week 1 for a semester
+ * @param {string} acadsem - Academic semester (e.g. 2025_2)
+ * @returns {string|null} YYYY-MM-DD, or null if the semester is not configured
+ */
+function getWeek1Start(acadsem) {
+  return parseWeek1Dates(process.env.SEMESTER_WEEK1_DATES)[acadsem] || null;
+}
+
+/**
+ * Works out the calendar date of a class in a given teaching week
+ * @param {string} week1Start - Any date in teaching week 1 (YYYY-MM-DD); the week is taken to start on Monday
+ * @param {number} week - Teaching week number
+ * @param {number} dayOfWeek - ISO day of week (Monday = 1)
+ * @returns {Date} UTC midnight of the class date
+ */
+function teachingWeekDate(week1Start, week, dayOfWeek) {
+  const start = parseIsoDate(week1Start);
+  const monday = start - ((new Date(start).getUTCDay() + 6) % 7) * DAY_MS;
+  const calendarWeek = week - 1 + (week > RECESS_AFTER_WEEK ? 1 : 0);
+  return new Date(monday + (calendarWeek * 7 + dayOfWeek - 1) * DAY_MS);
+}
+
+module.exports = {
+  getWeek1Start,
+  parseWeek1Dates,
+  parseIsoDate,
+  teachingWeekDate,
+  RECESS_AFTER_WEEK,
+};
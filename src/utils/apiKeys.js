@@ -0,0 +1,57 @@
+/**
+ * API keys for endpoints that are not open to the public
+ * Keys are configured in API_KEYS (comma-separated) and sent by clients in the X-API-Key header.
+ */
+const crypto = require('crypto');
+
+/**
+ * Reads the configured API keys
+ * @returns {Array<string>} Keys
+ */
+function getApiKeys() {
+  return String(process.env.API_KEYS || '').split(',').map(key => key.trim()).filter(Boolean);
+}
+
+/**
+ * Checks whether a request carries a configured API key
+ * @param {object} req - Express request
+ * @returns {boolean} True if X-API-Key matches one of the keys
+ */
+function hasApiKey(req) {
+  const sent = Buffer.from(String(req.get('X-API-Key') || ''));
+  if (sent.length === 0) return false;
+  return getApiKeys().some(key => {
+    const expected = Buffer.from(key);
+    return expected.length === sent.length && crypto.timingSafeEqual(expected, sent);
+  });
+}
+
+/**
+ * Identifies the API key a request was made with, for scoping what the key's holder can see
+ * Only a hash is returned so the key itself is never stored.
+ * @param {object} req - Express request that passed requireApiKey
+ * @returns {string} SHA-256 hex digest of the X-API-Key header
+ */
+function getApiKeyOwner(req) {
+  return crypto.createHash('sha256').update(String(req.get('X-API-Key') || '')).digest('hex');
+}
+
+/**
+ * Express middleware rejecting requests without a valid API key
+ */
+function requireApiKey(req, res, next) {
+  if (hasApiKey(req)) return next();
+  res.status(401).json({
+    error: {
+      code: 'UNAUTHORIZED',
+      message: 'A valid X-API-Key header is required'
+    }
+  });
+}
+
+module.exports = {
+  getApiKeys,
+  hasApiKey,
+  getApiKeyOwner,
+  requireApiKey,
+};
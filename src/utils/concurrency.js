@@ -0,0 +1,64 @@
+/**
+ * Helpers for limiting how much work runs at once
+ */
+
+/**
+ * Maps items through an async function with at most `limit` calls running at a time
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent calls
+ * @param {Function} fn - Async function (item, index) => result
+ * @returns {Promise<Array>} Results in the order of items; rejects if any call rejects
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const run = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, run));
+  return results;
+}
+
+/**
+ * Creates a sliding-window rate limiter
+ * Each acquired slot is given back `intervalMs` after it was taken, so no more than `limit` calls start in any window.
+ * @param {number} limit - Calls allowed per window
+ * @param {number} [intervalMs=1000] - Window length
+ * @returns {Function} acquire() resolving when the caller may start
+ */
+function createRateLimiter(limit, intervalMs = 1000) {
+  let available = Math.max(limit, 1);
+  const waiting = [];
+
+  const release = () => {
+    const resolve = waiting.shift();
+    if (resolve) grant(resolve);
+    else available++;
+  };
+
+  const grant = (resolve) => {
+    setTimeout(release, intervalMs);
+    resolve();
+  };
+
+  return function acquire() {
+    return new Promise(resolve => {
+      if (available > 0) {
+        available--;
+        grant(resolve);
+      } else {
+        waiting.push(resolve);
+      }
+    });
+  };
+}
+
+module.exports = {
+  mapWithConcurrency,
+  createRateLimiter,
+};
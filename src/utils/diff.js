@@ -0,0 +1,98 @@
+/**
+ * Field-level change detection
+ * Used where a scrape overwrites or replaces stored rows, so what changed can be recorded first.
+ */
+
+/**
+ * Normalizes a stored or scraped value for comparison
+ * Numbers and booleans compare by their text, so a REAL column read back as 3 matches a parsed 3; empty text counts as null.
+ * @param {*} value - Column or parsed value
+ * @returns {string|null} Text value, or null when blank
+ */
+function toComparable(value) {
+  if (value === null || value === undefined) return null;
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return text === '' ? null : text;
+}
+
+/**
+ * Lists the fields whose values differ between two versions of a record
+ * @param {object} before - Stored record
+ * @param {object} after - Newly scraped record
+ * @param {Array<string>} fields - Fields to compare
+ * @returns {Array<object>} { field, old_value, new_value } per changed field, as text
+ */
+function diffFields(before, after, fields) {
+  const changes = [];
+  for (const field of fields) {
+    const oldValue = toComparable(before[field]);
+    const newValue = toComparable(after[field]);
+    if (oldValue !== newValue) changes.push({ field, old_value: oldValue, new_value: newValue });
+  }
+  return changes;
+}
+
+// A session is identified by its index, type and group; day, time and venue are what NTU moves
+const SESSION_FIELDS = ['day', 'time', 'venue'];
+
+/**
+ * Compares the stored sessions of one course with a fresh scrape
+ * Sessions are matched within the same index, type and group: identical sessions are unchanged, the remaining
+ * ones are paired in day/time order as modifications, and any left over are added or removed.
+ * @param {Array<object>} before - Stored schedule rows { index, type, group, day, time, venue }
+ * @param {Array<object>} after - Scraped sections in the same shape
+ * @returns {Array<object>} { change_type, index, type, group, before, after, fields }; before/after hold { day, time, venue }
+ */
+function diffSessions(before, after) {
+  const identity = (s) => `${s.index}|${s.type ?? ''}|${s.group ?? ''}`;
+  const slot = (s) => SESSION_FIELDS.map(field => toComparable(s[field]) ?? '').join('|');
+  const pick = (s) => ({ day: s.day ?? null, time: s.time ?? null, venue: s.venue ?? null });
+
+  const groups = new Map();
+  const groupOf = (s) => {
+    const key = identity(s);
+    if (!groups.has(key)) groups.set(key, { before: [], after: [] });
+    return groups.get(key);
+  };
+  before.forEach(s => groupOf(s).before.push(s));
+  after.forEach(s => groupOf(s).after.push(s));
+
+  const changes = [];
+  for (const group of groups.values()) {
+    const unmatched = [...group.before];
+    const added = [];
+    for (const session of group.after) {
+      const same = unmatched.findIndex(old => slot(old) === slot(session));
+      if (same === -1) added.push(session);
+      else unmatched.splice(same, 1);
+    }
+
+    const bySlot = (a, b) => slot(a).localeCompare(slot(b));
+    unmatched.sort(bySlot);
+    added.sort(bySlot);
+
+    const paired = Math.min(unmatched.length, added.length);
+    for (let i = 0; i < Math.max(unmatched.length, added.length); i++) {
+      const old = unmatched[i];
+      const session = added[i];
+      const ref = session || old;
+      changes.push({
+        change_type: i < paired ? 'modified' : (session ? 'added' : 'removed'),
+        index: ref.index,
+        type: ref.type ?? null,
+        group: ref.group ?? null,
+        before: old ? pick(old) : null,
+        after: session ? pick(session) : null,
+        fields: i < paired ? diffFields(old, session, SESSION_FIELDS) : [],
+      });
+    }
+  }
+
+  return changes;
+}
+
+module.exports = {
+  diffFields,
+  diffSessions,
+  toComparable,
+};
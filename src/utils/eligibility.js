@@ -0,0 +1,95 @@
+/**
+ * Course eligibility evaluation
+ * Answers "can a student from programme X, admitted in year Y, take this course, and as what?"
+ */
+
+const ELECTIVE_TYPES = ['UE', 'BDE'];
+
+/**
+ * Checks whether a restriction's programme applies to a student's programme
+ * A restriction without a specialisation (e.g. "ENG") also covers specialisations (e.g. "ENG(EEE)")
+ * @param {string|null} restrictionProgramme - Programme on the restriction (null = every programme)
+ * @param {string} studentProgramme - Student's programme code
+ * @returns {boolean} True if the restriction covers the programme
+ */
+function programmeMatches(restrictionProgramme, studentProgramme) {
+  if (!restrictionProgramme) return true;
+  const restriction = restrictionProgramme.toUpperCase();
+  const student = studentProgramme.toUpperCase();
+  if (restriction === student) return true;
+  return !restriction.includes('(') && student.split('(')[0] === restriction;
+}
+
+/**
+ * Checks whether a restriction's admission-year range covers the student
+ * When the admission year is unknown, year-bounded restrictions are assumed to apply
+ * @param {object} restriction - Row with admit_year_from / admit_year_to
+ * @param {number|null} admitYear - Student's admission year
+ * @returns {boolean} True if the restriction covers the admission year
+ */
+function yearMatches(restriction, admitYear) {
+  if (admitYear === null || admitYear === undefined || Number.isNaN(admitYear)) return true;
+  if (restriction.admit_year_from !== null && admitYear < restriction.admit_year_from) return false;
+  if (restriction.admit_year_to !== null && admitYear > restriction.admit_year_to) return false;
+  return true;
+}
+
+/**
+ * Evaluates whether a student may take a course
+ * @param {object} course - Course row with is_unrestricted_elective / is_broadening_deepening_elective
+ * @param {Array<object>} restrictions - Structured restriction rows for the course
+ * @param {object} student - { programme, admitYear, as } where `as` is 'UE', 'BDE' or undefined
+ * @returns {object} { eligible, available_as, blocked_by, reason } where available_as lists the elective categories still open
+ */
+function evaluateEligibility(course, restrictions, { programme, admitYear, as }) {
+  const applies = (r) => programmeMatches(r.programme, programme) && yearMatches(r, admitYear);
+
+  const blockingAll = restrictions.find(r => r.restriction_type !== 'bde_ue' && applies(r));
+  if (blockingAll) {
+    return {
+      eligible: false,
+      available_as: [],
+      blocked_by: blockingAll,
+      reason: `Course is not available to programme ${programme}`,
+    };
+  }
+
+  // Course is open; work out which elective categories it can still count towards
+  const blockingElective = restrictions.find(r => r.restriction_type === 'bde_ue' && applies(r));
+  const availableAs = [];
+  const electiveBlocks = {};
+
+  for (const type of ELECTIVE_TYPES) {
+    const offered = type === 'UE' ? course.is_unrestricted_elective !== false : course.is_broadening_deepening_elective !== false;
+    if (!offered) {
+      const label = type === 'UE' ? 'Unrestricted Elective' : 'Broadening and Deepening Elective';
+      electiveBlocks[type] = {
+        blocked_by: {
+          restriction_type: `not_offered_as_${type.toLowerCase()}`,
+          programme: null,
+          admit_year_from: null,
+          admit_year_to: null,
+          raw: `Not offered as ${label}`,
+        },
+        reason: `Course is not offered as ${type === 'UE' ? 'an' : 'a'} ${label}`,
+      };
+    } else if (blockingElective) {
+      electiveBlocks[type] = { blocked_by: blockingElective, reason: `Course is not available as BDE/UE to programme ${programme}` };
+    } else {
+      availableAs.push(type);
+    }
+  }
+
+  if (as && electiveBlocks[as]) {
+    return { eligible: false, available_as: availableAs, ...electiveBlocks[as] };
+  }
+
+  return { eligible: true, available_as: availableAs, blocked_by: null, reason: null };
+}
+
+module.exports = {
+  evaluateEligibility,
+  programmeMatches,
+  yearMatches,
+  ELECTIVE_TYPES,
+};
@@ -4,6 +4,11 @@ const toNtuScheduleSem = (acadsem) => acadsem.replace('_', ';');
 
 const toNtuContentSem = (acadsem) => acadsem; // Already matches standard (YYYY_S)
 
+// Exam timetables are split by student type. The API and database use UE/GR; WIS posts graduates as an empty p_type
+const EXAM_STUDENT_TYPES = { UE: 'Undergraduate', GR: 'Graduate' };
+
+const toWisExamType = (studentType) => (studentType === 'GR' ? '' : studentType);
+
 const parseAcadSem = (raw) => {
   // Handle 2025_2, 2025;2, 2025 2
   // Also handle special terms which might be chars
@@ -17,9 +22,33 @@ const parseAcadSem = (raw) => {
   return { year: raw.substring(0, 4), semester: raw.substring(raw.length - 1) };
 }
 
+const BLANK_VENUES = new Set(['', '-', '--', 'TBA', 'TBC', 'NA', 'N/A', 'NIL']);
+const ONLINE_VENUE_REGEX = /\b(ONLINE|E-?LEARN(ING)?|VIRTUAL|ZOOM|MS TEAMS|REMOTE)\b/;
+
+/**
+ * Normalizes a venue string so whitespace and case variants share one key
+ * Online venues collapse to the single key "ONLINE"; blank or placeholder venues have no key.
+ * @param {string} raw - Venue as scraped (e.g. " lt19a ", "N4 - 02a - 03", "E-Learning")
+ * @returns {object} { key, kind } where kind is 'physical', 'online' or 'unassigned'
+ */
+const normalizeVenue = (raw) => {
+  const text = String(raw || '')
+    .toUpperCase()
+    .replace(/\s+/g, ' ')
+    .replace(/\s*-\s*/g, '-')
+    .trim();
+
+  if (BLANK_VENUES.has(text)) return { key: null, kind: 'unassigned' };
+  if (ONLINE_VENUE_REGEX.test(text)) return { key: 'ONLINE', kind: 'online' };
+  return { key: text, kind: 'physical' };
+};
+
 module.exports = {
   toStandardAcadSem,
   toNtuScheduleSem,
   toNtuContentSem,
   parseAcadSem,
+  normalizeVenue,
+  toWisExamType,
+  EXAM_STUDENT_TYPES,
 };
@@ -0,0 +1,124 @@
+/**
+ * Minimal iCalendar (RFC 5545) writer
+ * Only the pieces the calendar exports need: VEVENTs in the Asia/Singapore time zone with optional RRULE/EXDATE.
+ */
+
+const TIME_ZONE = 'Asia/Singapore';
+const PRODUCT_ID = '-//NTU Public APIs//Timetable Export//EN';
+
+// Singapore has had no daylight saving since 1982, so a single STANDARD component is enough
+const VTIMEZONE = [
+  'BEGIN:VTIMEZONE',
+  `TZID:${TIME_ZONE}`,
+  'BEGIN:STANDARD',
+  'DTSTART:19700101T000000',
+  'TZOFFSETFROM:+0800',
+  'TZOFFSETTO:+0800',
+  'TZNAME:+08',
+  'END:STANDARD',
+  'END:VTIMEZONE',
+];
+
+/**
+ * Escapes a value for use in a TEXT property
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeText(text) {
+  return String(text ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Folds a content line to 75 octets as the spec requires
+ * @param {string} line - Unfolded content line
+ * @returns {string} Folded line joined with CRLF + space
+ */
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  for (const ch of line) {
+    if (Buffer.byteLength(current + ch) > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = '';
+    }
+    current += ch;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+/**
+ * Formats a UTC-midnight date plus minutes as a local date-time (YYYYMMDDTHHMMSS)
+ * Minutes past midnight of the next day roll over into that day.
+ * @param {Date} date - Calendar date at UTC midnight
+ * @param {number} [minutes=0] - Minutes after midnight
+ * @returns {string} Local date-time value
+ */
+function formatLocalDateTime(date, minutes = 0) {
+  const pad = (n) => String(n).padStart(2, '0');
+  const moment = new Date(date.getTime() + minutes * 60 * 1000);
+  return `${moment.getUTCFullYear()}${pad(moment.getUTCMonth() + 1)}${pad(moment.getUTCDate())}` +
+    `T${pad(moment.getUTCHours())}${pad(moment.getUTCMinutes())}00`;
+}
+
+/**
+ * Formats an instant as a UTC date-time (YYYYMMDDTHHMMSSZ)
+ * @param {Date} date - Instant
+ * @returns {string} UTC date-time value
+ */
+function formatUtcDateTime(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Builds a VCALENDAR document
+ * Event start/end/exdates are local Asia/Singapore date-times from formatLocalDateTime; an event without an end is a point in time.
+ * @param {Array<object>} events - { uid, start, end, summary, location, description, rrule, exdates }
+ * @param {object} [options] - { name, now }
+ * @returns {string} iCalendar text with CRLF line endings
+ */
+function buildCalendar(events, { name, now = new Date() } = {}) {
+  const stamp = formatUtcDateTime(now);
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    ...(name ? [`X-WR-CALNAME:${escapeText(name)}`] : []),
+    `X-WR-TIMEZONE:${TIME_ZONE}`,
+    ...VTIMEZONE,
+  ];
+
+  for (const event of events) {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;TZID=${TIME_ZONE}:${event.start}`,
+      ...(event.end ? [`DTEND;TZID=${TIME_ZONE}:${event.end}`] : []),
+      ...(event.rrule ? [`RRULE:${event.rrule}`] : []),
+      ...(event.exdates && event.exdates.length ? [`EXDATE;TZID=${TIME_ZONE}:${event.exdates.join(',')}`] : []),
+      `SUMMARY:${escapeText(event.summary)}`,
+      ...(event.location ? [`LOCATION:${escapeText(event.location)}`] : []),
+      ...(event.description ? [`DESCRIPTION:${escapeText(event.description)}`] : []),
+      'END:VEVENT'
+    );
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  buildCalendar,
+  escapeText,
+  foldLine,
+  formatLocalDateTime,
+  formatUtcDateTime,
+  TIME_ZONE,
+};
@@ -0,0 +1,112 @@
+/**
+ * Reverse prerequisite graph helpers
+ * Walks "what does this course unlock" chains breadth-first from a root course
+ */
+const { parsePrerequisites, collectCourseCodes } = require('../parsers/prerequisiteParser');
+
+const DEFAULT_DEPTH = 3;
+const MAX_DEPTH = 10;
+
+/**
+ * Clamps a requested traversal depth to the supported range
+ * @param {number} depth - Requested depth (NaN falls back to the default)
+ * @returns {number} Depth between 1 and MAX_DEPTH
+ */
+const clampDepth = (depth) => {
+  if (!Number.isFinite(depth)) return DEFAULT_DEPTH;
+  return Math.min(Math.max(Math.trunc(depth), 1), MAX_DEPTH);
+};
+
+/**
+ * Finds every cycle reachable in a directed edge list
+ * @param {Array<object>} edges - Edges { from, to }
+ * @returns {Array<Array<string>>} Each cycle as a list of course codes, starting and ending on the same code
+ */
+function findCycles(edges) {
+  const adjacency = new Map();
+  for (const { from, to } of edges) {
+    if (!adjacency.has(from)) adjacency.set(from, []);
+    adjacency.get(from).push(to);
+  }
+
+  const cycles = [];
+  const state = new Map(); // undefined = unvisited, 1 = on stack, 2 = done
+  const stack = [];
+
+  const visit = (node) => {
+    state.set(node, 1);
+    stack.push(node);
+    for (const next of adjacency.get(node) || []) {
+      if (state.get(next) === 1) {
+        cycles.push([...stack.slice(stack.indexOf(next)), next]);
+      } else if (!state.has(next)) {
+        visit(next);
+      }
+    }
+    stack.pop();
+    state.set(node, 2);
+  };
+
+  for (const node of adjacency.keys()) {
+    if (!state.has(node)) visit(node);
+  }
+
+  return cycles;
+}
+
+/**
+ * Builds the graph of courses that list the root course as a prerequisite, directly or transitively
+ * @param {string} rootCode - Course code to start from
+ * @param {Function} fetchCandidates - async (codes) => rows of { course_code, title, prerequisites, prerequisite_tree }
+ *                                     whose prerequisite text may mention any of the given codes
+ * @param {object} options - { depth }
+ * @returns {Promise<object>} { depth, nodes, edges, cycles }
+ */
+async function buildDependentGraph(rootCode, fetchCandidates, { depth } = {}) {
+  const maxDepth = clampDepth(depth);
+  const nodes = new Map([[rootCode, { course_code: rootCode, depth: 0 }]]);
+  const edges = [];
+  const edgeKeys = new Set();
+  let frontier = [rootCode];
+
+  for (let level = 1; level <= maxDepth && frontier.length; level++) {
+    const frontierSet = new Set(frontier);
+    const rows = await fetchCandidates(frontier);
+    const next = [];
+
+    for (const row of rows) {
+      const tree = row.prerequisite_tree || parsePrerequisites(row.prerequisites);
+      // Candidate rows come from a text match, so confirm against the parsed codes
+      const referenced = collectCourseCodes(tree).filter((code) => frontierSet.has(code));
+
+      for (const from of referenced) {
+        const key = `${from}|${row.course_code}`;
+        if (edgeKeys.has(key)) continue;
+        edgeKeys.add(key);
+        edges.push({ from, to: row.course_code });
+      }
+
+      if (referenced.length && !nodes.has(row.course_code)) {
+        nodes.set(row.course_code, { course_code: row.course_code, title: row.title, depth: level });
+        next.push(row.course_code);
+      }
+    }
+
+    frontier = next;
+  }
+
+  return {
+    depth: maxDepth,
+    nodes: [...nodes.values()],
+    edges,
+    cycles: findCycles(edges),
+  };
+}
+
+module.exports = {
+  buildDependentGraph,
+  findCycles,
+  clampDepth,
+  DEFAULT_DEPTH,
+  MAX_DEPTH,
+};
@@ -0,0 +1,245 @@
+/**
+ * Timetable analysis helpers
+ * Works on course_schedule rows (day_of_week, start_minute, end_minute, teaching_weeks)
+ * and exam_timetable rows.
+ */
+
+const { formatClockTime, DAYS_OF_WEEK, TEACHING_WEEKS } = require('../parsers/scheduleParser');
+const { parseExamSchedule } = require('../parsers/examParser');
+
+const ALL_WEEKS = Array.from({ length: TEACHING_WEEKS }, (_, i) => i + 1);
+
+/**
+ * Teaching weeks a session runs in; rows scraped before week parsing are assumed to run every week
+ * @param {object} session - Schedule row
+ * @returns {Array<number>} Teaching week numbers
+ */
+function sessionWeeks(session) {
+  return Array.isArray(session.teaching_weeks) && session.teaching_weeks.length > 0
+    ? session.teaching_weeks
+    : ALL_WEEKS;
+}
+
+/**
+ * Checks whether a session has a parsed day and time and can be placed on a weekly grid
+ * @param {object} session - Schedule row
+ * @returns {boolean} True if the session has day_of_week, start_minute and end_minute
+ */
+function isPlaced(session) {
+  return session.day_of_week != null && session.start_minute != null && session.end_minute != null;
+}
+
+/**
+ * Summarizes a schedule row for clash reports
+ * @param {object} session - Schedule row
+ * @returns {object} Session identity and timing
+ */
+function describeSession(session) {
+  return {
+    index: session.index,
+    course_code: session.course_code,
+    type: session.type,
+    group: session.group,
+    day: session.day,
+    time: session.time,
+    venue: session.venue,
+  };
+}
+
+/**
+ * Works out where two placed sessions overlap
+ * Two sessions clash when they share a day, their times overlap and they run in at least one common teaching week.
+ * @param {object} a - Schedule row with a parsed day and time
+ * @param {object} b - Schedule row with a parsed day and time
+ * @returns {object|null} { start, end, weeks } in minutes of day, or null if the sessions do not clash
+ */
+function sessionOverlap(a, b) {
+  if (a.day_of_week !== b.day_of_week) return null;
+
+  const start = Math.max(a.start_minute, b.start_minute);
+  const end = Math.min(a.end_minute, b.end_minute);
+  if (start >= end) return null;
+
+  const bWeeks = new Set(sessionWeeks(b));
+  const weeks = sessionWeeks(a).filter(w => bWeeks.has(w));
+  return weeks.length === 0 ? null : { start, end, weeks };
+}
+
+/**
+ * Finds pairwise clashes between sessions of different indexes
+ * Sessions without a parsed day or time are ignored.
+ * @param {Array<object>} sessions - Schedule rows
+ * @returns {Array<object>} Clashes of { a, b, day, overlap: { start, end, minutes }, weeks }
+ */
+function findSessionClashes(sessions) {
+  const placed = sessions.filter(isPlaced);
+  const clashes = [];
+
+  for (let i = 0; i < placed.length; i++) {
+    for (let j = i + 1; j < placed.length; j++) {
+      const a = placed[i];
+      const b = placed[j];
+      if (a.index === b.index) continue;
+
+      const overlap = sessionOverlap(a, b);
+      if (!overlap) continue;
+
+      clashes.push({
+        a: describeSession(a),
+        b: describeSession(b),
+        day: DAYS_OF_WEEK[a.day_of_week - 1],
+        overlap: {
+          start: formatClockTime(overlap.start),
+          end: formatClockTime(overlap.end),
+          minutes: overlap.end - overlap.start,
+        },
+        weeks: overlap.weeks,
+      });
+    }
+  }
+
+  return clashes;
+}
+
+/**
+ * Reduces exam rows to one paper per course and slot, with parsed start and end times
+ * Rows scraped before typed exam columns existed are parsed from their display strings.
+ * @param {Array<object>} exams - exam_timetable rows
+ * @returns {Array<object>} Papers of { course_code, course_title, exam_date, exam_time, date, start, end }
+ */
+function toPapers(exams) {
+  const papers = new Map();
+
+  for (const exam of exams) {
+    const typed = exam.exam_start
+      ? { exam_date_iso: exam.exam_date_iso, exam_start: exam.exam_start, exam_end: exam.exam_end }
+      : parseExamSchedule(exam.exam_date, exam.exam_time, exam.exam_duration);
+    const start = typed.exam_start ? new Date(typed.exam_start) : null;
+    const key = `${exam.course_code}|${start ? start.getTime() : `${exam.exam_date}|${exam.exam_time}`}`;
+    if (papers.has(key)) continue;
+
+    // pg returns DATE columns as local-midnight Date objects
+    const isoDate = typed.exam_date_iso instanceof Date
+      ? [
+        typed.exam_date_iso.getFullYear(),
+        String(typed.exam_date_iso.getMonth() + 1).padStart(2, '0'),
+        String(typed.exam_date_iso.getDate()).padStart(2, '0'),
+      ].join('-')
+      : typed.exam_date_iso || null;
+
+    papers.set(key, {
+      course_code: exam.course_code,
+      course_title: exam.course_title || null,
+      exam_date: exam.exam_date,
+      exam_time: exam.exam_time,
+      date: isoDate,
+      start,
+      end: typed.exam_end ? new Date(typed.exam_end) : null,
+    });
+  }
+
+  return [...papers.values()];
+}
+
+/**
+ * Finds courses whose exams overlap in time
+ * Papers are compared on their parsed start and end, so differently formatted times for the same slot and
+ * overlapping papers with different start times are both caught; a paper without a duration only clashes with
+ * papers running at its start. Papers whose date or time cannot be parsed are grouped by their display strings.
+ * Exam rows for the same course under several student types count once.
+ * @param {Array<object>} exams - exam_timetable rows
+ * @returns {Array<object>} Clashes of { exam_date, exam_time, start, end, course_codes }, where each clash is a run of
+ *   overlapping papers; start and end are ISO timestamps, or null for unparsed papers
+ */
+function findExamClashes(exams) {
+  const papers = toPapers(exams);
+  const groups = [];
+
+  const timed = papers.filter(p => p.start).sort((a, b) => a.start - b.start);
+  let current = null;
+  for (const paper of timed) {
+    const end = paper.end || paper.start;
+    if (current && (paper.start < current.end || paper.start.getTime() === current.start.getTime())) {
+      current.papers.push(paper);
+      if (end > current.end) current.end = end;
+    } else {
+      current = { start: paper.start, end, papers: [paper] };
+      groups.push(current);
+    }
+  }
+
+  const normalize = (text) => String(text || '').replace(/\s+/g, ' ').trim().toUpperCase();
+  const untimed = new Map();
+  for (const paper of papers.filter(p => !p.start && normalize(p.exam_date) && normalize(p.exam_time))) {
+    const key = `${normalize(paper.exam_date)}|${normalize(paper.exam_time)}`;
+    if (!untimed.has(key)) {
+      untimed.set(key, { start: null, end: null, papers: [] });
+      groups.push(untimed.get(key));
+    }
+    untimed.get(key).papers.push(paper);
+  }
+
+  return groups
+    .map(group => ({
+      exam_date: group.papers[0].exam_date,
+      exam_time: group.papers[0].exam_time,
+      start: group.start ? group.start.toISOString() : null,
+      end: group.end ? group.end.toISOString() : null,
+      course_codes: [...new Set(group.papers.map(p => p.course_code))].sort(),
+    }))
+    .filter(clash => clash.course_codes.length > 1);
+}
+
+/**
+ * Analyzes the exam load of a set of courses
+ * @param {Array<object>} exams - exam_timetable rows for the courses
+ * @param {Array<string>} courseCodes - Requested course codes
+ * @returns {object} { same_slot, same_day, gaps, min_rest_hours, unscheduled, no_exam }; same_slot lists overlapping papers
+ *   gaps lists consecutive papers in time order with the rest between the end of one and the start of the next
+ *   (negative when they overlap); unscheduled lists courses with exam rows whose start could not be parsed.
+ */
+function analyzeExams(exams, courseCodes) {
+  const papers = toPapers(exams);
+  const withExam = new Set(papers.map(p => p.course_code));
+
+  const byDay = new Map();
+  for (const paper of papers.filter(p => p.date)) {
+    if (!byDay.has(paper.date)) byDay.set(paper.date, new Set());
+    byDay.get(paper.date).add(paper.course_code);
+  }
+  const sameDay = [...byDay.entries()]
+    .filter(([, codes]) => codes.size > 1)
+    .map(([date, codes]) => ({ date, course_codes: [...codes].sort() }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+  const timed = papers.filter(p => p.start).sort((a, b) => a.start - b.start);
+  const gaps = [];
+  for (let i = 1; i < timed.length; i++) {
+    const prev = timed[i - 1];
+    const next = timed[i];
+    const restMs = next.start - (prev.end || prev.start);
+    gaps.push({
+      from: { course_code: prev.course_code, start: prev.start.toISOString() },
+      to: { course_code: next.course_code, start: next.start.toISOString() },
+      rest_hours: Math.round((restMs / 3600000) * 10) / 10,
+    });
+  }
+
+  return {
+    same_slot: findExamClashes(exams),
+    same_day: sameDay,
+    gaps,
+    min_rest_hours: gaps.length ? Math.min(...gaps.map(g => g.rest_hours)) : null,
+    unscheduled: [...new Set(papers.filter(p => !p.start).map(p => p.course_code))].sort(),
+    no_exam: courseCodes.filter(code => !withExam.has(code)),
+  };
+}
+
+module.exports = {
+  findSessionClashes,
+  findExamClashes,
+  analyzeExams,
+  sessionOverlap,
+  sessionWeeks,
+  isPlaced,
+};
@@ -0,0 +1,265 @@
+/**
+ * Timetable generator
+ * Searches index combinations for a set of courses, skipping combinations with clashes or that break
+ * the student's constraints, and keeps the best-ranked timetables found within a time budget.
+ * The search runs in the request handler, so it hands the event loop back every few hundred nodes.
+ */
+
+const { sessionOverlap, sessionWeeks, isPlaced } = require('./timetable');
+const { formatClockTime, DAYS_OF_WEEK, TEACHING_WEEKS } = require('../parsers/scheduleParser');
+
+const WEEKDAYS = [1, 2, 3, 4, 5];
+// NTU slots end at :20 and the next one starts at :30, so a 10-minute break still counts as back-to-back
+const CONSECUTIVE_GAP_MINUTES = 10;
+const DEFAULT_PLAN_LIMIT = 5;
+const MAX_PLAN_LIMIT = 20;
+const DEFAULT_TIME_BUDGET_MS = 200;
+const MAX_TIME_BUDGET_MS = 500;
+const YIELD_EVERY_NODES = 250;
+
+/**
+ * Key describing when an index meets, so indexes with identical slots can be searched once
+ * @param {Array<object>} sessions - Sessions of one index
+ * @returns {string} Slot signature
+ */
+function slotSignature(sessions) {
+  return sessions
+    .filter(isPlaced)
+    .map(s => `${s.day_of_week}|${s.start_minute}|${s.end_minute}|${sessionWeeks(s).join(',')}`)
+    .sort()
+    .join(';');
+}
+
+/**
+ * Groups schedule rows into per-course options, merging indexes that meet at identical times
+ * @param {Array<object>} sessions - Schedule rows for every requested course
+ * @returns {Map<string, Array<object>>} course_code -> options of { index, alternatives, sessions }
+ */
+function buildOptions(sessions) {
+  const byIndex = new Map();
+  for (const session of sessions) {
+    if (!byIndex.has(session.index)) byIndex.set(session.index, []);
+    byIndex.get(session.index).push(session);
+  }
+
+  const options = new Map();
+  for (const [index, indexSessions] of byIndex) {
+    const courseCode = indexSessions[0].course_code;
+    if (!options.has(courseCode)) options.set(courseCode, new Map());
+
+    const bySignature = options.get(courseCode);
+    const signature = slotSignature(indexSessions);
+    if (bySignature.has(signature)) {
+      bySignature.get(signature).alternatives.push(index);
+    } else {
+      bySignature.set(signature, { index, alternatives: [], sessions: indexSessions });
+    }
+  }
+
+  return new Map([...options].map(([code, bySignature]) => [code, [...bySignature.values()]]));
+}
+
+/**
+ * Checks one index against the per-session constraints
+ * @param {Array<object>} sessions - Sessions of one index
+ * @param {object} constraints - { earliest_start, free_days }
+ * @returns {string|null} Reason the index is excluded, or null if it is allowed
+ */
+function optionViolation(sessions, { earliest_start, free_days = [] }) {
+  for (const session of sessions.filter(isPlaced)) {
+    if (earliest_start != null && session.start_minute < earliest_start) {
+      return `has a class before ${formatClockTime(earliest_start)}`;
+    }
+    if (free_days.includes(session.day_of_week)) {
+      return `has a class on ${DAYS_OF_WEEK[session.day_of_week - 1]}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Finds the longest run of back-to-back classes in any day of any teaching week
+ * @param {Array<object>} sessions - Every session of a timetable
+ * @returns {number} Length of the longest run in minutes
+ */
+function longestBlockMinutes(sessions) {
+  const placed = sessions.filter(isPlaced);
+  let longest = 0;
+
+  for (let week = 1; week <= TEACHING_WEEKS; week++) {
+    for (const day of DAYS_OF_WEEK.keys()) {
+      const slots = placed
+        .filter(s => s.day_of_week === day + 1 && sessionWeeks(s).includes(week))
+        .sort((a, b) => a.start_minute - b.start_minute);
+
+      let blockStart = null;
+      let blockEnd = null;
+      for (const slot of slots) {
+        if (blockEnd === null || slot.start_minute - blockEnd > CONSECUTIVE_GAP_MINUTES) {
+          blockStart = slot.start_minute;
+        }
+        blockEnd = Math.max(blockEnd ?? 0, slot.end_minute);
+        longest = Math.max(longest, blockEnd - blockStart);
+      }
+    }
+  }
+
+  return longest;
+}
+
+/**
+ * Scores a timetable; fewer days on campus, then less idle time, then a later first class rank higher
+ * @param {Array<object>} sessions - Every session of a timetable
+ * @returns {object} { days_on_campus, free_weekdays, idle_minutes, earliest_start, latest_end }
+ */
+function scoreTimetable(sessions) {
+  const placed = sessions.filter(isPlaced);
+  const days = new Set(placed.map(s => s.day_of_week));
+  let idle = 0;
+
+  for (const day of days) {
+    const slots = placed.filter(s => s.day_of_week === day).sort((a, b) => a.start_minute - b.start_minute);
+    let end = slots[0].end_minute;
+    for (const slot of slots.slice(1)) {
+      if (slot.start_minute > end) idle += slot.start_minute - end;
+      end = Math.max(end, slot.end_minute);
+    }
+  }
+
+  return {
+    days_on_campus: days.size,
+    free_weekdays: WEEKDAYS.filter(d => !days.has(d)).map(d => DAYS_OF_WEEK[d - 1]),
+    idle_minutes: idle,
+    earliest_start: placed.length ? formatClockTime(Math.min(...placed.map(s => s.start_minute))) : null,
+    latest_end: placed.length ? formatClockTime(Math.max(...placed.map(s => s.end_minute))) : null,
+  };
+}
+
+/**
+ * Orders two scores, best first
+ * @param {object} a - Score from scoreTimetable
+ * @param {object} b - Score from scoreTimetable
+ * @returns {number} Negative when a ranks above b
+ */
+function compareScores(a, b) {
+  return a.days_on_campus - b.days_on_campus
+    || a.idle_minutes - b.idle_minutes
+    || String(b.earliest_start).localeCompare(String(a.earliest_start));
+}
+
+/**
+ * Searches for clash-free timetables
+ * @param {Array<object>} sessions - Schedule rows for every requested course
+ * @param {object} options - Search options
+ * @param {Array<string>} options.courseCodes - Courses that must appear in every timetable
+ * @param {object} [options.constraints] - { earliest_start, free_days, any_free_day, max_consecutive_minutes }
+ * @param {object} [options.locked] - course_code -> index that must be used
+ * @param {number} [options.limit] - Number of timetables to return
+ * @param {number} [options.timeBudgetMs] - Search time cutoff
+ * @param {Function} [options.now] - Clock, injectable for tests
+ * @param {number} [options.yieldEvery] - Search nodes between yields to the event loop
+ * @returns {Promise<object>} { timetables, explored, truncated, blocked }
+ */
+async function planTimetables(sessions, {
+  courseCodes,
+  constraints = {},
+  locked = {},
+  limit = DEFAULT_PLAN_LIMIT,
+  timeBudgetMs = DEFAULT_TIME_BUDGET_MS,
+  now = Date.now,
+  yieldEvery = YIELD_EVERY_NODES,
+}) {
+  const optionsByCourse = buildOptions(sessions);
+  const blocked = [];
+  const courses = [];
+
+  for (const courseCode of courseCodes) {
+    let options = optionsByCourse.get(courseCode) || [];
+    if (locked[courseCode]) {
+      options = options
+        .filter(o => o.index === locked[courseCode] || o.alternatives.includes(locked[courseCode]))
+        .map(o => ({ ...o, index: locked[courseCode], alternatives: [] }));
+    }
+
+    const reasons = options.map(o => optionViolation(o.sessions, constraints));
+    const allowed = options.filter((_, i) => reasons[i] === null);
+    if (allowed.length === 0) {
+      const reason = reasons.find(Boolean);
+      blocked.push({ course_code: courseCode, reason: reason ? `Every index ${reason}` : 'No indexes found' });
+    }
+    courses.push({ courseCode, options: allowed });
+  }
+
+  if (blocked.length > 0) {
+    return { timetables: [], explored: 0, truncated: false, blocked };
+  }
+
+  // Most constrained courses first so clashes prune the search early
+  courses.sort((a, b) => a.options.length - b.options.length);
+
+  const deadline = now() + timeBudgetMs;
+  const chosen = [];
+  const best = [];
+  let explored = 0;
+  let truncated = false;
+  let nodes = 0;
+
+  const clashesWithChosen = (option) => option.sessions.filter(isPlaced).some(session =>
+    chosen.some(other => other.sessions.filter(isPlaced).some(o => sessionOverlap(session, o))));
+
+  const evaluate = () => {
+    explored++;
+    const all = chosen.flatMap(o => o.sessions);
+    if (constraints.max_consecutive_minutes != null && longestBlockMinutes(all) > constraints.max_consecutive_minutes) return;
+
+    const score = scoreTimetable(all);
+    if (constraints.any_free_day && score.free_weekdays.length === 0) return;
+
+    if (best.length === limit && compareScores(score, best[best.length - 1].score) >= 0) return;
+    best.push({
+      score,
+      indexes: chosen.map((o, i) => ({ course_code: courses[i].courseCode, index: o.index, alternatives: o.alternatives })),
+    });
+    best.sort((a, b) => compareScores(a.score, b.score));
+    if (best.length > limit) best.pop();
+  };
+
+  const visit = async (depth) => {
+    if (++nodes % yieldEvery === 0) await new Promise(resolve => setImmediate(resolve));
+    if (now() > deadline) {
+      truncated = true;
+      return;
+    }
+    if (depth === courses.length) {
+      evaluate();
+      return;
+    }
+    for (const option of courses[depth].options) {
+      if (clashesWithChosen(option)) continue;
+      chosen.push(option);
+      await visit(depth + 1);
+      chosen.pop();
+      if (truncated) return;
+    }
+  };
+
+  await visit(0);
+
+  const timetables = best.map((t, i) => ({
+    rank: i + 1,
+    ...t.score,
+    indexes: [...t.indexes].sort((a, b) => courseCodes.indexOf(a.course_code) - courseCodes.indexOf(b.course_code)),
+  }));
+
+  return { timetables, explored, truncated, blocked };
+}
+
+module.exports = {
+  planTimetables,
+  longestBlockMinutes,
+  scoreTimetable,
+  DEFAULT_PLAN_LIMIT,
+  MAX_PLAN_LIMIT,
+  DEFAULT_TIME_BUDGET_MS,
+  MAX_TIME_BUDGET_MS,
+};
@@ -0,0 +1,98 @@
+/**
+ * Short-lived cache in front of fetchVacancy
+ * Vacancy pages are kept in Redis for VACANCY_CACHE_TTL_SECONDS, and concurrent requests for the same course in
+ * this process share one upstream request. If Redis is unavailable the service is read directly.
+ * Upstream requests from this process are limited to VACANCY_UPSTREAM_RATE_PER_SECOND.
+ */
+const { fetchVacancy } = require('../scrappers/fetchVacancy');
+const { connection } = require('../queue/client');
+const { createRateLimiter } = require('./concurrency');
+const logger = require('./logger');
+
+const DEFAULT_TTL_SECONDS = 30;
+const CACHE_PREFIX = 'vacancy:';
+
+// course_code -> pending upstream read
+const inFlight = new Map();
+const acquireUpstreamSlot = createRateLimiter(Number(process.env.VACANCY_UPSTREAM_RATE_PER_SECOND || 5));
+
+/**
+ * Reads the cache TTL setting
+ * @returns {number} TTL in seconds; 0 disables the cache
+ */
+function getCacheTtl() {
+  const ttl = Number(process.env.VACANCY_CACHE_TTL_SECONDS ?? DEFAULT_TTL_SECONDS);
+  return Number.isFinite(ttl) && ttl > 0 ? Math.floor(ttl) : 0;
+}
+
+/**
+ * Looks up a cached vacancy page
+ * @param {string} courseCode - Course code
+ * @returns {Promise<object|null>} { html, fetched_at } or null on a miss or Redis error
+ */
+async function readCache(courseCode) {
+  try {
+    const value = await connection.get(CACHE_PREFIX + courseCode);
+    if (!value) return null;
+    const { html, fetched_at } = JSON.parse(value);
+    return { html, fetched_at: new Date(fetched_at) };
+  } catch (err) {
+    logger.warn(`Vacancy cache read failed for ${courseCode}: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Stores a vacancy page
+ * @param {string} courseCode - Course code
+ * @param {object} entry - { html, fetched_at }
+ * @param {number} ttl - Seconds to keep it
+ */
+async function writeCache(courseCode, { html, fetched_at }, ttl) {
+  try {
+    await connection.set(CACHE_PREFIX + courseCode, JSON.stringify({ html, fetched_at }), 'EX', ttl);
+  } catch (err) {
+    logger.warn(`Vacancy cache write failed for ${courseCode}: ${err.message}`);
+  }
+}
+
+/**
+ * Fetches the vacancy page of a course through the cache
+ * @param {string} courseCode - Uppercase course code
+ * @param {object} [options] - { fresh }; fresh skips the cache but still joins a request already in flight
+ * @returns {Promise<object>} { html, fetched_at, source } where source is 'upstream', 'coalesced' or 'cache'
+ */
+async function fetchVacancyCached(courseCode, { fresh = false } = {}) {
+  const ttl = getCacheTtl();
+
+  if (ttl && !fresh) {
+    const hit = await readCache(courseCode);
+    if (hit) return { ...hit, source: 'cache' };
+  }
+
+  if (inFlight.has(courseCode)) {
+    const shared = await inFlight.get(courseCode);
+    return { ...shared, source: 'coalesced' };
+  }
+
+  const request = (async () => {
+    await acquireUpstreamSlot();
+    const html = await fetchVacancy(courseCode);
+    const entry = { html, fetched_at: new Date() };
+    if (ttl) await writeCache(courseCode, entry, ttl);
+    return entry;
+  })();
+
+  inFlight.set(courseCode, request);
+  try {
+    return { ...(await request), source: 'upstream' };
+  } finally {
+    inFlight.delete(courseCode);
+  }
+}
+
+module.exports = {
+  fetchVacancyCached,
+  getCacheTtl,
+  DEFAULT_TTL_SECONDS,
+};
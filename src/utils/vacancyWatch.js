@@ -0,0 +1,72 @@
+/**
+ * Vacancy watch helpers
+ * A watch fires when the vacancy of an index reaches its threshold (having been below it at the previous check)
+ * or when the waitlist gets shorter.
+ */
+const { parseTimeRange } = require('../parsers/scheduleParser');
+
+const WATCH_ALERT_EVENT = 'vacancy.alert';
+const WATCH_NOTIFIERS = ['webhook'];
+// NTU Vacancy Service hours in Singapore time; the service rejects requests outside them
+const DEFAULT_SERVICE_HOURS = '0900-2200';
+const SGT_OFFSET_MINUTES = 8 * 60;
+
+/**
+ * Checks whether the NTU Vacancy Service is open
+ * @param {Date} [now] - Instant to check
+ * @param {string} [hours] - Opening hours in Singapore time, e.g. "0900-2200"
+ * @returns {boolean} True if now falls within the hours
+ */
+function isVacancyServiceOpen(now = new Date(), hours = process.env.VACANCY_SERVICE_HOURS || DEFAULT_SERVICE_HOURS) {
+  const range = parseTimeRange(hours) || parseTimeRange(DEFAULT_SERVICE_HOURS);
+  const minute = (now.getUTCHours() * 60 + now.getUTCMinutes() + SGT_OFFSET_MINUTES) % (24 * 60);
+  return minute >= range.start && minute < range.end;
+}
+
+/**
+ * Works out why a watch should fire for the latest reading of its index
+ * @param {object} watch - vacancy_watches row with threshold, last_vacancy and last_waitlist
+ * @param {object} current - Vacancy index { vacancy, waitlist }
+ * @returns {Array<string>} Reasons ('vacancy_threshold', 'waitlist_dropped'); empty if the watch should not fire
+ */
+function evaluateWatch(watch, current) {
+  const reasons = [];
+  const wasBelow = watch.last_vacancy === null || watch.last_vacancy === undefined || watch.last_vacancy < watch.threshold;
+  if (current.vacancy >= watch.threshold && wasBelow) reasons.push('vacancy_threshold');
+  if (watch.last_waitlist !== null && watch.last_waitlist !== undefined && current.waitlist < watch.last_waitlist) {
+    reasons.push('waitlist_dropped');
+  }
+  return reasons;
+}
+
+/**
+ * Builds the alert sent to a watch's notifier
+ * @param {object} watch - vacancy_watches row
+ * @param {object} current - Vacancy index { vacancy, waitlist }
+ * @param {Array<string>} reasons - Reasons from evaluateWatch
+ * @param {Date} checkedAt - When the vacancy service was read
+ * @returns {object} Alert
+ */
+function buildAlert(watch, current, reasons, checkedAt) {
+  return {
+    watch_id: String(watch.id),
+    course_code: watch.course_code,
+    index: watch.index,
+    threshold: watch.threshold,
+    reasons,
+    vacancy: current.vacancy,
+    waitlist: current.waitlist,
+    previous_vacancy: watch.last_vacancy ?? null,
+    previous_waitlist: watch.last_waitlist ?? null,
+    checked_at: checkedAt.toISOString(),
+  };
+}
+
+module.exports = {
+  isVacancyServiceOpen,
+  evaluateWatch,
+  buildAlert,
+  WATCH_ALERT_EVENT,
+  WATCH_NOTIFIERS,
+  DEFAULT_SERVICE_HOURS,
+};
@@ -0,0 +1,150 @@
+/**
+ * Outbound webhook helpers
+ * Payloads are signed with HMAC-SHA256 over "<timestamp>.<body>" using the subscription secret, so receivers can
+ * check that a payload came from this service and reject old ones.
+ */
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+
+const WEBHOOK_EVENTS = ['schedule.changed', 'content.changed', 'exam.published'];
+// Large scrapes are split so no single payload grows without bound
+const MAX_EVENTS_PER_DELIVERY = 500;
+const WEBHOOK_HOST_BLOCKED = 'WEBHOOK_HOST_BLOCKED';
+
+// Receivers must be on the public internet; these ranges would let a subscription reach the deployment's own
+// network or cloud metadata endpoints. IPv4-mapped IPv6 addresses are checked against the IPv4 ranges; IPv4-compatible
+// (::a.b.c.d) and NAT64 addresses can embed any IPv4 address, so those ranges are blocked as a whole.
+const BLOCKED_NETWORKS = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4],
+]) {
+  BLOCKED_NETWORKS.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+  ['::', 96], ['64:ff9b::', 96], ['64:ff9b:1::', 48], ['2001:db8::', 32], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+]) {
+  BLOCKED_NETWORKS.addSubnet(network, prefix, 'ipv6');
+}
+
+/**
+ * Generates a signing secret for a new subscription
+ * @returns {string} 64 hex characters
+ */
+function generateSecret() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Signs a webhook body
+ * @param {string} secret - Subscription secret
+ * @param {number} timestamp - Unix seconds sent in X-Webhook-Timestamp
+ * @param {string} body - Exact JSON body being sent
+ * @returns {string} Signature for X-Webhook-Signature ("sha256=<hex>")
+ */
+function signPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * Checks whether an IP address may receive webhooks
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} False for private, loopback, link-local, reserved and invalid addresses
+ */
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return false;
+  return !BLOCKED_NETWORKS.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Builds the error for a receiver that resolves to a blocked address
+ * @param {string} host - Receiver host
+ * @returns {Error} Error with code WEBHOOK_HOST_BLOCKED
+ */
+function blockedHostError(host) {
+  const err = new Error(`${host} resolves to a private, loopback or link-local address`);
+  err.code = WEBHOOK_HOST_BLOCKED;
+  return err;
+}
+
+/**
+ * Resolves a receiver URL's host and checks that every address it resolves to is public
+ * @param {string} url - Receiver URL
+ * @returns {Promise<void>} Rejects with code WEBHOOK_HOST_BLOCKED, or the DNS error if the host does not resolve
+ */
+async function assertPublicUrl(url) {
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  const addresses = net.isIP(host) ? [{ address: host }] : await dns.promises.lookup(host, { all: true });
+  if (addresses.length === 0 || addresses.some(({ address }) => !isPublicAddress(address))) {
+    throw blockedHostError(host);
+  }
+}
+
+/**
+ * dns.lookup replacement for HTTP agents that refuses blocked addresses
+ * Checking at connect time means a host cannot pass assertPublicUrl and then resolve somewhere else.
+ * @param {string} hostname - Host being connected to
+ * @param {object} options - dns.lookup options
+ * @param {Function} callback - dns.lookup callback
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const addresses = Array.isArray(address) ? address : [{ address }];
+    if (addresses.some(entry => !isPublicAddress(entry.address))) return callback(blockedHostError(hostname));
+    callback(null, address, family);
+  });
+}
+
+/**
+ * Checks whether a subscription wants an event item
+ * @param {object} subscription - webhook_subscriptions row
+ * @param {string} event - Event name (e.g. schedule.changed)
+ * @param {object} item - Event item with course_code and acadsem
+ * @returns {boolean} True if the subscription's event, semester and course filters all match
+ */
+function matchesSubscription(subscription, event, item) {
+  if (!subscription.events.includes(event)) return false;
+  if (subscription.acadsem && subscription.acadsem !== item.acadsem) return false;
+  if (subscription.course_codes && subscription.course_codes.length && !subscription.course_codes.includes(item.course_code)) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Splits the items matched for one subscription into delivery payloads, one semester per payload
+ * @param {string} event - Event name
+ * @param {Array<object>} items - Matched event items
+ * @returns {Array<object>} Payloads of { event, acadsem, data }
+ */
+function buildPayloads(event, items) {
+  const bySemester = new Map();
+  for (const item of items) {
+    if (!bySemester.has(item.acadsem)) bySemester.set(item.acadsem, []);
+    bySemester.get(item.acadsem).push(item);
+  }
+
+  const payloads = [];
+  for (const [acadsem, semesterItems] of bySemester) {
+    for (let i = 0; i < semesterItems.length; i += MAX_EVENTS_PER_DELIVERY) {
+      payloads.push({ event, acadsem, data: semesterItems.slice(i, i + MAX_EVENTS_PER_DELIVERY) });
+    }
+  }
+  return payloads;
+}
+
+module.exports = {
+  generateSecret,
+  signPayload,
+  matchesSubscription,
+  buildPayloads,
+  isPublicAddress,
+  assertPublicUrl,
+  publicLookup,
+  WEBHOOK_EVENTS,
+  MAX_EVENTS_PER_DELIVERY,
+  WEBHOOK_HOST_BLOCKED,
+};
@@ -1,4 +1,8 @@
 const { z } = require('zod');
+const { WEBHOOK_EVENTS } = require('../utils/webhooks');
+const { WATCH_NOTIFIERS } = require('../utils/vacancyWatch');
+const { MAX_TIME_BUDGET_MS } = require('../utils/timetablePlanner');
+const { EXAM_STUDENT_TYPES } = require('../utils/format');
 
 const metadataSchema = z.object({
   year: z.string(),
@@ -8,6 +12,24 @@ const metadataSchema = z.object({
   updated_at: z.date().optional(),
 });
 
+const prerequisiteNodeSchema = z.lazy(() =>
+  z.object({
+    type: z.enum(['course', 'clause', 'and', 'or']),
+    code: z.string().optional(),
+    text: z.string().optional(),
+    courses: z.array(z.string()).optional(),
+    children: z.array(prerequisiteNodeSchema).optional(),
+  })
+);
+
+const programmeRestrictionSchema = z.object({
+  restriction_type: z.enum(['programme', 'all_programme', 'bde_ue']),
+  programme: z.string().nullable(),
+  admit_year_from: z.number().nullable(),
+  admit_year_to: z.number().nullable(),
+  raw: z.string(),
+});
+
 const courseContentSchema = z.object({
   course_code: z.string(),
   acadsem: z.string(),
@@ -15,7 +37,9 @@ const courseContentSchema = z.object({
   au: z.number().nullable(),
   description: z.string(),
   prerequisites: z.string(),
+  prerequisite_tree: prerequisiteNodeSchema.nullable().optional(),
   mutual_exclusions: z.string(),
+  mutual_exclusion_codes: z.array(z.string()).optional(),
   department_code: z.string().optional(),
   not_available_to_programme: z.string().optional(),
   not_available_to_all_programme_with: z.string().optional(),
@@ -23,6 +47,7 @@ const courseContentSchema = z.object({
   is_unrestricted_elective: z.boolean().optional(),
   is_broadening_deepening_elective: z.boolean().optional(),
   grade_type: z.string().optional(),
+  programme_restrictions: z.array(programmeRestrictionSchema).optional(),
 });
 
 const scheduleSectionSchema = z.object({
@@ -33,6 +58,11 @@ const scheduleSectionSchema = z.object({
   time: z.string(),
   venue: z.string(),
   remark: z.string(),
+  day_of_week: z.number().int().min(1).max(7).nullable().optional(),
+  start_minute: z.number().int().nullable().optional(),
+  end_minute: z.number().int().nullable().optional(),
+  teaching_weeks: z.array(z.number().int()).optional(),
+  week_pattern: z.enum(['all', 'odd', 'even', 'custom']).optional(),
 });
 
 const courseScheduleSchema = z.object({
@@ -61,12 +91,82 @@ const vacancyResponseSchema = z.object({
   indexes: z.array(vacancyIndexSchema),
 });
 
+const timetableCheckRequestSchema = z.object({
+  acadsem: z.string().trim().min(1),
+  indexes: z.array(z.coerce.string().trim().min(1)).min(1).max(20),
+});
+
+const timetablePlanRequestSchema = z.object({
+  acadsem: z.string().trim().min(1),
+  course_codes: z.array(z.string().trim().min(1).transform(code => code.toUpperCase())).min(1).max(10),
+  constraints: z.object({
+    no_classes_before: z.coerce.string().optional(),
+    free_day: z.string().optional(),
+    max_consecutive_hours: z.number().positive().optional(),
+    locked_indexes: z.array(z.coerce.string().trim().min(1)).optional(),
+  }).optional(),
+  limit: z.number().int().min(1).max(20).optional(),
+  timeout_ms: z.number().int().min(50).max(MAX_TIME_BUDGET_MS).optional(),
+});
+
+const examAnalyzeRequestSchema = z.object({
+  acadsem: z.string().trim().min(1),
+  course_codes: z.array(z.string().trim().min(1).transform(code => code.toUpperCase())).min(1).max(20),
+  student_type: z.enum(Object.keys(EXAM_STUDENT_TYPES)).default('UE'),
+});
+
+const webhookSubscriptionRequestSchema = z.object({
+  url: z.url({ protocol: /^https?$/ }),
+  events: z.array(z.enum(WEBHOOK_EVENTS)).min(1),
+  course_codes: z.array(z.string().trim().min(1).transform(code => code.toUpperCase())).max(100).optional(),
+  acadsem: z.string().trim().min(1).optional(),
+  secret: z.string().min(16).max(256).optional(),
+});
+
+const vacancyWatchRequestSchema = z.object({
+  course_code: z.string().trim().min(1).transform(code => code.toUpperCase()),
+  index: z.coerce.string().trim().min(1),
+  threshold: z.number().int().min(1).max(1000).default(1),
+  notifier: z.enum(WATCH_NOTIFIERS).default('webhook'),
+  subscription_id: z.number().int().positive(),
+});
+
+const courseCodeSchema = z.string().trim().min(1).transform(code => code.toUpperCase());
+
+const vacancyBulkRequestSchema = z.object({
+  courses: z.array(z.union([
+    courseCodeSchema,
+    z.object({
+      course_code: courseCodeSchema,
+      index: z.coerce.string().trim().min(1).optional(),
+    }),
+  ])).min(1).max(20),
+  fresh: z.boolean().default(false),
+});
+
+/**
+ * Formats zod issues into a single request error message
+ * @param {object} error - ZodError from safeParse
+ * @returns {string} Message listing each invalid field
+ */
+const describeIssues = (error) =>
+  error.issues.map(issue => `${issue.path.join('.') || 'body'}: ${issue.message}`).join('; ');
+
 module.exports = {
   metadataSchema,
+  prerequisiteNodeSchema,
+  programmeRestrictionSchema,
   courseContentSchema,
   courseScheduleSchema,
   scheduleSectionSchema,
   vacancyClassSchema,
   vacancyIndexSchema,
   vacancyResponseSchema,
+  timetableCheckRequestSchema,
+  timetablePlanRequestSchema,
+  examAnalyzeRequestSchema,
+  webhookSubscriptionRequestSchema,
+  vacancyWatchRequestSchema,
+  vacancyBulkRequestSchema,
+  describeIssues,
 };
@@ -2,6 +2,7 @@ const { fetchCourseContent } = require('../scrappers/fetchContent');
 const { parseContent } = require('../parsers/contentParser');
 const { courseContentSchema } = require('../validation/schemas');
 const { saveCourseContent } = require('../database/repository');
+const { publishEvents } = require('./webhookDispatcher');
 const logger = require('../utils/logger');
 const { z } = require('zod');
 
@@ -36,7 +37,10 @@ async function processContent(job) {
   const validated = z.array(courseContentSchema).parse(rawCourses);
 
   // 4. Persist
-  await saveCourseContent(validated);
+  const changes = await saveCourseContent(validated);
+
+  // 5. Notify webhook subscribers of changed fields
+  await publishEvents('content.changed', changes);
 
   logger.info(`Content Scrape Completed for ${acadsem}`);
 }
@@ -4,20 +4,21 @@
  */
 const { fetchExamMetadata, fetchExamPlanDetails, fetchExamDetails } = require('../scrappers/fetchExam');
 const { parseExamMetadata, parseExamDetails } = require('../parsers/examParser');
-const { saveExamTimetable } = require('../database/repository');
-const { toStandardAcadSem } = require('../utils/format');
+const { saveExamTimetable, saveExamPlans } = require('../database/repository');
+const { toStandardAcadSem, EXAM_STUDENT_TYPES } = require('../utils/format');
+const { publishEvents } = require('./webhookDispatcher');
 const logger = require('../utils/logger');
 
 /**
  * Main worker function for exam timetable scraping
  * @param {object} job - Job data from queue
  * @param {string} job.data.acadsem - Academic semester (e.g., "2025_1")
- * @param {string} job.data.studentType - 'UE' for undergraduate, '' for graduate
+ * @param {string} job.data.studentType - 'UE' for undergraduate, 'GR' for graduate
  * @param {Array} job.data.availablePlans - Array of available plan numbers from WIS
  */
 async function examScraper(job) {
   const { acadsem, studentType = 'UE', availablePlans = [] } = job.data;
-  const studentTypeLabel = studentType === 'UE' ? 'Undergraduate' : 'Graduate';
+  const studentTypeLabel = EXAM_STUDENT_TYPES[studentType] || studentType;
   
   try {
     logger.info(`Starting exam scraper for ${acadsem} (${studentTypeLabel})`);
@@ -41,6 +42,7 @@ async function examScraper(job) {
     // Try each plan and collect all exam records
     let allExams = [];
     let successfulPlan = null;
+    const seenPlans = [];
     
     for (const planNo of plansToTry) {
       try {
@@ -56,6 +58,7 @@ async function examScraper(job) {
         }
         
         const planInfo = planDetails[0];
+        seenPlans.push({ ...planInfo, planNo: planInfo.planNo || planNo });
         
         // Check if this plan matches our target semester
         if (planInfo.examYear && planInfo.semester) {
@@ -79,7 +82,13 @@ async function examScraper(job) {
         });
         
         // Parse exam details
-        const exams = parseExamDetails(detailsHtml, acadsem, studentType);
+        const exams = parseExamDetails(
+          detailsHtml,
+          acadsem,
+          studentType,
+          planInfo.academicSession || null,
+          planInfo.planNo || planNo
+        );
         
         if (exams.length > 0) {
           logger.info(`Plan ${planNo} returned ${exams.length} exams`);
@@ -93,6 +102,13 @@ async function examScraper(job) {
       }
     }
     
+    // Record plan details (session, year, semester) for the plan catalogue; a failed write must not lose the exams
+    try {
+      await saveExamPlans(seenPlans, studentType);
+    } catch (err) {
+      logger.warn(`Could not record ${studentTypeLabel} exam plans: ${err.message}`);
+    }
+    
     if (allExams.length === 0) {
       logger.warn(`No exam data found for ${acadsem} (${studentTypeLabel})`);
       return { success: true, message: 'No exams found', count: 0 };
@@ -100,12 +116,14 @@ async function examScraper(job) {
     
     // Save all collected exams
     logger.info(`Saving ${allExams.length} exam records to database...`);
-    await saveExamTimetable(
+    const published = await saveExamTimetable(
       allExams,
-      successfulPlan?.academicSession || `Exams for ${acadsem}`,
-      plansToTry.join(',')
+      successfulPlan?.academicSession || `Exams for ${acadsem}`
     );
     
+    // Notify webhook subscribers of sittings that were not listed before
+    await publishEvents('exam.published', published);
+    
     logger.info(`Exam scraping completed for ${acadsem} (${studentTypeLabel}): ${allExams.length} exams`);
     return { success: true, count: allExams.length };
     
@@ -118,8 +136,9 @@ async function examScraper(job) {
 /**
  * Scrapes exam timetables for both undergraduate and graduate students
  * @param {string} acadsem - Academic semester (e.g., "2025_1")
+ * @param {Array<string>} [studentTypes] - Student types to scrape ('UE', 'GR'); defaults to both
  */
-async function scrapeExamsForSemester(acadsem) {
+async function scrapeExamsForSemester(acadsem, studentTypes = ['UE', 'GR']) {
   logger.info(`Scraping exams for semester: ${acadsem}`);
   
   const results = {
@@ -128,23 +147,27 @@ async function scrapeExamsForSemester(acadsem) {
   };
   
   // Scrape undergraduate exams
-  try {
-    results.undergraduate = await examScraper({
-      data: { acadsem, studentType: 'UE' }
-    });
-  } catch (err) {
-    logger.error('Error scraping undergraduate exams', err);
-    results.undergraduate = { success: false, error: err.message };
+  if (studentTypes.includes('UE')) {
+    try {
+      results.undergraduate = await examScraper({
+        data: { acadsem, studentType: 'UE' }
+      });
+    } catch (err) {
+      logger.error('Error scraping undergraduate exams', err);
+      results.undergraduate = { success: false, error: err.message };
+    }
   }
   
   // Scrape graduate exams
-  try {
-    results.graduate = await examScraper({
-      data: { acadsem, studentType: '' }
-    });
-  } catch (err) {
-    logger.error('Error scraping graduate exams', err);
-    results.graduate = { success: false, error: err.message };
+  if (studentTypes.includes('GR')) {
+    try {
+      results.graduate = await examScraper({
+        data: { acadsem, studentType: 'GR' }
+      });
+    } catch (err) {
+      logger.error('Error scraping graduate exams', err);
+      results.graduate = { success: false, error: err.message };
+    }
   }
   
   logger.info(`Exam scraping completed for ${acadsem}`, results);
@@ -1,9 +1,11 @@
-const { createWorker } = require('../queue/client');
+const { createWorker, WEBHOOK_QUEUE_NAME, VACANCY_QUEUE_NAME } = require('../queue/client');
 const processMetadata = require('./metadataScraper');
 const processContent = require('./contentScraper');
 const processSchedule = require('./scheduleScraper');
 const processBackfill = require('./backfillScraper');
 const { examScraper } = require('./examScraper');
+const processWebhookDelivery = require('./webhookDelivery');
+const processVacancyWatch = require('./vacancyWatcher');
 const logger = require('../utils/logger');
 
 function startWorkers() {
@@ -22,6 +24,12 @@ function startWorkers() {
       return examScraper(job);
     }
   });
+
+  // Webhook deliveries have their own queue so slow receivers never hold up scraping
+  createWorker(processWebhookDelivery, 2, WEBHOOK_QUEUE_NAME);
+
+  // Vacancy watch polling is kept off the scrape queue so long scrapes do not delay alerts
+  createWorker(processVacancyWatch, 1, VACANCY_QUEUE_NAME);
   
   logger.info('Workers listening for jobs');
 }
@@ -1,9 +1,9 @@
 const { fetchScheduleForm, fetchContentForm } = require('../scrappers/fetchOptions');
 const { parseScheduleOptions, parseContentOptions } = require('../parsers/metaParser');
 const { metadataSchema } = require('../validation/schemas');
-const { saveMetadata } = require('../database/repository');
+const { saveMetadata, saveExamPlans } = require('../database/repository');
 const { addJob } = require('../queue/client');
-const { parseAcadSem, toStandardAcadSem } = require('../utils/format');
+const { parseAcadSem, toStandardAcadSem, EXAM_STUDENT_TYPES } = require('../utils/format');
 const logger = require('../utils/logger');
 const { z } = require('zod');
 
@@ -83,13 +83,15 @@ async function processMetadata(job) {
       data: { acadsem: cand.value }
     });
 
-    // Exam Scrape Jobs (ONLY for regular semesters 1 and 2, ONLY for undergraduates)
-    // Special semesters (S) and graduate students don't have exam timetables in WIS
+    // Exam Scrape Jobs (ONLY for regular semesters 1 and 2, one per student type)
+    // Special semesters (S) don't have exam timetables in WIS
     if (cand.semester === '1' || cand.semester === '2') {
-      jobsToTrigger.push({
-        name: 'scrape-exam',
-        data: { acadsem: cand.value, studentType: 'UE' }
-      });
+      for (const studentType of Object.keys(EXAM_STUDENT_TYPES)) {
+        jobsToTrigger.push({
+          name: 'scrape-exam',
+          data: { acadsem: cand.value, studentType }
+        });
+      }
     }
 
     // Prepare Backfill (one per year-sem)
@@ -103,45 +105,51 @@ async function processMetadata(job) {
     }
   }
 
-  // 7. Discover current exam plans from WIS
+  // 7. Discover current exam plans from WIS, separately for each student type
   // Note: WIS typically returns multiple plan numbers (e.g., 113, 114) representing
   // different exam sessions or groups for the current semester
-  const examPlansAvailable = [];
+  const examPlansAvailable = {};
   if (job.data.triggerNext) {
-    try {
-      const { fetchExamMetadata } = require('../scrappers/fetchExam');
-      const { parseExamMetadata } = require('../parsers/examParser');
-      
-      logger.info('Discovering current exam plans from WIS...');
-      const examMetadataHtml = await fetchExamMetadata('UE');
-      const examPlans = parseExamMetadata(examMetadataHtml);
-      
-      if (examPlans && examPlans.length > 0) {
-        for (const plan of examPlans) {
-          examPlansAvailable.push(plan.planNo);
-          logger.info(`Exam plan available: ${plan.planNo} - ${plan.label || 'No label'}`);
+    const { fetchExamMetadata } = require('../scrappers/fetchExam');
+    const { parseExamMetadata } = require('../parsers/examParser');
+
+    for (const [studentType, studentTypeLabel] of Object.entries(EXAM_STUDENT_TYPES)) {
+      examPlansAvailable[studentType] = [];
+      try {
+        logger.info(`Discovering current ${studentTypeLabel} exam plans from WIS...`);
+        const examMetadataHtml = await fetchExamMetadata(studentType);
+        const examPlans = parseExamMetadata(examMetadataHtml);
+
+        for (const plan of examPlans || []) {
+          examPlansAvailable[studentType].push(plan.planNo);
+          logger.info(`${studentTypeLabel} exam plan available: ${plan.planNo} - ${plan.label || 'No label'}`);
         }
+
+        if (examPlansAvailable[studentType].length === 0) {
+          logger.warn(`No ${studentTypeLabel} exam plans currently available in WIS`);
+        } else {
+          await saveExamPlans(examPlans, studentType);
+        }
+      } catch (err) {
+        logger.error(`Error discovering ${studentTypeLabel} exam plans`, err);
       }
-      
-      if (examPlansAvailable.length === 0) {
-        logger.warn('No exam plans currently available in WIS');
-      }
-    } catch (err) {
-      logger.error('Error discovering exam plans', err);
     }
   }
 
   // 8. Trigger Jobs
   const uniqueJobs = new Map();
   jobsToTrigger.forEach(j => {
-    // For exam jobs, only include if we found plans available
+    // For exam jobs, only include if we found plans available for the student type
     if (j.name === 'scrape-exam') {
-      if (examPlansAvailable.length === 0) {
-        logger.info(`Skipping exam scrape for ${j.data.acadsem} (no exam plans available in WIS)`);
+      const plans = examPlansAvailable[j.data.studentType] || [];
+      if (plans.length === 0) {
+        logger.info(`Skipping ${j.data.studentType} exam scrape for ${j.data.acadsem} (no exam plans available in WIS)`);
         return;
       }
       // Pass the available plans to the exam scraper
-      j.data.availablePlans = examPlansAvailable;
+      j.data.availablePlans = plans;
+      uniqueJobs.set(`${j.name}-${j.data.acadsem}-${j.data.studentType}`, j);
+      return;
     }
     uniqueJobs.set(`${j.name}-${j.data.acadsem}`, j);
   });
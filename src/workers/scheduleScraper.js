@@ -2,6 +2,7 @@ const { fetchCourseSchedule } = require('../scrappers/fetchSchedule');
 const { parseSchedule } = require('../parsers/scheduleParser');
 const { courseScheduleSchema } = require('../validation/schemas');
 const { saveCourseSchedule } = require('../database/repository');
+const { publishEvents } = require('./webhookDispatcher');
 const logger = require('../utils/logger');
 const { z } = require('zod');
 
@@ -32,7 +33,10 @@ async function processSchedule(job) {
   const validated = z.array(courseScheduleSchema).parse(rawCourses);
 
   // 4. Persist
-  await saveCourseSchedule(validated);
+  const changes = await saveCourseSchedule(validated);
+
+  // 5. Notify webhook subscribers of added, removed and moved sessions
+  await publishEvents('schedule.changed', changes);
 
   logger.info(`Schedule Scrape Completed for ${acadsem}`);
 }
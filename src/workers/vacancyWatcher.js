@@ -0,0 +1,92 @@
+/**
+ * Worker for vacancy watches
+ * Each run reads the NTU Vacancy Service once per watched course, however many watches the course has, and
+ * alerts the watches whose index reached its threshold or whose waitlist dropped.
+ */
+const { parseVacancyHtml } = require('../parsers/vacancyParser');
+const { vacancyResponseSchema } = require('../validation/schemas');
+const { getVacancyWatches, updateVacancyWatchReading, saveVacancySnapshots } = require('../database/repository');
+const { notify } = require('../notifiers');
+const { isVacancyServiceOpen, evaluateWatch, buildAlert } = require('../utils/vacancyWatch');
+const { fetchVacancyCached } = require('../utils/vacancyCache');
+const logger = require('../utils/logger');
+
+/**
+ * Checks every watch of one course against a single vacancy reading
+ * @param {string} courseCode - Course code
+ * @param {Array<object>} watches - Active watches of the course
+ * @returns {Promise<number>} Alerts sent
+ */
+async function checkCourse(courseCode, watches) {
+  // A page cached by a recent /vacancy lookup is recent enough and saves an upstream request
+  const { html, fetched_at: checkedAt, source } = await fetchVacancyCached(courseCode);
+  const result = parseVacancyHtml(html, courseCode);
+  if (result.error) throw new Error(result.error);
+
+  const { indexes } = vacancyResponseSchema.parse({ course_code: courseCode, indexes: result.indexes });
+  if (source === 'upstream') {
+    try {
+      await saveVacancySnapshots(courseCode, indexes, checkedAt);
+    } catch (err) {
+      logger.warn(`Could not record vacancy snapshots for ${courseCode}: ${err.message}`);
+    }
+  }
+
+  const byIndex = new Map(indexes.map(idx => [idx.index, idx]));
+  let alerts = 0;
+
+  for (const watch of watches) {
+    const current = byIndex.get(watch.index);
+    if (!current) {
+      logger.warn(`Watch ${watch.id}: index ${watch.index} not listed for ${courseCode}`);
+      continue;
+    }
+
+    const reasons = evaluateWatch(watch, current);
+    try {
+      if (reasons.length) {
+        await notify(watch, buildAlert(watch, current, reasons, checkedAt));
+        alerts++;
+      }
+      await updateVacancyWatchReading(watch.id, { vacancy: current.vacancy, waitlist: current.waitlist, notified: reasons.length > 0 });
+    } catch (err) {
+      // The reading is not stored, so the next run compares against the same values and tries again
+      logger.error(`Failed to notify watch ${watch.id}`, err);
+    }
+  }
+
+  return alerts;
+}
+
+/**
+ * Polls the vacancy of every watched course
+ * @param {object} job - Job from the vacancy queue
+ * @returns {Promise<object>} { courses, alerts } or { skipped: true } outside service hours
+ */
+async function processVacancyWatch(job) {
+  if (!isVacancyServiceOpen()) {
+    logger.debug('Vacancy service closed, skipping watch run');
+    return { skipped: true };
+  }
+
+  const watches = await getVacancyWatches({ active: true });
+  const byCourse = new Map();
+  for (const watch of watches) {
+    if (!byCourse.has(watch.course_code)) byCourse.set(watch.course_code, []);
+    byCourse.get(watch.course_code).push(watch);
+  }
+
+  let alerts = 0;
+  for (const [courseCode, courseWatches] of byCourse) {
+    try {
+      alerts += await checkCourse(courseCode, courseWatches);
+    } catch (err) {
+      logger.error(`Vacancy watch check failed for ${courseCode}: ${err.message}`);
+    }
+  }
+
+  if (byCourse.size) logger.info(`Checked ${watches.length} vacancy watches over ${byCourse.size} courses, ${alerts} alerts`);
+  return { courses: byCourse.size, alerts };
+}
+
+module.exports = processVacancyWatch;
@@ -0,0 +1,92 @@
+/**
+ * Worker for delivering webhook payloads
+ * Each job POSTs one signed delivery; a failed attempt is recorded and thrown so BullMQ retries it with backoff.
+ */
+const http = require('http');
+const https = require('https');
+const { getWebhookDelivery, updateWebhookDelivery } = require('../database/repository');
+const { httpClient } = require('../scrappers/httpClient');
+const { signPayload, assertPublicUrl, publicLookup, WEBHOOK_HOST_BLOCKED } = require('../utils/webhooks');
+const logger = require('../utils/logger');
+
+const WEBHOOK_TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS || 10000);
+// Connections only go to hosts that still resolve to public addresses
+const httpAgent = new http.Agent({ lookup: publicLookup });
+const httpsAgent = new https.Agent({ lookup: publicLookup });
+
+/**
+ * Delivers one webhook payload
+ * @param {object} job - Job from the webhook queue
+ * @param {number} job.data.deliveryId - webhook_deliveries id
+ * @returns {Promise<object>} { status, response_status }
+ */
+async function processWebhookDelivery(job) {
+  const { deliveryId } = job.data;
+  const delivery = await getWebhookDelivery(deliveryId);
+
+  if (!delivery) {
+    logger.warn(`Webhook delivery ${deliveryId} no longer exists, skipping`);
+    return { status: 'skipped' };
+  }
+  if (!delivery.active) {
+    await updateWebhookDelivery(deliveryId, {
+      status: 'cancelled',
+      attempts: delivery.attempts,
+      last_error: 'Subscription is inactive'
+    });
+    return { status: 'cancelled' };
+  }
+
+  const attempts = delivery.attempts + 1;
+  const body = JSON.stringify({ id: String(delivery.id), ...delivery.payload });
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  let responseStatus = null;
+  let error;
+  try {
+    await assertPublicUrl(delivery.url);
+    const response = await httpClient.post(delivery.url, body, {
+      timeout: WEBHOOK_TIMEOUT_MS,
+      maxRedirects: 0,
+      // A proxy would resolve the host itself and bypass publicLookup
+      proxy: false,
+      httpAgent,
+      httpsAgent,
+      validateStatus: () => true,
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'NTU-Public-APIs-Webhooks/1.0',
+        'X-Webhook-Id': String(delivery.id),
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': signPayload(delivery.secret, timestamp, body),
+      },
+    });
+    responseStatus = response.status;
+    if (response.status >= 200 && response.status < 300) {
+      await updateWebhookDelivery(deliveryId, { status: 'delivered', attempts, response_status: responseStatus });
+      logger.info(`Delivered webhook ${deliveryId} (${delivery.event}) to ${delivery.url}`);
+      return { status: 'delivered', response_status: responseStatus };
+    }
+    error = `Receiver responded with HTTP ${response.status}`;
+  } catch (err) {
+    if (err.code === WEBHOOK_HOST_BLOCKED) {
+      // Retrying cannot help, and nothing was sent
+      await updateWebhookDelivery(deliveryId, { status: 'failed', attempts, last_error: err.message });
+      logger.warn(`Webhook ${deliveryId} not delivered: ${err.message}`);
+      return { status: 'failed' };
+    }
+    error = err.message;
+  }
+
+  const finalAttempt = attempts >= (job.opts.attempts || 1);
+  await updateWebhookDelivery(deliveryId, {
+    status: finalAttempt ? 'failed' : 'retrying',
+    attempts,
+    response_status: responseStatus,
+    last_error: error
+  });
+  throw new Error(`Webhook delivery ${deliveryId} failed (attempt ${attempts}): ${error}`);
+}
+
+module.exports = processWebhookDelivery;
@@ -0,0 +1,48 @@
+/**
+ * Queues webhook deliveries for the changes a scrape job has just committed
+ */
+const { getWebhookSubscriptions, createWebhookDelivery } = require('../database/repository');
+const { addWebhookJob } = require('../queue/client');
+const { matchesSubscription, buildPayloads } = require('../utils/webhooks');
+const logger = require('../utils/logger');
+
+/**
+ * Records and queues one delivery per matching subscription and semester
+ * Errors are logged rather than thrown: the scrape has already been saved and should not be retried because
+ * of a webhook problem.
+ * @param {string} event - Event name (schedule.changed, content.changed or exam.published)
+ * @param {Array<object>} items - Event items, each with course_code and acadsem
+ * @returns {Promise<number>} Number of deliveries queued
+ */
+async function publishEvents(event, items) {
+  if (!items || items.length === 0) return 0;
+
+  try {
+    const subscriptions = await getWebhookSubscriptions({ active: true });
+    let queued = 0;
+
+    for (const subscription of subscriptions) {
+      const matching = items.filter(item => matchesSubscription(subscription, event, item));
+      for (const payload of buildPayloads(event, matching)) {
+        const delivery = await createWebhookDelivery({
+          subscription_id: subscription.id,
+          event,
+          acadsem: payload.acadsem,
+          payload
+        });
+        await addWebhookJob({ deliveryId: delivery.id });
+        queued++;
+      }
+    }
+
+    if (queued) logger.info(`Queued ${queued} webhook deliveries for ${items.length} ${event} events`);
+    return queued;
+  } catch (err) {
+    logger.error(`Error queueing webhook deliveries for ${event}`, err);
+    return 0;
+  }
+}
+
+module.exports = {
+  publishEvents,
+};
@@ -0,0 +1,212 @@
+/**
+ * Unit tests for the academic calendar helpers, the iCalendar writer and the calendar export routes
+ */
+
+const request = require('supertest');
+const express = require('express');
+const { parseWeek1Dates, teachingWeekDate, getWeek1Start } = require('../src/utils/academicCalendar');
+const { buildCalendar, escapeText, foldLine } = require('../src/utils/ical');
+
+// Mock the repository module
+jest.mock('../src/database/repository');
+const repo = require('../src/database/repository');
+
+const calendarRoutes = require('../src/routes/calendar');
+
+const app = express();
+app.use(express.json());
+app.use('/', calendarRoutes);
+
+const unfold = (text) => text.replace(/\r\n /g, '');
+
+describe('Academic Calendar', () => {
+  it('should parse configured week-1 dates and ignore invalid entries', () => {
+    expect(parseWeek1Dates('2025_1:2025-08-11, 2025_2:2026-01-12,bad,2024_1:2024-02-30')).toEqual({
+      '2025_1': '2025-08-11',
+      '2025_2': '2026-01-12'
+    });
+  });
+
+  it('should read the week-1 date from the environment', () => {
+    const original = process.env.SEMESTER_WEEK1_DATES;
+    process.env.SEMESTER_WEEK1_DATES = '2025_2:2026-01-12';
+    expect(getWeek1Start('2025_2')).toBe('2026-01-12');
+    expect(getWeek1Start('2025_1')).toBeNull();
+    if (original === undefined) delete process.env.SEMESTER_WEEK1_DATES;
+    else process.env.SEMESTER_WEEK1_DATES = original;
+  });
+
+  it('should skip recess week after teaching week 7', () => {
+    const iso = (date) => date.toISOString().slice(0, 10);
+    expect(iso(teachingWeekDate('2026-01-12', 1, 2))).toBe('2026-01-13');
+    expect(iso(teachingWeekDate('2026-01-12', 7, 1))).toBe('2026-02-23');
+    expect(iso(teachingWeekDate('2026-01-12', 8, 1))).toBe('2026-03-09');
+    // Any date in week 1 anchors on its Monday
+    expect(iso(teachingWeekDate('2026-01-14', 1, 1))).toBe('2026-01-12');
+  });
+});
+
+describe('iCalendar Writer', () => {
+  it('should escape text values', () => {
+    expect(escapeText('LT1, NS; a\\b\nc')).toBe('LT1\\, NS\\; a\\\\b\\nc');
+  });
+
+  it('should fold long lines at 75 octets', () => {
+    const folded = foldLine(`DESCRIPTION:${'x'.repeat(100)}`);
+    expect(folded.split('\r\n').every(line => Buffer.byteLength(line) <= 75)).toBe(true);
+    expect(unfold(folded)).toBe(`DESCRIPTION:${'x'.repeat(100)}`);
+  });
+
+  it('should build a calendar with a time zone and events', () => {
+    const text = buildCalendar([
+      { uid: 'a@test', start: '20260113T093000', end: '20260113T112000', summary: 'SC2008 LEC', exdates: [] }
+    ], { name: 'Test', now: new Date('2026-01-01T00:00:00Z') });
+
+    expect(text.startsWith('BEGIN:VCALENDAR\r\n')).toBe(true);
+    expect(text).toContain('TZID:Asia/Singapore');
+    expect(text).toContain('DTSTAMP:20260101T000000Z');
+    expect(text).toContain('DTSTART;TZID=Asia/Singapore:20260113T093000');
+    expect(text).not.toContain('EXDATE');
+    expect(text.endsWith('END:VCALENDAR\r\n')).toBe(true);
+  });
+});
+
+describe('GET /timetable.ics', () => {
+  const lab = {
+    index: '10294',
+    course_code: 'SC2008',
+    type: 'LAB',
+    group: 'SCS1',
+    day: 'TUE',
+    time: '0930-1120',
+    venue: 'HWLAB3',
+    remark: 'Teaching Wk3,5,7,9',
+    day_of_week: 2,
+    start_minute: 570,
+    end_minute: 680,
+    teaching_weeks: [3, 5, 7, 9]
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should export recurring events with excluded weeks', async () => {
+    repo.getSessionsByIndexes.mockResolvedValue([
+      lab,
+      { ...lab, index: '10311', course_code: 'SC2005', type: 'LEC/STUDIO', teaching_weeks: null, day_of_week: null, start_minute: null, end_minute: null }
+    ]);
+
+    const response = await request(app)
+      .get('/timetable.ics?acadsem=2025_2&indexes=10294,10311&week1=2026-01-12')
+      .expect('Content-Type', /text\/calendar/)
+      .expect(200);
+
+    expect(repo.getSessionsByIndexes).toHaveBeenCalledWith({ acadsem: '2025_2', indexes: ['10294', '10311'] });
+    const text = unfold(response.text);
+    // Only the placed session becomes an event
+    expect(text.match(/BEGIN:VEVENT/g)).toHaveLength(1);
+    expect(text).toContain('DTSTART;TZID=Asia/Singapore:20260127T093000');
+    expect(text).toContain('DTEND;TZID=Asia/Singapore:20260127T112000');
+    // Weeks 3..9 span 8 calendar weeks including recess; weeks 4, 6, 8 and recess are excluded
+    expect(text).toContain('RRULE:FREQ=WEEKLY;COUNT=8');
+    expect(text).toContain('EXDATE;TZID=Asia/Singapore:20260203T093000,20260217T093000,20260303T093000,20260310T093000');
+    expect(text).toContain('SUMMARY:SC2008 LAB');
+    expect(text).toContain('LOCATION:HWLAB3');
+    expect(text).toContain('DESCRIPTION:Index: 10294\\nType: LAB\\nGroup: SCS1\\nVenue: HWLAB3');
+  });
+
+  test('should fall back to the configured week-1 date', async () => {
+    const original = process.env.SEMESTER_WEEK1_DATES;
+    process.env.SEMESTER_WEEK1_DATES = '2025_2:2026-01-12';
+    repo.getSessionsByIndexes.mockResolvedValue([lab]);
+
+    const response = await request(app)
+      .get('/timetable.ics?acadsem=2025_2&indexes=10294')
+      .expect(200);
+
+    expect(response.text).toContain('20260127T093000');
+    if (original === undefined) delete process.env.SEMESTER_WEEK1_DATES;
+    else process.env.SEMESTER_WEEK1_DATES = original;
+  });
+
+  test('should require a known week-1 date', async () => {
+    const response = await request(app)
+      .get('/timetable.ics?acadsem=2099_1&indexes=10294')
+      .expect(400);
+
+    expect(response.body.error.message).toContain('week1');
+    await request(app).get('/timetable.ics?acadsem=2025_2&indexes=10294&week1=12-01-2026').expect(400);
+    expect(repo.getSessionsByIndexes).not.toHaveBeenCalled();
+  });
+
+  test('should require acadsem and indexes', async () => {
+    await request(app).get('/timetable.ics?indexes=10294').expect(400);
+    await request(app).get('/timetable.ics?acadsem=2025_2').expect(400);
+  });
+
+  test('should return 404 when no index is found', async () => {
+    repo.getSessionsByIndexes.mockResolvedValue([]);
+
+    await request(app)
+      .get('/timetable.ics?acadsem=2025_2&indexes=99999&week1=2026-01-12')
+      .expect(404);
+  });
+});
+
+describe('GET /exam-timetable.ics', () => {
+  const exam = {
+    course_code: 'SC2103',
+    course_title: 'ALGORITHM DESIGN & ANALYSIS',
+    acadsem: '2025_2',
+    exam_date: '27 APRIL 2026',
+    exam_time: '5.00 pm',
+    exam_duration: '2 hr 30 min',
+    venue: 'HALL A',
+    student_type: 'UG',
+    exam_type: 'Closed Book'
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should export exams as Singapore-time events', async () => {
+    repo.getExamsForCourses.mockResolvedValue([
+      exam,
+      { ...exam, student_type: 'GR' },
+      { ...exam, course_code: 'SC2008', course_title: 'COMPUTER NETWORK', exam_time: '11.30 pm', exam_duration: '1 hr', exam_type: null, venue: '' },
+      { ...exam, course_code: 'SC2005', exam_date: 'TBA' }
+    ]);
+
+    const response = await request(app)
+      .get('/exam-timetable.ics?acadsem=2025_2&courses=sc2103, SC2008,SC2005')
+      .expect('Content-Type', /text\/calendar/)
+      .expect(200);
+
+    expect(repo.getExamsForCourses).toHaveBeenCalledWith({ acadsem: '2025_2', course_codes: ['SC2103', 'SC2008', 'SC2005'] });
+    const text = unfold(response.text);
+    // Duplicate student-type rows collapse and unparseable dates are skipped
+    expect(text.match(/BEGIN:VEVENT/g)).toHaveLength(2);
+    expect(text).toContain('DTSTART;TZID=Asia/Singapore:20260427T170000');
+    expect(text).toContain('DTEND;TZID=Asia/Singapore:20260427T193000');
+    expect(text).toContain('SUMMARY:Exam: SC2103 ALGORITHM DESIGN & ANALYSIS');
+    expect(text).toContain('DESCRIPTION:Course: SC2103 ALGORITHM DESIGN & ANALYSIS\\nExam type: Closed Book\\nVenue: HALL A\\nDuration: 2 hr 30 min');
+    // An exam running past midnight ends on the next day
+    expect(text).toContain('DTEND;TZID=Asia/Singapore:20260428T003000');
+  });
+
+  test('should require acadsem and courses', async () => {
+    await request(app).get('/exam-timetable.ics?courses=SC2103').expect(400);
+    await request(app).get('/exam-timetable.ics?acadsem=2025_2').expect(400);
+    expect(repo.getExamsForCourses).not.toHaveBeenCalled();
+  });
+
+  test('should return 404 when no exams are found', async () => {
+    repo.getExamsForCourses.mockResolvedValue([]);
+
+    await request(app)
+      .get('/exam-timetable.ics?acadsem=2025_2&courses=XX9999')
+      .expect(404);
+  });
+});
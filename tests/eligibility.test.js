@@ -0,0 +1,170 @@
+/**
+ * Unit tests for programme restriction parsing, eligibility evaluation and the eligibility route
+ */
+
+const request = require('supertest');
+const express = require('express');
+const { parseProgrammeRestrictions, parseYearRange } = require('../src/parsers/restrictionParser');
+const { evaluateEligibility, programmeMatches } = require('../src/utils/eligibility');
+
+// Mock the repository module
+jest.mock('../src/database/repository');
+const repo = require('../src/database/repository');
+
+const coursesRoutes = require('../src/routes/courses');
+
+const app = express();
+app.use(express.json());
+app.use('/courses', coursesRoutes);
+
+describe('Restriction Parser', () => {
+  it('should parse plain and specialised programme codes', () => {
+    const rows = parseProgrammeRestrictions({ not_available_to_programme: 'EEE, ENG(EEE), IEM' });
+    expect(rows).toEqual([
+      { restriction_type: 'programme', programme: 'EEE', admit_year_from: null, admit_year_to: null, raw: 'EEE' },
+      { restriction_type: 'programme', programme: 'ENG(EEE)', admit_year_from: null, admit_year_to: null, raw: 'ENG(EEE)' },
+      { restriction_type: 'programme', programme: 'IEM', admit_year_from: null, admit_year_to: null, raw: 'IEM' }
+    ]);
+  });
+
+  it('should parse admission-year conditions', () => {
+    const rows = parseProgrammeRestrictions({
+      not_available_to_programme: 'CSC(Admyr 2021-2024), BCE(2023-onwards)',
+      not_available_to_all_programme_with: '(Admyr 2004-2020)',
+      not_available_as_bde_ue_to_programme: 'DSAI'
+    });
+    expect(rows).toEqual([
+      { restriction_type: 'programme', programme: 'CSC', admit_year_from: 2021, admit_year_to: 2024, raw: 'CSC(Admyr 2021-2024)' },
+      { restriction_type: 'programme', programme: 'BCE', admit_year_from: 2023, admit_year_to: null, raw: 'BCE(2023-onwards)' },
+      { restriction_type: 'all_programme', programme: null, admit_year_from: 2004, admit_year_to: 2020, raw: '(Admyr 2004-2020)' },
+      { restriction_type: 'bde_ue', programme: 'DSAI', admit_year_from: null, admit_year_to: null, raw: 'DSAI' }
+    ]);
+  });
+
+  it('should return no rows for empty fields', () => {
+    expect(parseProgrammeRestrictions({})).toEqual([]);
+  });
+
+  it('should parse year ranges', () => {
+    expect(parseYearRange('Admyr 2021-2024')).toEqual({ from: 2021, to: 2024 });
+    expect(parseYearRange('2023 onwards')).toEqual({ from: 2023, to: null });
+    expect(parseYearRange('before 2020')).toEqual({ from: null, to: 2020 });
+    expect(parseYearRange('Admyr 2022')).toEqual({ from: 2022, to: 2022 });
+    expect(parseYearRange('EEE')).toBeNull();
+  });
+});
+
+describe('Eligibility Evaluation', () => {
+  const course = { is_unrestricted_elective: true, is_broadening_deepening_elective: true };
+
+  it('should match specialisations against a base programme restriction', () => {
+    expect(programmeMatches('ENG', 'ENG(EEE)')).toBe(true);
+    expect(programmeMatches('ENG(EEE)', 'ENG')).toBe(false);
+    expect(programmeMatches(null, 'CSC')).toBe(true);
+  });
+
+  it('should block programmes that cannot take the course', () => {
+    const restrictions = parseProgrammeRestrictions({ not_available_to_programme: 'CSC(Admyr 2021-2024)' });
+    const blocked = evaluateEligibility(course, restrictions, { programme: 'CSC', admitYear: 2023 });
+    expect(blocked.eligible).toBe(false);
+    expect(blocked.blocked_by.raw).toBe('CSC(Admyr 2021-2024)');
+
+    const open = evaluateEligibility(course, restrictions, { programme: 'CSC', admitYear: 2025 });
+    expect(open).toEqual({ eligible: true, available_as: ['UE', 'BDE'], blocked_by: null, reason: null });
+  });
+
+  it('should only block elective use for BDE/UE restrictions', () => {
+    const restrictions = parseProgrammeRestrictions({ not_available_as_bde_ue_to_programme: 'CSC' });
+    const any = evaluateEligibility(course, restrictions, { programme: 'CSC', admitYear: 2023 });
+    expect(any.eligible).toBe(true);
+    expect(any.available_as).toEqual([]);
+
+    const asUe = evaluateEligibility(course, restrictions, { programme: 'CSC', admitYear: 2023, as: 'UE' });
+    expect(asUe.eligible).toBe(false);
+    expect(asUe.blocked_by.restriction_type).toBe('bde_ue');
+  });
+
+  it('should honour the not-offered-as-UE flag', () => {
+    const result = evaluateEligibility({ ...course, is_unrestricted_elective: false }, [], { programme: 'CSC', as: 'UE' });
+    expect(result.eligible).toBe(false);
+    expect(result.available_as).toEqual(['BDE']);
+    expect(result.blocked_by.restriction_type).toBe('not_offered_as_ue');
+  });
+});
+
+describe('GET /courses/:code/eligibility', () => {
+  const mockCourse = {
+    course_code: 'SC2008',
+    acadsem: '2025_2',
+    title: 'COMPUTER NETWORK',
+    not_available_to_programme: 'EEE',
+    not_available_to_all_programme_with: '',
+    not_available_as_bde_ue_to_programme: 'CSC',
+    is_unrestricted_elective: true,
+    is_broadening_deepening_elective: true
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should return the blocking rule', async () => {
+    repo.getCourseRestrictions.mockResolvedValue({
+      course: mockCourse,
+      restrictions: [
+        { restriction_type: 'bde_ue', programme: 'CSC', admit_year_from: null, admit_year_to: null, raw: 'CSC' }
+      ]
+    });
+
+    const response = await request(app)
+      .get('/courses/sc2008/eligibility?programme=csc&admit_year=2023&as=ue')
+      .expect(200);
+
+    expect(repo.getCourseRestrictions).toHaveBeenCalledWith({ course_code: 'SC2008', acadsem: undefined });
+    expect(response.body).toMatchObject({
+      course_code: 'SC2008',
+      acadsem: '2025_2',
+      programme: 'CSC',
+      admit_year: 2023,
+      as: 'UE',
+      eligible: false,
+      available_as: []
+    });
+    expect(response.body.blocked_by.raw).toBe('CSC');
+  });
+
+  test('should parse raw restriction text when no rows are stored', async () => {
+    repo.getCourseRestrictions.mockResolvedValue({ course: mockCourse, restrictions: [] });
+
+    const response = await request(app)
+      .get('/courses/SC2008/eligibility?programme=EEE')
+      .expect(200);
+
+    expect(response.body.eligible).toBe(false);
+    expect(response.body.blocked_by.restriction_type).toBe('programme');
+  });
+
+  test('should require programme', async () => {
+    const response = await request(app)
+      .get('/courses/SC2008/eligibility')
+      .expect(400);
+
+    expect(response.body.error.code).toBe('INVALID_REQUEST');
+    expect(repo.getCourseRestrictions).not.toHaveBeenCalled();
+  });
+
+  test('should reject invalid admit_year and as values', async () => {
+    await request(app).get('/courses/SC2008/eligibility?programme=CSC&admit_year=abc').expect(400);
+    await request(app).get('/courses/SC2008/eligibility?programme=CSC&admit_year=2023abc').expect(400);
+    await request(app).get('/courses/SC2008/eligibility?programme=CSC&admit_year=2023.9').expect(400);
+    await request(app).get('/courses/SC2008/eligibility?programme=CSC&as=CORE').expect(400);
+  });
+
+  test('should return 404 when course is not found', async () => {
+    repo.getCourseRestrictions.mockResolvedValue(null);
+
+    await request(app)
+      .get('/courses/XX9999/eligibility?programme=CSC')
+      .expect(404);
+  });
+});
@@ -9,6 +9,15 @@ const express = require('express');
 jest.mock('../src/database/repository');
 const repo = require('../src/database/repository');
 
+// Mock the HTTP client used by the WIS scrapers
+jest.mock('../src/scrappers/httpClient');
+const { postRequest } = require('../src/scrappers/httpClient');
+const { fetchExamMetadata, fetchExamDetails } = require('../src/scrappers/fetchExam');
+
+// The exam scraper publishes webhook events through the queue
+jest.mock('../src/queue/client', () => ({ addWebhookJob: jest.fn() }));
+const { examScraper } = require('../src/workers/examScraper');
+
 // Import route
 const examRoutes = require('../src/routes/exam');
 
@@ -72,6 +81,9 @@ describe('Exam Timetable API Routes', () => {
         course_code: undefined,
         acadsem: undefined,
         student_type: undefined,
+        date_from: undefined,
+        date_to: undefined,
+        sort: 'course_code',
         limit: 100,
         offset: 0
       });
@@ -94,6 +106,9 @@ describe('Exam Timetable API Routes', () => {
         course_code: 'AB0403',
         acadsem: undefined,
         student_type: undefined,
+        date_from: undefined,
+        date_to: undefined,
+        sort: 'course_code',
         limit: 100,
         offset: 0
       });
@@ -111,6 +126,9 @@ describe('Exam Timetable API Routes', () => {
         course_code: undefined,
         acadsem: '2025_1',
         student_type: undefined,
+        date_from: undefined,
+        date_to: undefined,
+        sort: 'course_code',
         limit: 100,
         offset: 0
       });
@@ -128,6 +146,9 @@ describe('Exam Timetable API Routes', () => {
         course_code: undefined,
         acadsem: undefined,
         student_type: 'UE',
+        date_from: undefined,
+        date_to: undefined,
+        sort: 'course_code',
         limit: 100,
         offset: 0
       });
@@ -144,6 +165,9 @@ describe('Exam Timetable API Routes', () => {
         course_code: undefined,
         acadsem: undefined,
         student_type: undefined,
+        date_from: undefined,
+        date_to: undefined,
+        sort: 'course_code',
         limit: 10,
         offset: 20
       });
@@ -160,6 +184,9 @@ describe('Exam Timetable API Routes', () => {
         course_code: 'AB0403',
         acadsem: '2025_1',
         student_type: 'UE',
+        date_from: undefined,
+        date_to: undefined,
+        sort: 'course_code',
         limit: 5,
         offset: 0
       });
@@ -193,6 +220,38 @@ describe('Exam Timetable API Routes', () => {
       });
     });
 
+    test('should pass date range and chronological sort', async () => {
+      repo.getExamTimetable.mockResolvedValue({ total: 0, count: 0, rows: [] });
+
+      await request(app)
+        .get('/exam-timetable?acadsem=2025_2&date_from=2026-04-20&date_to=2026-05-08&sort=start')
+        .expect(200);
+
+      expect(repo.getExamTimetable).toHaveBeenCalledWith({
+        course_code: undefined,
+        acadsem: '2025_2',
+        student_type: undefined,
+        date_from: '2026-04-20',
+        date_to: '2026-05-08',
+        sort: 'start',
+        limit: 100,
+        offset: 0
+      });
+    });
+
+    test('should reject invalid dates and sort values', async () => {
+      await request(app).get('/exam-timetable?date_from=20-04-2026').expect(400);
+      await request(app).get('/exam-timetable?date_to=2026-02-30').expect(400);
+      await request(app).get('/exam-timetable?sort=venue').expect(400);
+      expect(repo.getExamTimetable).not.toHaveBeenCalled();
+    });
+
+    test('should reject unknown student types', async () => {
+      const response = await request(app).get('/exam-timetable?student_type=UG').expect(400);
+      expect(response.body.error.code).toBe('INVALID_REQUEST');
+      expect(repo.getExamTimetable).not.toHaveBeenCalled();
+    });
+
     test('should handle repository errors', async () => {
       repo.getExamTimetable.mockRejectedValue(new Error('Database error'));
 
@@ -271,3 +330,279 @@ describe('Exam Timetable API Routes', () => {
     });
   });
 });
+
+describe('POST /exam-timetable/analyze', () => {
+  const exam = (overrides) => ({
+    course_code: 'SC2103',
+    course_title: 'ALGORITHM DESIGN & ANALYSIS',
+    acadsem: '2025_2',
+    exam_date: '27 APRIL 2026',
+    exam_time: '9.00 am',
+    exam_duration: '2 hr',
+    venue: 'HALL A',
+    student_type: 'UE',
+    exam_date_iso: '2026-04-27',
+    exam_start: '2026-04-27T01:00:00.000Z',
+    exam_end: '2026-04-27T03:00:00.000Z',
+    ...overrides
+  });
+
+  // Answers like the repository: only rows of the requested student type
+  const storeExams = (stored) => {
+    repo.getExamTimetable.mockImplementation(async ({ student_type }) => {
+      const rows = stored.filter(row => !student_type || row.student_type === student_type);
+      return { total: rows.length, count: rows.length, rows };
+    });
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should report same-slot, same-day, rest gaps and missing exams', async () => {
+    storeExams([
+      exam({}),
+      exam({ student_type: 'GR' }),
+      exam({ course_code: 'SC2008', venue: 'HALL B' }),
+      // Legacy row without typed columns: parsed from the display strings
+      exam({ course_code: 'SC2005', exam_time: '5.00 pm', exam_date_iso: null, exam_start: null, exam_end: null }),
+      exam({ course_code: 'SC2207', exam_date: 'TBA', exam_time: '', exam_date_iso: null, exam_start: null, exam_end: null })
+    ]);
+
+    const response = await request(app)
+      .post('/exam-timetable/analyze')
+      .send({ acadsem: '2025_2', course_codes: ['sc2103', 'SC2008', 'SC2005', 'SC2207', 'SC4000'] })
+      .expect(200);
+
+    expect(repo.getExamTimetable).toHaveBeenCalledWith({
+      acadsem: '2025_2',
+      student_type: 'UE',
+      course_codes: ['SC2103', 'SC2008', 'SC2005', 'SC2207', 'SC4000'],
+      sort: 'start',
+      limit: 500
+    });
+    expect(response.body.exams).toHaveLength(4);
+    expect(response.body.same_slot).toEqual([
+      {
+        exam_date: '27 APRIL 2026',
+        exam_time: '9.00 am',
+        start: '2026-04-27T01:00:00.000Z',
+        end: '2026-04-27T03:00:00.000Z',
+        course_codes: ['SC2008', 'SC2103']
+      }
+    ]);
+    expect(response.body.same_day).toEqual([
+      { date: '2026-04-27', course_codes: ['SC2005', 'SC2008', 'SC2103'] }
+    ]);
+    // 9am-11am papers overlap each other, then 6 hours until the 5pm paper
+    expect(response.body.gaps.map(g => g.rest_hours)).toEqual([-2, 6]);
+    expect(response.body.gaps[1].to).toEqual({ course_code: 'SC2005', start: '2026-04-27T09:00:00.000Z' });
+    expect(response.body.min_rest_hours).toBe(-2);
+    expect(response.body.unscheduled).toEqual(['SC2207']);
+    expect(response.body.no_exam).toEqual(['SC4000']);
+  });
+
+  test('should only analyse the sittings of the requested student type', async () => {
+    storeExams([
+      exam({}),
+      exam({ student_type: 'GR', exam_time: '2.00 pm', exam_start: '2026-04-27T06:00:00.000Z', exam_end: '2026-04-27T08:00:00.000Z' }),
+      exam({ course_code: 'SC2008', student_type: 'GR', exam_date: '28 APRIL 2026', exam_date_iso: '2026-04-28',
+        exam_start: '2026-04-28T01:00:00.000Z', exam_end: '2026-04-28T03:00:00.000Z' })
+    ]);
+
+    const undergraduate = await request(app)
+      .post('/exam-timetable/analyze')
+      .send({ acadsem: '2025_2', course_codes: ['SC2103', 'SC2008'] })
+      .expect(200);
+    expect(undergraduate.body.student_type).toBe('UE');
+    expect(undergraduate.body.same_day).toEqual([]);
+    expect(undergraduate.body.no_exam).toEqual(['SC2008']);
+
+    const graduate = await request(app)
+      .post('/exam-timetable/analyze')
+      .send({ acadsem: '2025_2', course_codes: ['SC2103', 'SC2008'], student_type: 'GR' })
+      .expect(200);
+    expect(graduate.body.exams.map(e => e.student_type)).toEqual(['GR', 'GR']);
+    expect(graduate.body.same_day).toEqual([]);
+    expect(graduate.body.no_exam).toEqual([]);
+
+    await request(app)
+      .post('/exam-timetable/analyze')
+      .send({ acadsem: '2025_2', course_codes: ['SC2103'], student_type: 'XX' })
+      .expect(400);
+  });
+
+  test('should reject an invalid body', async () => {
+    const response = await request(app)
+      .post('/exam-timetable/analyze')
+      .send({ acadsem: '2025_2', course_codes: [] })
+      .expect(400);
+
+    expect(response.body.error.code).toBe('INVALID_REQUEST');
+    expect(repo.getExamTimetable).not.toHaveBeenCalled();
+  });
+});
+
+describe('GET /exam-timetable/plans', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should list discovered plans', async () => {
+    repo.getExamPlans.mockResolvedValue([
+      {
+        plan_no: '114',
+        student_type: 'UE',
+        label: null,
+        academic_session: 'Semester 2 Academic Year 2025-2026',
+        exam_year: '2025',
+        semester: '2',
+        acadsem: '2025_2',
+        first_seen_at: '2026-03-02T01:00:00.000Z',
+        last_seen_at: '2026-03-09T01:00:00.000Z'
+      }
+    ]);
+
+    const response = await request(app)
+      .get('/exam-timetable/plans?student_type=UE&acadsem=2025_2')
+      .expect(200);
+
+    expect(repo.getExamPlans).toHaveBeenCalledWith({ student_type: 'UE', acadsem: '2025_2' });
+    expect(response.body.count).toBe(1);
+    expect(response.body.rows[0].plan_no).toBe('114');
+  });
+
+  test('should reject unknown student types', async () => {
+    await request(app).get('/exam-timetable/plans?student_type=X').expect(400);
+    expect(repo.getExamPlans).not.toHaveBeenCalled();
+  });
+});
+
+describe('GET /exam-timetable/live', () => {
+  const plan = {
+    plan_no: '114',
+    student_type: 'UE',
+    academic_session: 'Semester 2 Academic Year 2025-2026',
+    exam_year: '2025',
+    semester: '2',
+    acadsem: '2025_2'
+  };
+  const row = (date, code, venue) => `
+    <tr><td>${date}</td><td>MONDAY</td><td>9.00 AM</td><td>${code}</td><td>TITLE</td><td>2 hr 0 min</td><td>${venue}</td></tr>`;
+  const html = `
+    <body><table>
+      <tr><th>Date</th><th>Day</th><th>Time</th><th>Course Code</th><th>Course Title</th><th>Duration</th><th>Venue</th></tr>
+      ${row('27 APRIL 2026', 'SC2103', 'SPORTS HALL 1')}
+      ${row('28 APRIL 2026', 'SC2008', 'SPORTS HALL 1')}
+    </table></body>`;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    repo.getExamPlans.mockResolvedValue([plan]);
+    postRequest.mockResolvedValue(html);
+  });
+
+  test('should pass every filter, including the date, to WIS without saving', async () => {
+    const response = await request(app)
+      .get('/exam-timetable/live?venue=sports hall 1&date=2026-04-27')
+      .expect(200);
+
+    const form = postRequest.mock.calls[0][1];
+    expect(form.p_venue).toBe('SPORTS HALL 1');
+    expect(form.p_exam_dt).toBe('27-APR-2026');
+    expect(form.p_plan_no).toBe('114');
+    expect(form.academic_session).toBe('Semester 2 Academic Year 2025-2026');
+    expect(response.body.plan_no).toBe('114');
+    expect(response.body.cached).toBe(false);
+    expect(response.body.count).toBe(1);
+    expect(response.body.rows[0].course_code).toBe('SC2103');
+    expect(repo.saveExamTimetable).not.toHaveBeenCalled();
+  });
+
+  test('should let WIS filter a date-only query', async () => {
+    const response = await request(app).get('/exam-timetable/live?date=2026-04-28').expect(200);
+
+    const form = postRequest.mock.calls[0][1];
+    expect(form.p_exam_dt).toBe('28-APR-2026');
+    expect([form.p_venue, form.p_dept, form.p_subj]).toEqual(['', '', '']);
+    expect(response.body.rows.map(r => r.course_code)).toEqual(['SC2008']);
+  });
+
+  test('should answer repeated queries from the cache', async () => {
+    await request(app).get('/exam-timetable/live?dept=CCDS&date=2026-04-28').expect(200);
+    const response = await request(app).get('/exam-timetable/live?dept=CCDS&date=2026-04-28').expect(200);
+    await request(app).get('/exam-timetable/live?dept=CCDS').expect(200);
+
+    expect(postRequest).toHaveBeenCalledTimes(2);
+    expect(response.body.cached).toBe(true);
+    expect(response.body.rows.map(r => r.course_code)).toEqual(['SC2008']);
+  });
+
+  test('should require a filter and a known plan', async () => {
+    await request(app).get('/exam-timetable/live').expect(400);
+    await request(app).get('/exam-timetable/live?date=27-04-2026').expect(400);
+
+    repo.getExamPlans.mockResolvedValue([{ ...plan, academic_session: null }]);
+    await request(app).get('/exam-timetable/live?subject=SC2103&acadsem=2024_1').expect(404);
+    expect(postRequest).not.toHaveBeenCalled();
+  });
+
+  test('should report WIS being unreachable', async () => {
+    postRequest.mockRejectedValue(Object.assign(new Error('timeout'), { code: 'ECONNABORTED' }));
+
+    const response = await request(app).get('/exam-timetable/live?subject=SC9999').expect(503);
+    expect(response.body.error.code).toBe('UPSTREAM_ERROR');
+  });
+});
+
+describe('Exam student types', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    postRequest.mockResolvedValue('<html></html>');
+  });
+
+  test('should post GR as the empty WIS p_type', async () => {
+    await fetchExamMetadata('GR');
+    expect(postRequest.mock.calls[0][1].p_type).toBe('');
+
+    await fetchExamDetails({ academicSession: 'Semester 2 Academic Year 2025-2026', planNo: '114', studentType: 'GR' });
+    expect(postRequest.mock.calls[1][1].p_type).toBe('');
+  });
+
+  test('should post UE unchanged', async () => {
+    await fetchExamMetadata('UE');
+    expect(postRequest.mock.calls[0][1].p_type).toBe('UE');
+  });
+});
+
+describe('examScraper', () => {
+  const planHtml = `
+    <form>
+      <input type="hidden" name="p_plan_no" value="114">
+      <input type="hidden" name="academic_session" value="Semester 2 Academic Year 2025-2026">
+      <input type="hidden" name="p_exam_yr" value="2025">
+      <input type="hidden" name="p_semester" value="2">
+    </form>`;
+  const detailsHtml = `
+    <body><table>
+      <tr><th>Date</th><th>Day</th><th>Time</th><th>Course Code</th><th>Course Title</th><th>Duration</th><th>Venue</th></tr>
+      <tr><td>27 APRIL 2026</td><td>MONDAY</td><td>9.00 AM</td><td>SC2103</td><td>TITLE</td><td>2 hr 0 min</td><td>SPORTS HALL 1</td></tr>
+    </table></body>`;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    postRequest.mockImplementation(async (url) => (url.endsWith('.query_page') ? planHtml : detailsHtml));
+    repo.getWebhookSubscriptions.mockResolvedValue([]);
+  });
+
+  test('should still save the exams when the plan catalogue cannot be written', async () => {
+    repo.saveExamPlans.mockRejectedValue(new Error('Database error'));
+    repo.saveExamTimetable.mockResolvedValue([]);
+
+    const result = await examScraper({ data: { acadsem: '2025_2', studentType: 'UE', availablePlans: ['114'] } });
+
+    expect(result).toEqual({ success: true, count: 1 });
+    expect(repo.saveExamPlans).toHaveBeenCalled();
+    expect(repo.saveExamTimetable.mock.calls[0][0].map(exam => exam.course_code)).toEqual(['SC2103']);
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * Unit tests for mutual exclusion extraction and the exclusions route
+ */
+
+const request = require('supertest');
+const express = require('express');
+const { parseContent } = require('../src/parsers/contentParser');
+const { extractCourseCodes } = require('../src/parsers/prerequisiteParser');
+
+// Mock the repository module
+jest.mock('../src/database/repository');
+const repo = require('../src/database/repository');
+
+const coursesRoutes = require('../src/routes/courses');
+
+const app = express();
+app.use(express.json());
+app.use('/courses', coursesRoutes);
+
+describe('Mutual Exclusion Extraction', () => {
+  it('should extract unique course codes from free text', () => {
+    expect(extractCourseCodes('CZ3006, CE3005 & CZ3006')).toEqual(['CZ3006', 'CE3005']);
+    expect(extractCourseCodes('')).toEqual([]);
+    expect(extractCourseCodes(undefined)).toEqual([]);
+  });
+
+  it('should attach exclusion codes to parsed course content, excluding the course itself', () => {
+    const html = `
+      <table>
+        <tr><td>COURSE CODE</td><td>TITLE</td><td>AU</td><td>PROGRAMME/(DEPT MAINTAIN*)</td></tr>
+        <tr><td>SC2008</td><td>COMPUTER NETWORK</td><td>3.0</td><td>CSC(CE)</td></tr>
+        <tr><td>Mutually exclusive with:</td><td colspan="2">CE3005, CZ3006, SC2008</td></tr>
+      </table>
+    `;
+    const res = parseContent(html, '2025_1');
+    expect(res[0].mutual_exclusions).toBe('CE3005, CZ3006, SC2008');
+    expect(res[0].mutual_exclusion_codes).toEqual(['CE3005', 'CZ3006']);
+  });
+});
+
+describe('GET /courses/:code/exclusions', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should return exclusions listed on either side', async () => {
+    repo.getMutualExclusions.mockResolvedValue({
+      acadsem: '2025_2',
+      rows: [
+        { course_code: 'CE3005', title: 'COMPUTER NETWORKS', listed_by_course: true, listed_by_other: true },
+        { course_code: 'CZ3006', title: 'NET CENTRIC COMPUTING', listed_by_course: false, listed_by_other: true }
+      ]
+    });
+
+    const response = await request(app)
+      .get('/courses/sc2008/exclusions?acadsem=2025_2')
+      .expect(200);
+
+    expect(repo.getMutualExclusions).toHaveBeenCalledWith({ course_code: 'SC2008', acadsem: '2025_2' });
+    expect(response.body.course_code).toBe('SC2008');
+    expect(response.body.acadsem).toBe('2025_2');
+    expect(response.body.count).toBe(2);
+    expect(response.body.exclusions[1].listed_by_other).toBe(true);
+  });
+
+  test('should return 404 when course is unknown', async () => {
+    repo.getMutualExclusions.mockResolvedValue(null);
+
+    const response = await request(app)
+      .get('/courses/XX9999/exclusions')
+      .expect(404);
+
+    expect(response.body.error.code).toBe('NOT_FOUND');
+  });
+
+  test('should return 404 when course is not offered in the requested semester', async () => {
+    repo.getMutualExclusions.mockResolvedValue(null);
+
+    const response = await request(app)
+      .get('/courses/SC2008/exclusions?acadsem=2019_1')
+      .expect(404);
+
+    expect(repo.getMutualExclusions).toHaveBeenCalledWith({ course_code: 'SC2008', acadsem: '2019_1' });
+    expect(response.body.error.message).toBe('Course SC2008 not found in 2019_1');
+  });
+
+  test('should handle repository errors', async () => {
+    repo.getMutualExclusions.mockRejectedValue(new Error('Database error'));
+
+    await request(app)
+      .get('/courses/SC2008/exclusions')
+      .expect(500);
+  });
+});
@@ -0,0 +1,178 @@
+/**
+ * Unit tests for change tracking: field diffs and the history routes
+ */
+
+const request = require('supertest');
+const express = require('express');
+const { diffFields, diffSessions } = require('../src/utils/diff');
+
+// Mock the repository module
+jest.mock('../src/database/repository');
+const repo = require('../src/database/repository');
+
+const contentRoutes = require('../src/routes/content');
+const changesRoutes = require('../src/routes/changes');
+
+const app = express();
+app.use(express.json());
+app.use('/course-content', contentRoutes);
+app.use('/changes', changesRoutes);
+
+describe('diffFields', () => {
+  const fields = ['title', 'au', 'prerequisites', 'is_unrestricted_elective'];
+
+  it('should report only the fields that changed', () => {
+    const before = { title: 'ALGORITHMS', au: 3, prerequisites: 'SC1007', is_unrestricted_elective: true };
+    const after = { title: 'ALGORITHM DESIGN', au: 3, prerequisites: 'SC1007', is_unrestricted_elective: false };
+
+    expect(diffFields(before, after, fields)).toEqual([
+      { field: 'title', old_value: 'ALGORITHMS', new_value: 'ALGORITHM DESIGN' },
+      { field: 'is_unrestricted_elective', old_value: 'true', new_value: 'false' }
+    ]);
+  });
+
+  it('should treat blank and missing values as equal', () => {
+    const before = { title: 'ALGORITHMS', au: 3, prerequisites: null, is_unrestricted_elective: null };
+    const after = { title: 'ALGORITHMS', au: 3.0, prerequisites: '' };
+
+    expect(diffFields(before, after, fields)).toEqual([]);
+  });
+
+  it('should record values being added or cleared', () => {
+    const changes = diffFields({ prerequisites: null }, { prerequisites: 'SC1007' }, ['prerequisites']);
+    expect(changes).toEqual([{ field: 'prerequisites', old_value: null, new_value: 'SC1007' }]);
+  });
+});
+
+describe('diffSessions', () => {
+  const session = (overrides) => ({
+    index: '10294', type: 'TUT', group: 'T1', day: 'MON', time: '0930-1020', venue: 'TR+15', ...overrides
+  });
+
+  it('should report nothing when the schedule is unchanged', () => {
+    const sessions = [session(), session({ type: 'LEC', group: 'LE', day: 'TUE', venue: 'LT1A' })];
+    expect(diffSessions(sessions, [...sessions].reverse())).toEqual([]);
+  });
+
+  it('should report a moved venue as a modification', () => {
+    const changes = diffSessions([session()], [session({ venue: 'TR+16' })]);
+
+    expect(changes).toEqual([{
+      change_type: 'modified',
+      index: '10294',
+      type: 'TUT',
+      group: 'T1',
+      before: { day: 'MON', time: '0930-1020', venue: 'TR+15' },
+      after: { day: 'MON', time: '0930-1020', venue: 'TR+16' },
+      fields: [{ field: 'venue', old_value: 'TR+15', new_value: 'TR+16' }]
+    }]);
+  });
+
+  it('should report new indexes and dropped sessions', () => {
+    const before = [
+      session(),
+      session({ type: 'LAB', group: 'L1', day: 'THU', time: '1430-1620', venue: 'HWLAB3' })
+    ];
+    const after = [session(), session({ index: '10295', group: 'T2', day: 'WED' })];
+
+    const changes = diffSessions(before, after);
+    expect(changes.map(c => [c.change_type, c.index, c.type])).toEqual(
+      expect.arrayContaining([['removed', '10294', 'LAB'], ['added', '10295', 'TUT']])
+    );
+    expect(changes).toHaveLength(2);
+  });
+
+  it('should only pair up the sessions that did not match exactly', () => {
+    const before = [session({ type: 'LEC', group: 'LE', day: 'MON' }), session({ type: 'LEC', group: 'LE', day: 'THU' })];
+    const after = [session({ type: 'LEC', group: 'LE', day: 'MON' }), session({ type: 'LEC', group: 'LE', day: 'FRI' })];
+
+    const changes = diffSessions(before, after);
+    expect(changes).toHaveLength(1);
+    expect(changes[0].fields).toEqual([{ field: 'day', old_value: 'THU', new_value: 'FRI' }]);
+  });
+});
+
+describe('GET /course-content/:code/history', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should return the field changes of a course', async () => {
+    repo.getCourseContent.mockResolvedValue({ total: 1, count: 1, rows: [{ course_code: 'SC2103' }] });
+    repo.getCourseContentHistory.mockResolvedValue({
+      total: 1,
+      count: 1,
+      rows: [
+        { acadsem: '2025_2', field: 'au', old_value: '3', new_value: '4', changed_at: '2026-01-05T02:00:00.000Z' }
+      ]
+    });
+
+    const response = await request(app)
+      .get('/course-content/sc2103/history?acadsem=2025_2')
+      .expect(200);
+
+    expect(repo.getCourseContentHistory).toHaveBeenCalledWith({
+      course_code: 'SC2103',
+      acadsem: '2025_2',
+      limit: 100,
+      offset: 0
+    });
+    expect(response.body.course_code).toBe('SC2103');
+    expect(response.body.rows[0]).toEqual(expect.objectContaining({ field: 'au', old_value: '3', new_value: '4' }));
+  });
+
+  test('should return 404 for an unknown course', async () => {
+    repo.getCourseContent.mockResolvedValue({ total: 0, count: 0, rows: [] });
+
+    await request(app)
+      .get('/course-content/XX9999/history')
+      .expect(404);
+
+    expect(repo.getCourseContentHistory).not.toHaveBeenCalled();
+  });
+});
+
+describe('GET /changes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should return schedule changes with filters', async () => {
+    repo.getScheduleChanges.mockResolvedValue({
+      total: 1,
+      count: 1,
+      rows: [{
+        id: 7,
+        acadsem: '2025_2',
+        course_code: 'SC2103',
+        index: '10294',
+        type: 'TUT',
+        group: 'T1',
+        change_type: 'modified',
+        before: { day: 'MON', time: '0930-1020', venue: 'TR+15' },
+        after: { day: 'MON', time: '0930-1020', venue: 'TR+16' },
+        fields: [{ field: 'venue', old_value: 'TR+15', new_value: 'TR+16' }],
+        detected_at: '2026-01-05T02:00:00.000Z'
+      }]
+    });
+
+    const response = await request(app)
+      .get('/changes?acadsem=2025_2&since=2026-01-01T00:00:00Z&course_code=sc2103&kind=schedule')
+      .expect(200);
+
+    expect(repo.getScheduleChanges).toHaveBeenCalledWith({
+      acadsem: '2025_2',
+      course_code: 'SC2103',
+      since: new Date('2026-01-01T00:00:00Z'),
+      limit: 100,
+      offset: 0
+    });
+    expect(response.body.rows[0].change_type).toBe('modified');
+  });
+
+  test('should reject an invalid since or kind', async () => {
+    await request(app).get('/changes?since=yesterday').expect(400);
+    await request(app).get('/changes?kind=exam').expect(400);
+    expect(repo.getScheduleChanges).not.toHaveBeenCalled();
+  });
+});
@@ -1,7 +1,13 @@
 const { parseScheduleOptions } = require('../src/parsers/metaParser');
 const { parseContent } = require('../src/parsers/contentParser');
-const { parseSchedule } = require('../src/parsers/scheduleParser');
-const { parseExamDetails } = require('../src/parsers/examParser');
+const {
+  parseSchedule,
+  parseClockTime,
+  parseTimeRange,
+  parseDayOfWeek,
+  parseTeachingWeeks
+} = require('../src/parsers/scheduleParser');
+const { parseExamDetails, parseExamDate, parseExamTime, parseExamDuration, parseExamSchedule } = require('../src/parsers/examParser');
 
 describe('Parsers', () => {
   describe('Meta Parser', () => {
@@ -85,6 +91,13 @@ describe('Parsers', () => {
       expect(res[0].course_code).toBe('SC2008');
       expect(res[0].title).toBe('COMPUTER NETWORK');
       expect(res[0].prerequisites).toBe('SC1004 & SC2000');
+      expect(res[0].prerequisite_tree).toEqual({
+        type: 'and',
+        children: [
+          { type: 'course', code: 'SC1004' },
+          { type: 'course', code: 'SC2000' }
+        ]
+      });
       expect(res[0].not_available_to_programme).toBe('EEE, ENG(EEE)');
       expect(res[0].not_available_as_bde_ue_to_programme).toBe('BCE');
       expect(res[0].description).toBe('This course serves as a foundation for computer networks.');
@@ -111,6 +124,23 @@ describe('Parsers', () => {
       expect(res[0].sections).toHaveLength(1);
       expect(res[0].sections[0].index).toBe('10001');
       expect(res[0].sections[0].day).toBe('MON');
+      expect(res[0].sections[0].day_of_week).toBe(1);
+      expect(res[0].sections[0].start_minute).toBe(570);
+      expect(res[0].sections[0].end_minute).toBe(630);
+    });
+
+    it('should parse clock times, time ranges and days', () => {
+      expect(parseClockTime('0930')).toBe(570);
+      expect(parseClockTime('9:30')).toBe(570);
+      expect(parseClockTime('2400')).toBe(1440);
+      expect(parseClockTime('2561')).toBeNull();
+      expect(parseClockTime('')).toBeNull();
+      expect(parseTimeRange('0930-1120')).toEqual({ start: 570, end: 680 });
+      expect(parseTimeRange('')).toBeNull();
+      expect(parseDayOfWeek('MON')).toBe(1);
+      expect(parseDayOfWeek('Sunday')).toBe(7);
+      expect(parseDayOfWeek('3')).toBe(3);
+      expect(parseDayOfWeek('')).toBeNull();
     });
 
     it('should parse multiple sessions for same index (SC2008 example)', () => {
@@ -156,6 +186,24 @@ describe('Parsers', () => {
       expect(res[0].sections[4].type).toBe('LAB');
       expect(res[0].sections[4].venue).toBe('SWLAB2');
       expect(res[0].sections[4].remark).toBe('Teaching Wk1,3,5,7,9,11,13');
+
+      // Teaching weeks parsed from remarks
+      expect(res[0].sections[0].week_pattern).toBe('all');
+      expect(res[0].sections[1].teaching_weeks).toEqual([2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13]);
+      expect(res[0].sections[2].teaching_weeks).toEqual([1]);
+      expect(res[0].sections[4].teaching_weeks).toEqual([1, 3, 5, 7, 9, 11, 13]);
+      expect(res[0].sections[4].week_pattern).toBe('odd');
+    });
+
+    it('should parse teaching weeks from remarks', () => {
+      expect(parseTeachingWeeks('Teaching Wk2,4,6,8,10,12')).toEqual({ weeks: [2, 4, 6, 8, 10, 12], pattern: 'even' });
+      expect(parseTeachingWeeks('Teaching Wk1-6,8-13')).toEqual({
+        weeks: [1, 2, 3, 4, 5, 6, 8, 9, 10, 11, 12, 13],
+        pattern: 'custom'
+      });
+      expect(parseTeachingWeeks('Wk1-13').pattern).toBe('all');
+      expect(parseTeachingWeeks('').weeks).toHaveLength(13);
+      expect(parseTeachingWeeks('Online Course').pattern).toBe('all');
     });
 
     it('should handle duplicate sessions in HTML gracefully', () => {
@@ -332,5 +380,57 @@ describe('Parsers', () => {
       expect(ij5678).toBeDefined();
       expect(ij5678.exam_type).toBe('Open Book');
     });
+
+    it('should parse exam dates, times and durations', () => {
+      expect(parseExamDate('27 APRIL 2026')).toBe('2026-04-27');
+      expect(parseExamDate('3-Dec-2025')).toBe('2025-12-03');
+      expect(parseExamDate('TBA')).toBeNull();
+
+      expect(parseExamTime('5.00 pm')).toBe(17 * 60);
+      expect(parseExamTime('9:30 AM')).toBe(9 * 60 + 30);
+      expect(parseExamTime('12.30 pm')).toBe(12 * 60 + 30);
+      expect(parseExamTime('17.00')).toBeNull();
+
+      expect(parseExamDuration('2 hr 30 min')).toBe(150);
+      expect(parseExamDuration('2 hrs')).toBe(120);
+      expect(parseExamDuration('90 min')).toBe(90);
+      expect(parseExamDuration('')).toBeNull();
+    });
+
+    it('should convert exam display strings into Singapore-time timestamps', () => {
+      expect(parseExamSchedule('27 APRIL 2026', '5.00 pm', '2 hr 30 min')).toEqual({
+        exam_date_iso: '2026-04-27',
+        exam_start: '2026-04-27T09:00:00.000Z',
+        exam_end: '2026-04-27T11:30:00.000Z',
+        exam_duration_minutes: 150
+      });
+      expect(parseExamSchedule('27 APRIL 2026', '', '2 hr')).toEqual({
+        exam_date_iso: '2026-04-27',
+        exam_start: null,
+        exam_end: null,
+        exam_duration_minutes: 120
+      });
+    });
+
+    it('should keep every sitting of a course and tag it with its plan', () => {
+      const html = `
+        <table>
+          <tr><th>Date</th><th>Day</th><th>Time</th><th>Course Code</th><th>Course Title</th><th>Duration</th></tr>
+          <tr><td>27 APRIL 2026</td><td>MONDAY</td><td>9.00 am</td><td>MH1810</td><td>MATHEMATICS 1</td><td>1 hr</td></tr>
+          <tr><td>29 APRIL 2026</td><td>WEDNESDAY</td><td>9.00 am</td><td>MH1810</td><td>MATHEMATICS 1</td><td>1 hr</td></tr>
+          <tr><td>27 APRIL 2026</td><td>MONDAY</td><td>9.00 am</td><td>MH1810</td><td>MATHEMATICS 1</td><td>1 hr</td></tr>
+          <tr><td>28 APRIL 2026</td><td>TUESDAY</td><td>1.00 pm</td><td>SC2008</td><td>COMPUTER NETWORK</td><td>2 hr</td></tr>
+        </table>
+      `;
+      const res = parseExamDetails(html, '2025_2', 'UE', 'Semester 2 Academic Year 2025-2026', '114');
+
+      expect(res.map(e => [e.course_code, e.paper_no, e.exam_date])).toEqual([
+        ['MH1810', 1, '27 APRIL 2026'],
+        ['MH1810', 2, '29 APRIL 2026'],
+        ['SC2008', 1, '28 APRIL 2026']
+      ]);
+      expect(res.every(e => e.plan_no === '114')).toBe(true);
+      expect(res[0].academic_session).toBe('Semester 2 Academic Year 2025-2026');
+    });
   });
 });
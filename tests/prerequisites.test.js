@@ -0,0 +1,261 @@
+/**
+ * Unit tests for prerequisite expression parsing, the dependent graph and their course routes
+ */
+
+const request = require('supertest');
+const express = require('express');
+const { parsePrerequisites, collectCourseCodes } = require('../src/parsers/prerequisiteParser');
+const { buildDependentGraph, findCycles, clampDepth } = require('../src/utils/prerequisiteGraph');
+
+// Mock the repository module
+jest.mock('../src/database/repository');
+const repo = require('../src/database/repository');
+
+const coursesRoutes = require('../src/routes/courses');
+
+const app = express();
+app.use(express.json());
+app.use('/courses', coursesRoutes);
+
+describe('Prerequisite Parser', () => {
+  it('should return null for empty text', () => {
+    expect(parsePrerequisites('')).toBeNull();
+    expect(parsePrerequisites('   ')).toBeNull();
+    expect(parsePrerequisites(undefined)).toBeNull();
+  });
+
+  it('should parse a single course code', () => {
+    expect(parsePrerequisites('SC1007')).toEqual({ type: 'course', code: 'SC1007' });
+  });
+
+  it('should bind & tighter than OR', () => {
+    expect(parsePrerequisites('SC1007 & SC1008 OR MH1812')).toEqual({
+      type: 'or',
+      children: [
+        {
+          type: 'and',
+          children: [
+            { type: 'course', code: 'SC1007' },
+            { type: 'course', code: 'SC1008' }
+          ]
+        },
+        { type: 'course', code: 'MH1812' }
+      ]
+    });
+  });
+
+  it('should respect parentheses and flatten nested operators', () => {
+    expect(parsePrerequisites('MH1810 & (MH1811 OR MH1812 OR (CZ1011)) & SC1003')).toEqual({
+      type: 'and',
+      children: [
+        { type: 'course', code: 'MH1810' },
+        {
+          type: 'or',
+          children: [
+            { type: 'course', code: 'MH1811' },
+            { type: 'course', code: 'MH1812' },
+            { type: 'course', code: 'CZ1011' }
+          ]
+        },
+        { type: 'course', code: 'SC1003' }
+      ]
+    });
+  });
+
+  it('should keep grade and year conditions as opaque clauses', () => {
+    expect(parsePrerequisites('Study Year 2 standing OR Grade A in SC1005')).toEqual({
+      type: 'or',
+      children: [
+        { type: 'clause', text: 'Study Year 2 standing', courses: [] },
+        { type: 'clause', text: 'Grade A in SC1005', courses: ['SC1005'] }
+      ]
+    });
+  });
+
+  it('should tolerate unbalanced parentheses and dangling operators', () => {
+    expect(parsePrerequisites('(SC1007 & SC1008')).toEqual({
+      type: 'and',
+      children: [
+        { type: 'course', code: 'SC1007' },
+        { type: 'course', code: 'SC1008' }
+      ]
+    });
+    expect(parsePrerequisites('SC1007) OR')).toEqual({ type: 'course', code: 'SC1007' });
+  });
+
+  it('should collect every referenced course code', () => {
+    const tree = parsePrerequisites('SC1007 & SC1008 OR Grade B in MH1812 OR SC1007');
+    expect(collectCourseCodes(tree)).toEqual(['SC1007', 'SC1008', 'MH1812']);
+    expect(collectCourseCodes(null)).toEqual([]);
+  });
+});
+
+describe('GET /courses/:code/prerequisites', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should return raw text and stored tree', async () => {
+    const tree = { type: 'course', code: 'SC1007' };
+    repo.getCoursePrerequisites.mockResolvedValue({
+      course_code: 'SC2001',
+      acadsem: '2025_2',
+      title: 'ALGORITHM DESIGN & ANALYSIS',
+      prerequisites: 'SC1007',
+      prerequisite_tree: tree
+    });
+
+    const response = await request(app)
+      .get('/courses/sc2001/prerequisites?acadsem=2025_2')
+      .expect(200);
+
+    expect(repo.getCoursePrerequisites).toHaveBeenCalledWith({ course_code: 'SC2001', acadsem: '2025_2' });
+    expect(response.body).toEqual({
+      course_code: 'SC2001',
+      acadsem: '2025_2',
+      title: 'ALGORITHM DESIGN & ANALYSIS',
+      prerequisites: 'SC1007',
+      tree
+    });
+  });
+
+  test('should parse the tree on the fly when it was not stored', async () => {
+    repo.getCoursePrerequisites.mockResolvedValue({
+      course_code: 'SC2001',
+      acadsem: '2025_2',
+      title: 'ALGORITHM DESIGN & ANALYSIS',
+      prerequisites: 'SC1007 OR CZ1007',
+      prerequisite_tree: null
+    });
+
+    const response = await request(app)
+      .get('/courses/SC2001/prerequisites')
+      .expect(200);
+
+    expect(response.body.tree.type).toBe('or');
+    expect(response.body.tree.children).toHaveLength(2);
+  });
+
+  test('should return 404 when course is not found', async () => {
+    repo.getCoursePrerequisites.mockResolvedValue(null);
+
+    const response = await request(app)
+      .get('/courses/XX9999/prerequisites')
+      .expect(404);
+
+    expect(response.body.error.code).toBe('NOT_FOUND');
+  });
+
+  test('should handle repository errors', async () => {
+    repo.getCoursePrerequisites.mockRejectedValue(new Error('Database error'));
+
+    await request(app)
+      .get('/courses/SC2001/prerequisites')
+      .expect(500);
+  });
+});
+
+describe('Dependent Graph', () => {
+  // SC1007 -> SC2001 -> SC3000 and SC1007 -> SC2005; SC4999 only matches SC1007 as a substring
+  const catalogue = [
+    { course_code: 'SC2001', title: 'ALGORITHMS', prerequisites: 'SC1007 OR CZ1007', prerequisite_tree: null },
+    { course_code: 'SC2005', title: 'OPERATING SYSTEMS', prerequisites: 'SC1005 & SC1007', prerequisite_tree: null },
+    { course_code: 'SC3000', title: 'AI', prerequisites: 'SC2001', prerequisite_tree: null },
+    { course_code: 'SC4999', title: 'NOISE', prerequisites: 'SC10071', prerequisite_tree: null }
+  ];
+  const fetchCandidates = async (codes) =>
+    catalogue.filter(row => codes.some(code => row.prerequisites.includes(code)));
+
+  it('should walk dependents breadth-first with depths', async () => {
+    const graph = await buildDependentGraph('SC1007', fetchCandidates, { depth: 3 });
+    expect(graph.nodes).toEqual([
+      { course_code: 'SC1007', depth: 0 },
+      { course_code: 'SC2001', title: 'ALGORITHMS', depth: 1 },
+      { course_code: 'SC2005', title: 'OPERATING SYSTEMS', depth: 1 },
+      { course_code: 'SC3000', title: 'AI', depth: 2 }
+    ]);
+    expect(graph.edges).toEqual([
+      { from: 'SC1007', to: 'SC2001' },
+      { from: 'SC1007', to: 'SC2005' },
+      { from: 'SC2001', to: 'SC3000' }
+    ]);
+    expect(graph.cycles).toEqual([]);
+  });
+
+  it('should cap traversal depth', async () => {
+    const graph = await buildDependentGraph('SC1007', fetchCandidates, { depth: 1 });
+    expect(graph.depth).toBe(1);
+    expect(graph.nodes.map(n => n.course_code)).toEqual(['SC1007', 'SC2001', 'SC2005']);
+  });
+
+  it('should detect cycles without looping forever', async () => {
+    const cyclic = [
+      { course_code: 'AB1000', title: 'A', prerequisites: 'AB2000', prerequisite_tree: null },
+      { course_code: 'AB2000', title: 'B', prerequisites: 'AB1000', prerequisite_tree: null }
+    ];
+    const graph = await buildDependentGraph('AB1000', async (codes) =>
+      cyclic.filter(row => codes.some(code => row.prerequisites.includes(code))), { depth: 10 });
+    expect(graph.nodes).toHaveLength(2);
+    expect(graph.cycles).toEqual([['AB1000', 'AB2000', 'AB1000']]);
+  });
+
+  it('should find cycles in an edge list', () => {
+    expect(findCycles([{ from: 'A', to: 'B' }, { from: 'B', to: 'C' }])).toEqual([]);
+    expect(findCycles([{ from: 'A', to: 'A' }])).toEqual([['A', 'A']]);
+  });
+
+  it('should clamp depth to the supported range', () => {
+    expect(clampDepth(NaN)).toBe(3);
+    expect(clampDepth(0)).toBe(1);
+    expect(clampDepth(99)).toBe(10);
+  });
+});
+
+describe('GET /courses/:code/dependents', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should resolve the semester from the root course and return the graph', async () => {
+    repo.getCoursePrerequisites.mockResolvedValue({
+      course_code: 'SC1007',
+      acadsem: '2025_2',
+      title: 'DATA STRUCTURES & ALGORITHMS',
+      prerequisites: '',
+      prerequisite_tree: null
+    });
+    repo.getCoursesReferencingPrerequisites
+      .mockResolvedValueOnce([{ course_code: 'SC2001', title: 'ALGORITHMS', prerequisites: 'SC1007', prerequisite_tree: null }])
+      .mockResolvedValue([]);
+
+    const response = await request(app)
+      .get('/courses/SC1007/dependents?depth=2')
+      .expect(200);
+
+    expect(repo.getCoursesReferencingPrerequisites).toHaveBeenCalledWith({ acadsem: '2025_2', course_codes: ['SC1007'] });
+    expect(response.body.acadsem).toBe('2025_2');
+    expect(response.body.depth).toBe(2);
+    expect(response.body.nodes[0]).toEqual({ course_code: 'SC1007', title: 'DATA STRUCTURES & ALGORITHMS', depth: 0 });
+    expect(response.body.edges).toEqual([{ from: 'SC1007', to: 'SC2001' }]);
+  });
+
+  test('should return 404 when course is not found', async () => {
+    repo.getCoursePrerequisites.mockResolvedValue(null);
+
+    const response = await request(app)
+      .get('/courses/XX9999/dependents')
+      .expect(404);
+
+    expect(response.body.error.code).toBe('NOT_FOUND');
+    expect(repo.getCoursesReferencingPrerequisites).not.toHaveBeenCalled();
+  });
+
+  test.each(['abc', '2.5', '-1'])('should return 400 for depth=%s', async (depth) => {
+    const response = await request(app)
+      .get(`/courses/SC1007/dependents?depth=${depth}`)
+      .expect(400);
+
+    expect(response.body.error.code).toBe('INVALID_REQUEST');
+    expect(repo.getCoursePrerequisites).not.toHaveBeenCalled();
+  });
+});
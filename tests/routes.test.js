@@ -245,6 +245,38 @@ describe('API Routes', () => {
       });
     });
 
+    test('should convert day and time filters before querying', async () => {
+      repo.getCourseSchedule.mockResolvedValue(mockSchedule);
+
+      await request(app)
+        .get('/course-schedule?acadsem=2025_2&day=tue&starts_after=1000&ends_before=18:00&type=TUT')
+        .expect(200);
+
+      expect(repo.getCourseSchedule).toHaveBeenCalledWith({
+        course_code: undefined,
+        acadsem: '2025_2',
+        day_of_week: 2,
+        starts_after: 600,
+        ends_before: 1080,
+        type: 'TUT',
+        limit: 100,
+        offset: 0
+      });
+    });
+
+    test('should reject invalid day or time filters', async () => {
+      const response = await request(app)
+        .get('/course-schedule?day=FUNDAY')
+        .expect(400);
+
+      expect(response.body.error.code).toBe('INVALID_REQUEST');
+      expect(repo.getCourseSchedule).not.toHaveBeenCalled();
+
+      await request(app)
+        .get('/course-schedule?starts_after=2561')
+        .expect(400);
+    });
+
     test('should support pagination with offset', async () => {
       repo.getCourseSchedule.mockResolvedValue(mockSchedule);
 
@@ -0,0 +1,320 @@
+/**
+ * Unit tests for timetable clash detection and the timetable routes
+ */
+
+const request = require('supertest');
+const express = require('express');
+const { findSessionClashes, findExamClashes } = require('../src/utils/timetable');
+const { planTimetables, longestBlockMinutes } = require('../src/utils/timetablePlanner');
+
+// Mock the repository module
+jest.mock('../src/database/repository');
+const repo = require('../src/database/repository');
+
+const timetableRoutes = require('../src/routes/timetable');
+
+const app = express();
+app.use(express.json());
+app.use('/timetable', timetableRoutes);
+
+const session = (overrides) => ({
+  index: '10001',
+  course_code: 'SC1001',
+  type: 'LEC/STUDIO',
+  group: 'LE',
+  day: 'MON',
+  time: '0930-1120',
+  venue: 'LT1',
+  day_of_week: 1,
+  start_minute: 570,
+  end_minute: 680,
+  teaching_weeks: null,
+  ...overrides
+});
+
+describe('Session Clash Detection', () => {
+  it('should report overlapping sessions with overlap details', () => {
+    const clashes = findSessionClashes([
+      session({}),
+      session({ index: '20001', course_code: 'SC2002', time: '1030-1220', start_minute: 630, end_minute: 740 })
+    ]);
+    expect(clashes).toHaveLength(1);
+    expect(clashes[0].day).toBe('MON');
+    expect(clashes[0].overlap).toEqual({ start: '1030', end: '1120', minutes: 50 });
+    expect(clashes[0].weeks).toHaveLength(13);
+    expect(clashes[0].a.index).toBe('10001');
+    expect(clashes[0].b.course_code).toBe('SC2002');
+  });
+
+  it('should not report back-to-back or different-day sessions', () => {
+    expect(findSessionClashes([
+      session({}),
+      session({ index: '20001', start_minute: 680, end_minute: 770 }),
+      session({ index: '30001', day_of_week: 2 })
+    ])).toEqual([]);
+  });
+
+  it('should honour teaching weeks', () => {
+    const odd = session({ teaching_weeks: [1, 3, 5, 7, 9, 11, 13] });
+    const even = session({ index: '20001', teaching_weeks: [2, 4, 6, 8, 10, 12] });
+    expect(findSessionClashes([odd, even])).toEqual([]);
+
+    const clashes = findSessionClashes([odd, session({ index: '20001', teaching_weeks: [4, 5, 6, 7] })]);
+    expect(clashes[0].weeks).toEqual([5, 7]);
+  });
+
+  it('should skip sessions of the same index and sessions without parsed times', () => {
+    expect(findSessionClashes([
+      session({}),
+      session({ type: 'TUT' }),
+      session({ index: '20001', day_of_week: null, start_minute: null, end_minute: null })
+    ])).toEqual([]);
+  });
+});
+
+describe('Exam Clash Detection', () => {
+  it('should group courses sharing an exam slot', () => {
+    const clashes = findExamClashes([
+      { course_code: 'SC2002', exam_date: '27 APRIL 2026', exam_time: '5.00 pm', student_type: 'UG' },
+      { course_code: 'SC1001', exam_date: '27 April 2026', exam_time: '5.00 PM', student_type: 'UG' },
+      { course_code: 'SC1001', exam_date: '27 APRIL 2026', exam_time: '5.00 pm', student_type: 'GR' },
+      { course_code: 'SC3003', exam_date: '28 APRIL 2026', exam_time: '5.00 pm', student_type: 'UG' }
+    ]);
+    expect(clashes).toEqual([
+      { exam_date: '27 APRIL 2026', exam_time: '5.00 pm', start: '2026-04-27T09:00:00.000Z', end: '2026-04-27T09:00:00.000Z', course_codes: ['SC1001', 'SC2002'] }
+    ]);
+  });
+
+  it('should report papers that overlap without sharing a start time', () => {
+    const clashes = findExamClashes([
+      { course_code: 'SC1001', exam_date: '27 APRIL 2026', exam_time: '9.00 am', exam_duration: '2 hr 30 min' },
+      { course_code: 'SC2002', exam_date: '27-Apr-2026', exam_time: '10:30 AM', exam_duration: '2 hr' },
+      // Starts when SC1001 ends: no clash
+      { course_code: 'SC3003', exam_date: '27 APRIL 2026', exam_time: '2.00 pm', exam_duration: '2 hr' },
+      { course_code: 'SC4004', exam_date: '28 APRIL 2026', exam_time: '9.00 am', exam_duration: '2 hr' }
+    ]);
+    expect(clashes).toEqual([{
+      exam_date: '27 APRIL 2026',
+      exam_time: '9.00 am',
+      start: '2026-04-27T01:00:00.000Z',
+      end: '2026-04-27T04:30:00.000Z',
+      course_codes: ['SC1001', 'SC2002']
+    }]);
+  });
+
+  it('should fall back to the display strings for unparsed exams', () => {
+    const clashes = findExamClashes([
+      { course_code: 'SC1001', exam_date: 'TBA', exam_time: 'TBA' },
+      { course_code: 'SC2002', exam_date: 'tba', exam_time: 'tba' }
+    ]);
+    expect(clashes).toEqual([{ exam_date: 'TBA', exam_time: 'TBA', start: null, end: null, course_codes: ['SC1001', 'SC2002'] }]);
+  });
+});
+
+describe('POST /timetable/check', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should report session and exam clashes', async () => {
+    repo.getSessionsByIndexes.mockResolvedValue([
+      session({}),
+      session({ index: '20001', course_code: 'SC2002' })
+    ]);
+    repo.getExamsForCourses.mockResolvedValue([
+      { course_code: 'SC1001', exam_date: '27 APRIL 2026', exam_time: '5.00 pm' },
+      { course_code: 'SC2002', exam_date: '27 APRIL 2026', exam_time: '5.00 pm' }
+    ]);
+
+    const response = await request(app)
+      .post('/timetable/check')
+      .send({ acadsem: '2025_2', indexes: ['10001', 20001, '99999', '10001'] })
+      .expect(200);
+
+    expect(repo.getSessionsByIndexes).toHaveBeenCalledWith({ acadsem: '2025_2', indexes: ['10001', '20001', '99999'] });
+    expect(repo.getExamsForCourses).toHaveBeenCalledWith({ acadsem: '2025_2', course_codes: ['SC1001', 'SC2002'] });
+    expect(response.body.has_clash).toBe(true);
+    expect(response.body.courses).toEqual([
+      { index: '10001', course_code: 'SC1001' },
+      { index: '20001', course_code: 'SC2002' }
+    ]);
+    expect(response.body.missing_indexes).toEqual(['99999']);
+    expect(response.body.clashes).toHaveLength(1);
+    expect(response.body.exam_clashes[0].course_codes).toEqual(['SC1001', 'SC2002']);
+  });
+
+  test('should reject an invalid body', async () => {
+    const response = await request(app)
+      .post('/timetable/check')
+      .send({ indexes: [] })
+      .expect(400);
+
+    expect(response.body.error.code).toBe('INVALID_REQUEST');
+    expect(repo.getSessionsByIndexes).not.toHaveBeenCalled();
+  });
+
+  test('should reject two indexes of the same course', async () => {
+    repo.getSessionsByIndexes.mockResolvedValue([
+      session({}),
+      session({ index: '10002' })
+    ]);
+
+    const response = await request(app)
+      .post('/timetable/check')
+      .send({ acadsem: '2025_2', indexes: ['10001', '10002'] })
+      .expect(400);
+
+    expect(response.body.error.message).toContain('SC1001');
+  });
+
+  test('should return 404 when no index is found', async () => {
+    repo.getSessionsByIndexes.mockResolvedValue([]);
+
+    await request(app)
+      .post('/timetable/check')
+      .send({ acadsem: '2025_2', indexes: ['99999'] })
+      .expect(404);
+  });
+});
+
+describe('Timetable Planner', () => {
+  // SC1001: 10001 Mon 0830-0920, 10002 Mon 1030-1120, 10003 identical to 10002
+  // SC2002: 20001 Mon 1030-1120, 20002 Tue 1030-1120
+  const sessions = [
+    session({ index: '10001', start_minute: 510, end_minute: 560 }),
+    session({ index: '10002', start_minute: 630, end_minute: 680 }),
+    session({ index: '10003', start_minute: 630, end_minute: 680 }),
+    session({ index: '20001', course_code: 'SC2002', start_minute: 630, end_minute: 680 }),
+    session({ index: '20002', course_code: 'SC2002', day_of_week: 2, start_minute: 630, end_minute: 680 })
+  ];
+
+  it('should rank clash-free timetables and merge identical indexes', async () => {
+    const result = await planTimetables(sessions, { courseCodes: ['SC1001', 'SC2002'] });
+    expect(result.truncated).toBe(false);
+    expect(result.blocked).toEqual([]);
+    // 10002 + 20001 clash, leaving three combinations; the single-day one ranks first
+    expect(result.timetables).toHaveLength(3);
+    expect(result.timetables[0]).toMatchObject({
+      rank: 1,
+      days_on_campus: 1,
+      idle_minutes: 70,
+      indexes: [
+        { course_code: 'SC1001', index: '10001', alternatives: [] },
+        { course_code: 'SC2002', index: '20001', alternatives: [] }
+      ]
+    });
+    expect(result.timetables[1].indexes[0]).toEqual({ course_code: 'SC1001', index: '10002', alternatives: ['10003'] });
+  });
+
+  it('should apply earliest-start, free-day and locking constraints', async () => {
+    const late = await planTimetables(sessions, { courseCodes: ['SC1001', 'SC2002'], constraints: { earliest_start: 600 } });
+    expect(late.timetables).toHaveLength(1);
+    expect(late.timetables[0].indexes.map(i => i.index)).toEqual(['10002', '20002']);
+
+    const freeTuesday = await planTimetables(sessions, { courseCodes: ['SC1001', 'SC2002'], constraints: { free_days: [2] } });
+    expect(freeTuesday.timetables.every(t => t.free_weekdays.includes('TUE'))).toBe(true);
+
+    const locked = await planTimetables(sessions, { courseCodes: ['SC1001', 'SC2002'], locked: { SC1001: '10003' } });
+    expect(locked.timetables).toHaveLength(1);
+    expect(locked.timetables[0].indexes[0]).toEqual({ course_code: 'SC1001', index: '10003', alternatives: [] });
+  });
+
+  it('should report courses with no usable index', async () => {
+    const result = await planTimetables(sessions, { courseCodes: ['SC1001', 'SC2002'], constraints: { free_days: [1] } });
+    expect(result.timetables).toEqual([]);
+    expect(result.blocked).toEqual([{ course_code: 'SC1001', reason: 'Every index has a class on MON' }]);
+  });
+
+  it('should enforce the maximum run of consecutive classes', async () => {
+    const long = [
+      session({ index: '10001', start_minute: 510, end_minute: 620 }),
+      session({ index: '20001', course_code: 'SC2002', start_minute: 630, end_minute: 740 })
+    ];
+    expect(longestBlockMinutes(long)).toBe(230);
+    expect((await planTimetables(long, { courseCodes: ['SC1001', 'SC2002'], constraints: { max_consecutive_minutes: 180 } })).timetables).toEqual([]);
+    expect((await planTimetables(long, { courseCodes: ['SC1001', 'SC2002'], constraints: { max_consecutive_minutes: 240 } })).timetables).toHaveLength(1);
+  });
+
+  it('should stop when the time budget runs out', async () => {
+    let clock = 0;
+    const result = await planTimetables(sessions, { courseCodes: ['SC1001', 'SC2002'], timeBudgetMs: 2, now: () => clock++ });
+    expect(result.truncated).toBe(true);
+    expect(result.timetables.length).toBeLessThan(3);
+  });
+
+  it('should let other work run while searching', async () => {
+    let otherWorkRan = false;
+    setImmediate(() => { otherWorkRan = true; });
+
+    const result = await planTimetables(sessions, { courseCodes: ['SC1001', 'SC2002'], yieldEvery: 1 });
+    expect(otherWorkRan).toBe(true);
+    expect(result.timetables).toHaveLength(3);
+  });
+});
+
+describe('POST /timetable/plan', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should translate constraints and return ranked timetables', async () => {
+    repo.getSessionsByCourses.mockResolvedValue([
+      session({ index: '10001', start_minute: 510, end_minute: 560 }),
+      session({ index: '10002', start_minute: 630, end_minute: 680 }),
+      session({ index: '20001', course_code: 'SC2002', day_of_week: 2, start_minute: 630, end_minute: 680 })
+    ]);
+
+    const response = await request(app)
+      .post('/timetable/plan')
+      .send({
+        acadsem: '2025_2',
+        course_codes: ['sc1001', 'SC2002'],
+        constraints: { no_classes_before: '1000', free_day: 'ANY', max_consecutive_hours: 3, locked_indexes: ['20001'] },
+        limit: 3
+      })
+      .expect(200);
+
+    expect(repo.getSessionsByCourses).toHaveBeenCalledWith({ acadsem: '2025_2', course_codes: ['SC1001', 'SC2002'] });
+    expect(response.body).toMatchObject({ acadsem: '2025_2', count: 1, truncated: false, blocked: [] });
+    expect(response.body.timetables[0].indexes.map(i => i.index)).toEqual(['10002', '20001']);
+    expect(response.body.timetables[0].free_weekdays).toEqual(['WED', 'THU', 'FRI']);
+  });
+
+  test('should reject invalid constraints', async () => {
+    await request(app)
+      .post('/timetable/plan')
+      .send({ acadsem: '2025_2', course_codes: ['SC1001'], constraints: { no_classes_before: '10am' } })
+      .expect(400);
+    await request(app)
+      .post('/timetable/plan')
+      .send({ acadsem: '2025_2', course_codes: ['SC1001'], limit: 100 })
+      .expect(400);
+    await request(app)
+      .post('/timetable/plan')
+      .send({ acadsem: '2025_2', course_codes: ['SC1001'], timeout_ms: 5000 })
+      .expect(400);
+    expect(repo.getSessionsByCourses).not.toHaveBeenCalled();
+  });
+
+  test('should reject locked indexes outside the requested courses', async () => {
+    repo.getSessionsByCourses.mockResolvedValue([session({})]);
+
+    const response = await request(app)
+      .post('/timetable/plan')
+      .send({ acadsem: '2025_2', course_codes: ['SC1001'], constraints: { locked_indexes: ['99999'] } })
+      .expect(400);
+
+    expect(response.body.error.message).toContain('99999');
+  });
+
+  test('should return 404 for courses without a schedule', async () => {
+    repo.getSessionsByCourses.mockResolvedValue([session({})]);
+
+    const response = await request(app)
+      .post('/timetable/plan')
+      .send({ acadsem: '2025_2', course_codes: ['SC1001', 'XX9999'] })
+      .expect(404);
+
+    expect(response.body.error.message).toContain('XX9999');
+  });
+});
@@ -1,5 +1,34 @@
+const request = require('supertest');
+const express = require('express');
 const { parseVacancyHtml, parseNumber, formatIndexDisplay, formatCourseDisplay } = require('../src/parsers/vacancyParser');
 
+// Mock the repository and the NTU fetcher for the route tests
+jest.mock('../src/database/repository');
+const repo = require('../src/database/repository');
+
+jest.mock('../src/scrappers/fetchVacancy');
+const { fetchVacancy } = require('../src/scrappers/fetchVacancy');
+
+// The vacancy cache lives in Redis
+jest.mock('../src/queue/client', () => ({ connection: { get: jest.fn(), set: jest.fn() } }));
+const { connection } = require('../src/queue/client');
+const { fetchVacancyCached } = require('../src/utils/vacancyCache');
+const { mapWithConcurrency, createRateLimiter } = require('../src/utils/concurrency');
+
+const vacancyRoutes = require('../src/routes/vacancy');
+
+const app = express();
+app.use(express.json());
+app.use('/vacancy', vacancyRoutes);
+
+const VACANCY_HTML = `
+  <table border="1">
+    <tr><th>INDEX</th><th>VACANCY</th><th>WAITLIST</th><th>TYPE</th><th>GROUP</th><th>DAY</th><th>TIME</th><th>VENUE</th></tr>
+    <tr><td>10294</td><td>5</td><td>2</td><td>LEC</td><td>LE1</td><td>MON</td><td>0830-1030</td><td>LT1A</td></tr>
+    <tr><td>10295</td><td>0</td><td>10</td><td>LEC</td><td>LE1</td><td>TUE</td><td>1430-1630</td><td>LT2</td></tr>
+  </table>
+`;
+
 describe('Vacancy Parser', () => {
   describe('parseNumber', () => {
     it('should parse valid numbers', () => {
@@ -179,3 +208,299 @@ describe('Vacancy Parser', () => {
     });
   });
 });
+
+describe('Vacancy Routes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    connection.get.mockResolvedValue(null);
+    connection.set.mockResolvedValue('OK');
+  });
+
+  describe('GET /vacancy', () => {
+    test('should record every index as a snapshot even when filtering by index', async () => {
+      fetchVacancy.mockResolvedValue(VACANCY_HTML);
+      repo.saveVacancySnapshots.mockResolvedValue();
+
+      const response = await request(app).get('/vacancy?course_code=sc2103&index=10295').expect(200);
+
+      expect(response.body.indexes.map(i => i.index)).toEqual(['10295']);
+      const [courseCode, indexes] = repo.saveVacancySnapshots.mock.calls[0];
+      expect(courseCode).toBe('SC2103');
+      expect(indexes.map(i => [i.index, i.vacancy, i.waitlist])).toEqual([['10294', 5, 2], ['10295', 0, 10]]);
+    });
+
+    test('should still answer when the snapshot cannot be saved', async () => {
+      fetchVacancy.mockResolvedValue(VACANCY_HTML);
+      repo.saveVacancySnapshots.mockRejectedValue(new Error('Database error'));
+
+      const response = await request(app).get('/vacancy?course_code=SC2103').expect(200);
+      expect(response.body.indexes).toHaveLength(2);
+    });
+
+    test('should cache the page and report when it was fetched', async () => {
+      fetchVacancy.mockResolvedValue(VACANCY_HTML);
+      repo.saveVacancySnapshots.mockResolvedValue();
+
+      const response = await request(app).get('/vacancy?course_code=SC2103').expect(200);
+
+      expect(response.body.cached).toBe(false);
+      expect(response.body.age).toBe(0);
+      expect(response.headers.age).toBe('0');
+      const [key, value, mode, ttl] = connection.set.mock.calls[0];
+      expect([key, mode, ttl]).toEqual(['vacancy:SC2103', 'EX', 30]);
+      expect(JSON.parse(value)).toEqual({ html: VACANCY_HTML, fetched_at: response.body.fetched_at });
+    });
+
+    test('should serve a cached page without reading NTU or recording it again', async () => {
+      const fetchedAt = new Date(Date.now() - 12 * 1000).toISOString();
+      connection.get.mockResolvedValue(JSON.stringify({ html: VACANCY_HTML, fetched_at: fetchedAt }));
+
+      const response = await request(app).get('/vacancy?course_code=SC2103').expect(200);
+
+      expect(fetchVacancy).not.toHaveBeenCalled();
+      expect(repo.saveVacancySnapshots).not.toHaveBeenCalled();
+      expect(response.body).toMatchObject({ cached: true, fetched_at: fetchedAt });
+      expect(response.body.age).toBeGreaterThanOrEqual(12);
+    });
+
+    test('should only let API key holders bypass the cache', async () => {
+      const originalApiKeys = process.env.API_KEYS;
+      process.env.API_KEYS = 'test-key-123';
+      connection.get.mockResolvedValue(JSON.stringify({ html: VACANCY_HTML, fetched_at: new Date().toISOString() }));
+      fetchVacancy.mockResolvedValue(VACANCY_HTML);
+      repo.saveVacancySnapshots.mockResolvedValue();
+
+      try {
+        await request(app).get('/vacancy?course_code=SC2103&fresh=true').expect(401);
+        expect(fetchVacancy).not.toHaveBeenCalled();
+
+        const response = await request(app)
+          .get('/vacancy?course_code=SC2103&fresh=true')
+          .set('X-API-Key', 'test-key-123')
+          .expect(200);
+        expect(fetchVacancy).toHaveBeenCalledTimes(1);
+        expect(response.body.cached).toBe(false);
+      } finally {
+        if (originalApiKeys === undefined) delete process.env.API_KEYS;
+        else process.env.API_KEYS = originalApiKeys;
+      }
+    });
+
+    test('should not record a snapshot when NTU returns an error', async () => {
+      fetchVacancy.mockResolvedValue('<script>alert("Vacancy service is only available from 9:00 AM to 10:00 PM")</script>');
+
+      await request(app).get('/vacancy?course_code=SC2103').expect(503);
+      expect(repo.saveVacancySnapshots).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /vacancy/bulk', () => {
+    const CLOSED_HTML = '<script>alert("Vacancy service is only available from 9:00 AM to 10:00 PM")</script>';
+
+    test('should report each course separately when one of them fails', async () => {
+      fetchVacancy.mockImplementation(async (courseCode) => {
+        if (courseCode === 'SC2005') return CLOSED_HTML;
+        if (courseCode === 'SC2008') throw Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+        return VACANCY_HTML;
+      });
+      repo.saveVacancySnapshots.mockResolvedValue();
+
+      const response = await request(app)
+        .post('/vacancy/bulk')
+        .send({ courses: ['sc2103', 'SC2005', 'SC2008'] })
+        .expect(200);
+
+      expect(response.body).toMatchObject({ count: 3, succeeded: 1, failed: 2 });
+      const [ok, closed, unreachable] = response.body.results;
+      expect(ok).toMatchObject({ course_code: 'SC2103', status: 'ok', cached: false, missing_indexes: [] });
+      expect(ok.indexes.map(i => i.index)).toEqual(['10294', '10295']);
+      expect(closed).toEqual({
+        course_code: 'SC2005',
+        status: 'error',
+        error: { code: 'SERVICE_UNAVAILABLE', message: expect.stringContaining('only available from') }
+      });
+      expect(unreachable).toMatchObject({ course_code: 'SC2008', status: 'error', error: { code: 'UPSTREAM_ERROR' } });
+      expect(repo.saveVacancySnapshots).toHaveBeenCalledTimes(1);
+    });
+
+    test('should read each course once and filter to the requested indexes', async () => {
+      fetchVacancy.mockResolvedValue(VACANCY_HTML);
+      repo.saveVacancySnapshots.mockResolvedValue();
+
+      const response = await request(app)
+        .post('/vacancy/bulk')
+        .send({ courses: [{ course_code: 'SC2103', index: '10295' }, { course_code: 'sc2103', index: 99999 }] })
+        .expect(200);
+
+      expect(fetchVacancy).toHaveBeenCalledTimes(1);
+      expect(response.body.count).toBe(1);
+      expect(response.body.results[0].indexes.map(i => i.index)).toEqual(['10295']);
+      expect(response.body.results[0].missing_indexes).toEqual(['99999']);
+    });
+
+    test('should read at most VACANCY_BULK_CONCURRENCY courses at a time', async () => {
+      let running = 0;
+      let peak = 0;
+      fetchVacancy.mockImplementation(async () => {
+        running++;
+        peak = Math.max(peak, running);
+        await new Promise(resolve => setImmediate(resolve));
+        running--;
+        return VACANCY_HTML;
+      });
+      repo.saveVacancySnapshots.mockResolvedValue();
+
+      const response = await request(app)
+        .post('/vacancy/bulk')
+        .send({ courses: ['SC1001', 'SC1002', 'SC1003', 'SC1004', 'SC1005'] })
+        .expect(200);
+
+      expect(response.body.results.map(r => r.course_code)).toEqual(['SC1001', 'SC1002', 'SC1003', 'SC1004', 'SC1005']);
+      expect(fetchVacancy).toHaveBeenCalledTimes(5);
+      expect(peak).toBeLessThanOrEqual(3);
+    });
+
+    test('should reject an empty or oversized list', async () => {
+      await request(app).post('/vacancy/bulk').send({ courses: [] }).expect(400);
+      const response = await request(app)
+        .post('/vacancy/bulk')
+        .send({ courses: Array.from({ length: 21 }, (_, i) => `SC${1000 + i}`) })
+        .expect(400);
+      expect(response.body.error.code).toBe('INVALID_REQUEST');
+      expect(fetchVacancy).not.toHaveBeenCalled();
+    });
+
+    test('should only let API key holders bypass the cache', async () => {
+      const originalApiKeys = process.env.API_KEYS;
+      process.env.API_KEYS = 'test-key-123';
+
+      try {
+        const response = await request(app).post('/vacancy/bulk').send({ courses: ['SC2103'], fresh: true }).expect(401);
+        expect(response.body.error.code).toBe('UNAUTHORIZED');
+        expect(fetchVacancy).not.toHaveBeenCalled();
+      } finally {
+        if (originalApiKeys === undefined) delete process.env.API_KEYS;
+        else process.env.API_KEYS = originalApiKeys;
+      }
+    });
+  });
+
+  describe('GET /vacancy/history', () => {
+    test('should group snapshots into a time series per index', async () => {
+      repo.getVacancyHistory.mockResolvedValue({
+        total: 3,
+        count: 3,
+        rows: [
+          { index: '10294', vacancy: 5, waitlist: 0, captured_at: '2026-01-05T01:00:00.000Z' },
+          { index: '10295', vacancy: 1, waitlist: 0, captured_at: '2026-01-05T01:00:00.000Z' },
+          { index: '10294', vacancy: 2, waitlist: 0, captured_at: '2026-01-05T02:00:00.000Z' }
+        ]
+      });
+
+      const response = await request(app)
+        .get('/vacancy/history?course_code=sc2103&from=2026-01-05T00:00:00Z&to=2026-01-06T00:00:00Z')
+        .expect(200);
+
+      expect(repo.getVacancyHistory).toHaveBeenCalledWith({
+        course_code: 'SC2103',
+        index: undefined,
+        from: new Date('2026-01-05T00:00:00Z'),
+        to: new Date('2026-01-06T00:00:00Z'),
+        limit: 1000
+      });
+      expect(response.body.total).toBe(3);
+      expect(response.body.series).toEqual([
+        {
+          index: '10294',
+          points: [
+            { captured_at: '2026-01-05T01:00:00.000Z', vacancy: 5, waitlist: 0 },
+            { captured_at: '2026-01-05T02:00:00.000Z', vacancy: 2, waitlist: 0 }
+          ]
+        },
+        { index: '10295', points: [{ captured_at: '2026-01-05T01:00:00.000Z', vacancy: 1, waitlist: 0 }] }
+      ]);
+    });
+
+    test('should validate course_code and the time range', async () => {
+      await request(app).get('/vacancy/history').expect(400);
+      await request(app).get('/vacancy/history?course_code=SC2103&from=yesterday').expect(400);
+      await request(app).get('/vacancy/history?course_code=SC2103&from=2026-01-06&to=2026-01-05').expect(400);
+      expect(repo.getVacancyHistory).not.toHaveBeenCalled();
+    });
+  });
+});
+
+describe('Vacancy cache', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    connection.get.mockResolvedValue(null);
+    connection.set.mockResolvedValue('OK');
+  });
+
+  it('should share one upstream request between concurrent lookups', async () => {
+    let release;
+    fetchVacancy.mockReturnValue(new Promise(resolve => { release = resolve; }));
+
+    const lookups = Promise.all([fetchVacancyCached('SC2103'), fetchVacancyCached('SC2103'), fetchVacancyCached('SC2103')]);
+    await new Promise(resolve => setImmediate(resolve));
+    release(VACANCY_HTML);
+    const results = await lookups;
+
+    expect(fetchVacancy).toHaveBeenCalledTimes(1);
+    expect(results.map(r => r.source)).toEqual(['upstream', 'coalesced', 'coalesced']);
+    expect(new Set(results.map(r => r.fetched_at.getTime())).size).toBe(1);
+  });
+
+  it('should read NTU directly when Redis fails', async () => {
+    connection.get.mockRejectedValue(new Error('Connection is closed'));
+    connection.set.mockRejectedValue(new Error('Connection is closed'));
+    fetchVacancy.mockResolvedValue(VACANCY_HTML);
+
+    const result = await fetchVacancyCached('SC2103');
+    expect(result.source).toBe('upstream');
+    expect(result.html).toBe(VACANCY_HTML);
+  });
+
+  it('should let the next lookup retry after an upstream failure', async () => {
+    fetchVacancy.mockRejectedValueOnce(new Error('ETIMEDOUT')).mockResolvedValueOnce(VACANCY_HTML);
+
+    await expect(fetchVacancyCached('SC2103')).rejects.toThrow('ETIMEDOUT');
+    await expect(fetchVacancyCached('SC2103')).resolves.toMatchObject({ source: 'upstream' });
+    expect(connection.set).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('Concurrency helpers', () => {
+  it('should keep results in input order with a bounded number of calls running', async () => {
+    let running = 0;
+    let peak = 0;
+    const results = await mapWithConcurrency([30, 10, 20, 0], 2, async (delay, i) => {
+      running++;
+      peak = Math.max(peak, running);
+      await new Promise(resolve => setTimeout(resolve, delay));
+      running--;
+      return i;
+    });
+
+    expect(results).toEqual([0, 1, 2, 3]);
+    expect(peak).toBe(2);
+  });
+
+  it('should start no more than the limit of calls in each window', async () => {
+    jest.useFakeTimers();
+    try {
+      const acquire = createRateLimiter(2, 1000);
+      const started = [];
+      for (let i = 0; i < 5; i++) acquire().then(() => started.push(i));
+
+      await Promise.resolve();
+      expect(started).toEqual([0, 1]);
+      await jest.advanceTimersByTimeAsync(1000);
+      expect(started).toEqual([0, 1, 2, 3]);
+      await jest.advanceTimersByTimeAsync(1000);
+      expect(started).toEqual([0, 1, 2, 3, 4]);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * Unit tests for venue normalization and the venue catalogue routes
+ */
+
+const request = require('supertest');
+const express = require('express');
+const { normalizeVenue } = require('../src/utils/format');
+
+// Mock the repository module
+jest.mock('../src/database/repository');
+const repo = require('../src/database/repository');
+
+const venueRoutes = require('../src/routes/venues');
+
+const app = express();
+app.use(express.json());
+app.use('/venues', venueRoutes);
+
+describe('Venue Normalization', () => {
+  it('should collapse case and whitespace variants', () => {
+    expect(normalizeVenue(' lt19a ')).toEqual({ key: 'LT19A', kind: 'physical' });
+    expect(normalizeVenue('N4 - 02a - 03')).toEqual({ key: 'N4-02A-03', kind: 'physical' });
+    expect(normalizeVenue('SPMS  LT3')).toEqual({ key: 'SPMS LT3', kind: 'physical' });
+  });
+
+  it('should group online venues', () => {
+    expect(normalizeVenue('ONLINE')).toEqual({ key: 'ONLINE', kind: 'online' });
+    expect(normalizeVenue('E-Learning')).toEqual({ key: 'ONLINE', kind: 'online' });
+  });
+
+  it('should treat blank and placeholder venues as unassigned', () => {
+    expect(normalizeVenue('')).toEqual({ key: null, kind: 'unassigned' });
+    expect(normalizeVenue('-')).toEqual({ key: null, kind: 'unassigned' });
+    expect(normalizeVenue('TBA')).toEqual({ key: null, kind: 'unassigned' });
+    expect(normalizeVenue(undefined)).toEqual({ key: null, kind: 'unassigned' });
+  });
+});
+
+describe('Venue Routes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('GET /venues', () => {
+    test('should fold per-semester usage into one entry per venue', async () => {
+      repo.getVenueUsage.mockResolvedValue([
+        { venue_key: 'LT19A', acadsem: '2025_2', sessions: 40, exams: 0, variants: ['LT19A', 'LT19a'] },
+        { venue_key: 'LT19A', acadsem: '2025_1', sessions: 35, exams: 2, variants: ['LT19A'] },
+        { venue_key: 'ONLINE', acadsem: '2025_2', sessions: 5, exams: 0, variants: ['ONLINE'] }
+      ]);
+
+      const response = await request(app)
+        .get('/venues')
+        .expect(200);
+
+      expect(repo.getVenueUsage).toHaveBeenCalledWith({ acadsem: undefined });
+      expect(response.body.count).toBe(2);
+      expect(response.body.rows[0]).toEqual({
+        venue: 'LT19A',
+        kind: 'physical',
+        variants: ['LT19A', 'LT19a'],
+        sessions: 75,
+        exams: 2,
+        usage: [
+          { acadsem: '2025_2', sessions: 40, exams: 0 },
+          { acadsem: '2025_1', sessions: 35, exams: 2 }
+        ]
+      });
+      expect(response.body.rows[1].kind).toBe('online');
+    });
+
+    test('should pass the acadsem filter through', async () => {
+      repo.getVenueUsage.mockResolvedValue([]);
+
+      const response = await request(app)
+        .get('/venues?acadsem=2025_2')
+        .expect(200);
+
+      expect(repo.getVenueUsage).toHaveBeenCalledWith({ acadsem: '2025_2' });
+      expect(response.body).toEqual({ count: 0, rows: [] });
+    });
+
+    test('should handle repository errors', async () => {
+      repo.getVenueUsage.mockRejectedValue(new Error('Database error'));
+
+      await request(app)
+        .get('/venues')
+        .expect(500);
+    });
+  });
+
+  describe('GET /venues/:venue/schedule', () => {
+    test('should look up the normalized venue', async () => {
+      repo.getVenueSchedule.mockResolvedValue([
+        { index: '10284', course_code: 'SC2008', acadsem: '2025_2', day: 'MON', time: '1130-1220', venue: 'LT19A' }
+      ]);
+
+      const response = await request(app)
+        .get('/venues/lt19a/schedule?acadsem=2025_2')
+        .expect(200);
+
+      expect(repo.getVenueSchedule).toHaveBeenCalledWith({ venue_key: 'LT19A', acadsem: '2025_2' });
+      expect(response.body.venue).toBe('LT19A');
+      expect(response.body.count).toBe(1);
+    });
+
+    test('should reject placeholder venues', async () => {
+      const response = await request(app)
+        .get('/venues/TBA/schedule')
+        .expect(400);
+
+      expect(response.body.error.code).toBe('INVALID_REQUEST');
+      expect(repo.getVenueSchedule).not.toHaveBeenCalled();
+    });
+  });
+});
+
+describe('GET /venues/free', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should pass the window as minutes of day and the teaching week', async () => {
+    repo.getFreeVenues.mockResolvedValue([{ venue_key: 'LT19A' }, { venue_key: 'TR+15' }]);
+
+    const response = await request(app)
+      .get('/venues/free?acadsem=2025_2&day=tue&start=1330&end=1530&week=5')
+      .expect(200);
+
+    expect(repo.getFreeVenues).toHaveBeenCalledWith({
+      acadsem: '2025_2',
+      day_of_week: 2,
+      start_minute: 810,
+      end_minute: 930,
+      week: 5
+    });
+    expect(response.body).toEqual({
+      acadsem: '2025_2',
+      day: 'TUE',
+      start: '1330',
+      end: '1530',
+      week: 5,
+      count: 2,
+      rows: [{ venue: 'LT19A' }, { venue: 'TR+15' }]
+    });
+  });
+
+  test('should default to every teaching week', async () => {
+    repo.getFreeVenues.mockResolvedValue([]);
+
+    const response = await request(app)
+      .get('/venues/free?acadsem=2025_2&day=MON&start=08:30&end=0930')
+      .expect(200);
+
+    expect(repo.getFreeVenues).toHaveBeenCalledWith(expect.objectContaining({ week: null, start_minute: 510 }));
+    expect(response.body.week).toBeNull();
+  });
+
+  test('should reject missing or invalid parameters', async () => {
+    await request(app).get('/venues/free?day=TUE&start=1330&end=1530').expect(400);
+    await request(app).get('/venues/free?acadsem=2025_2&day=XYZ&start=1330&end=1530').expect(400);
+    await request(app).get('/venues/free?acadsem=2025_2&day=TUE&start=1530&end=1330').expect(400);
+    await request(app).get('/venues/free?acadsem=2025_2&day=TUE&start=1330&end=1530&week=14').expect(400);
+    expect(repo.getFreeVenues).not.toHaveBeenCalled();
+  });
+});
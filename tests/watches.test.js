@@ -0,0 +1,247 @@
+/**
+ * Unit tests for vacancy watches: trigger rules, watch routes, the polling worker and the webhook notifier
+ */
+
+const crypto = require('crypto');
+const request = require('supertest');
+const express = require('express');
+
+// Mock the repository, queue and NTU fetcher
+jest.mock('../src/database/repository');
+const repo = require('../src/database/repository');
+
+jest.mock('../src/queue/client', () => ({
+  addWebhookJob: jest.fn(),
+  connection: { get: jest.fn(), set: jest.fn() }
+}));
+const { addWebhookJob, connection } = require('../src/queue/client');
+
+jest.mock('../src/scrappers/fetchVacancy');
+const { fetchVacancy } = require('../src/scrappers/fetchVacancy');
+
+const { isVacancyServiceOpen, evaluateWatch } = require('../src/utils/vacancyWatch');
+const processVacancyWatch = require('../src/workers/vacancyWatcher');
+const watchRoutes = require('../src/routes/watches');
+
+const app = express();
+app.use(express.json());
+app.use('/vacancy/watches', watchRoutes);
+
+const API_KEY = 'test-key-123';
+const originalApiKeys = process.env.API_KEYS;
+
+const VACANCY_HTML = `
+  <table border="1">
+    <tr><th>INDEX</th><th>VACANCY</th><th>WAITLIST</th><th>TYPE</th><th>GROUP</th><th>DAY</th><th>TIME</th><th>VENUE</th></tr>
+    <tr><td>10294</td><td>3</td><td>0</td><td>LEC</td><td>LE1</td><td>MON</td><td>0830-1030</td><td>LT1A</td></tr>
+    <tr><td>10295</td><td>0</td><td>4</td><td>LEC</td><td>LE1</td><td>TUE</td><td>1430-1630</td><td>LT2</td></tr>
+  </table>
+`;
+
+const watch = (overrides) => ({
+  id: 1,
+  course_code: 'SC2103',
+  index: '10294',
+  threshold: 1,
+  notifier: 'webhook',
+  subscription_id: 7,
+  active: true,
+  last_vacancy: 0,
+  last_waitlist: 0,
+  ...overrides
+});
+
+beforeAll(() => {
+  process.env.API_KEYS = API_KEY;
+});
+
+afterAll(() => {
+  if (originalApiKeys === undefined) delete process.env.API_KEYS;
+  else process.env.API_KEYS = originalApiKeys;
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('Vacancy watch rules', () => {
+  it('should follow NTU service hours in Singapore time', () => {
+    expect(isVacancyServiceOpen(new Date('2026-01-05T01:00:00Z'), '0900-2200')).toBe(true);
+    expect(isVacancyServiceOpen(new Date('2026-01-05T00:59:00Z'), '0900-2200')).toBe(false);
+    expect(isVacancyServiceOpen(new Date('2026-01-05T14:00:00Z'), '0900-2200')).toBe(false);
+  });
+
+  it('should fire when the vacancy reaches the threshold from below', () => {
+    expect(evaluateWatch(watch({ threshold: 2, last_vacancy: 1 }), { vacancy: 2, waitlist: 0 })).toEqual(['vacancy_threshold']);
+    expect(evaluateWatch(watch({ threshold: 2, last_vacancy: 2 }), { vacancy: 3, waitlist: 0 })).toEqual([]);
+    expect(evaluateWatch(watch({ threshold: 2, last_vacancy: 1 }), { vacancy: 1, waitlist: 0 })).toEqual([]);
+    expect(evaluateWatch(watch({ last_vacancy: null, last_waitlist: null }), { vacancy: 1, waitlist: 0 })).toEqual(['vacancy_threshold']);
+  });
+
+  it('should fire when the waitlist drops', () => {
+    expect(evaluateWatch(watch({ last_waitlist: 5 }), { vacancy: 0, waitlist: 4 })).toEqual(['waitlist_dropped']);
+    expect(evaluateWatch(watch({ last_waitlist: 5 }), { vacancy: 0, waitlist: 6 })).toEqual([]);
+    expect(evaluateWatch(watch({ last_waitlist: null }), { vacancy: 0, waitlist: 4 })).toEqual([]);
+  });
+});
+
+describe('Vacancy watch routes', () => {
+  test('should require an API key', async () => {
+    await request(app).get('/vacancy/watches').expect(401);
+    expect(repo.getVacancyWatches).not.toHaveBeenCalled();
+  });
+
+  test('should create a watch for an active subscription', async () => {
+    repo.getWebhookSubscription.mockResolvedValue({ id: 7, active: true });
+    repo.createVacancyWatch.mockImplementation(async (w) => ({ id: 3, ...w }));
+
+    const response = await request(app)
+      .post('/vacancy/watches')
+      .set('X-API-Key', API_KEY)
+      .send({ course_code: 'sc2103', index: 10294, subscription_id: 7 })
+      .expect(201);
+
+    expect(repo.createVacancyWatch).toHaveBeenCalledWith({
+      course_code: 'SC2103',
+      index: '10294',
+      threshold: 1,
+      notifier: 'webhook',
+      subscription_id: 7
+    });
+    expect(response.body.id).toBe(3);
+    expect(repo.getWebhookSubscription).toHaveBeenCalledWith(7, {
+      owner_key: crypto.createHash('sha256').update(API_KEY).digest('hex')
+    });
+  });
+
+  test('should reject unknown subscriptions and invalid bodies', async () => {
+    repo.getWebhookSubscription.mockResolvedValue(null);
+
+    await request(app)
+      .post('/vacancy/watches')
+      .set('X-API-Key', API_KEY)
+      .send({ course_code: 'SC2103', index: '10294', subscription_id: 99 })
+      .expect(400);
+    await request(app)
+      .post('/vacancy/watches')
+      .set('X-API-Key', API_KEY)
+      .send({ course_code: 'SC2103', index: '10294', subscription_id: 7, threshold: 0 })
+      .expect(400);
+    await request(app)
+      .post('/vacancy/watches')
+      .set('X-API-Key', API_KEY)
+      .send({ course_code: 'SC2103', index: '10294', subscription_id: 7, notifier: 'sms' })
+      .expect(400);
+    expect(repo.createVacancyWatch).not.toHaveBeenCalled();
+  });
+
+  test('should delete watches and report unknown ones', async () => {
+    repo.deleteVacancyWatch.mockResolvedValueOnce(true).mockResolvedValueOnce(false);
+
+    await request(app).delete('/vacancy/watches/1').set('X-API-Key', API_KEY).expect(204);
+    await request(app).delete('/vacancy/watches/2').set('X-API-Key', API_KEY).expect(404);
+  });
+});
+
+describe('processVacancyWatch', () => {
+  const OPEN = new Date('2026-01-05T04:00:00Z');
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: OPEN, doNotFake: ['nextTick', 'setImmediate', 'setTimeout'] });
+    connection.get.mockResolvedValue(null);
+    connection.set.mockResolvedValue('OK');
+    repo.saveVacancySnapshots.mockResolvedValue();
+    repo.updateVacancyWatchReading.mockResolvedValue();
+    repo.createWebhookDelivery.mockImplementation(async (delivery) => ({ id: 90, ...delivery }));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('should read each course once however many watches it has', async () => {
+    repo.getVacancyWatches.mockResolvedValue([
+      watch({ id: 1 }),
+      watch({ id: 2, index: '10295', last_waitlist: 6 }),
+      ...Array.from({ length: 198 }, (_, i) => watch({ id: 10 + i, last_vacancy: 5 }))
+    ]);
+    fetchVacancy.mockResolvedValue(VACANCY_HTML);
+
+    const result = await processVacancyWatch({ data: {} });
+
+    expect(fetchVacancy).toHaveBeenCalledTimes(1);
+    expect(fetchVacancy).toHaveBeenCalledWith('SC2103');
+    expect(result).toEqual({ courses: 1, alerts: 2 });
+    expect(repo.saveVacancySnapshots).toHaveBeenCalledTimes(1);
+    expect(repo.updateVacancyWatchReading).toHaveBeenCalledTimes(200);
+    expect(repo.updateVacancyWatchReading).toHaveBeenCalledWith(1, { vacancy: 3, waitlist: 0, notified: true });
+    expect(repo.updateVacancyWatchReading).toHaveBeenCalledWith(10, { vacancy: 3, waitlist: 0, notified: false });
+  });
+
+  test('should queue alerts through the webhook notifier', async () => {
+    repo.getVacancyWatches.mockResolvedValue([watch({ id: 2, index: '10295', last_waitlist: 6 })]);
+    fetchVacancy.mockResolvedValue(VACANCY_HTML);
+
+    await processVacancyWatch({ data: {} });
+
+    expect(repo.createWebhookDelivery).toHaveBeenCalledWith({
+      subscription_id: 7,
+      event: 'vacancy.alert',
+      acadsem: null,
+      payload: {
+        event: 'vacancy.alert',
+        data: [{
+          watch_id: '2',
+          course_code: 'SC2103',
+          index: '10295',
+          threshold: 1,
+          reasons: ['waitlist_dropped'],
+          vacancy: 0,
+          waitlist: 4,
+          previous_vacancy: 0,
+          previous_waitlist: 6,
+          checked_at: OPEN.toISOString()
+        }]
+      }
+    });
+    expect(addWebhookJob).toHaveBeenCalledWith({ deliveryId: 90 });
+  });
+
+  test('should keep the previous reading when an alert cannot be sent', async () => {
+    repo.getVacancyWatches.mockResolvedValue([watch({ id: 1 })]);
+    repo.createWebhookDelivery.mockRejectedValue(new Error('Database error'));
+    fetchVacancy.mockResolvedValue(VACANCY_HTML);
+
+    await expect(processVacancyWatch({ data: {} })).resolves.toEqual({ courses: 1, alerts: 0 });
+    expect(repo.updateVacancyWatchReading).not.toHaveBeenCalled();
+  });
+
+  test('should continue with other courses when one fails', async () => {
+    repo.getVacancyWatches.mockResolvedValue([watch({ id: 1, course_code: 'SC2008' }), watch({ id: 2 })]);
+    fetchVacancy.mockImplementation(async (code) => {
+      if (code === 'SC2008') throw new Error('ETIMEDOUT');
+      return VACANCY_HTML;
+    });
+
+    await expect(processVacancyWatch({ data: {} })).resolves.toEqual({ courses: 2, alerts: 1 });
+    expect(repo.updateVacancyWatchReading).toHaveBeenCalledTimes(1);
+  });
+
+  test('should not poll outside service hours', async () => {
+    jest.setSystemTime(new Date('2026-01-05T15:00:00Z'));
+
+    await expect(processVacancyWatch({ data: {} })).resolves.toEqual({ skipped: true });
+    expect(repo.getVacancyWatches).not.toHaveBeenCalled();
+    expect(fetchVacancy).not.toHaveBeenCalled();
+  });
+
+  test('should use a cached page without recording it again', async () => {
+    connection.get.mockResolvedValue(JSON.stringify({ html: VACANCY_HTML, fetched_at: '2026-01-05T03:59:50.000Z' }));
+    repo.getVacancyWatches.mockResolvedValue([watch({ id: 1 })]);
+
+    await expect(processVacancyWatch({ data: {} })).resolves.toEqual({ courses: 1, alerts: 1 });
+    expect(fetchVacancy).not.toHaveBeenCalled();
+    expect(repo.saveVacancySnapshots).not.toHaveBeenCalled();
+    expect(repo.createWebhookDelivery.mock.calls[0][0].payload.data[0].checked_at).toBe('2026-01-05T03:59:50.000Z');
+  });
+});
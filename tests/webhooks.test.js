@@ -0,0 +1,326 @@
+/**
+ * Unit tests for outbound webhooks: signing, subscription routes, dispatch and delivery
+ */
+
+const crypto = require('crypto');
+const dns = require('dns');
+const request = require('supertest');
+const express = require('express');
+
+// Mock the repository, queue and HTTP client
+jest.mock('../src/database/repository');
+const repo = require('../src/database/repository');
+
+jest.mock('../src/queue/client', () => ({ addWebhookJob: jest.fn() }));
+const { addWebhookJob } = require('../src/queue/client');
+
+jest.mock('../src/scrappers/httpClient');
+const { httpClient } = require('../src/scrappers/httpClient');
+
+const {
+  signPayload,
+  matchesSubscription,
+  buildPayloads,
+  isPublicAddress,
+  assertPublicUrl,
+  publicLookup,
+  MAX_EVENTS_PER_DELIVERY,
+} = require('../src/utils/webhooks');
+const { publishEvents } = require('../src/workers/webhookDispatcher');
+const processWebhookDelivery = require('../src/workers/webhookDelivery');
+const webhookRoutes = require('../src/routes/webhooks');
+
+const app = express();
+app.use(express.json());
+app.use('/webhooks', webhookRoutes);
+
+const API_KEY = 'test-key-123';
+const OWNER_KEY = crypto.createHash('sha256').update(API_KEY).digest('hex');
+const originalApiKeys = process.env.API_KEYS;
+
+beforeAll(() => {
+  process.env.API_KEYS = `other-key,${API_KEY}`;
+});
+
+afterAll(() => {
+  if (originalApiKeys === undefined) delete process.env.API_KEYS;
+  else process.env.API_KEYS = originalApiKeys;
+});
+
+// Receiver hosts resolve to a public address unless a test says otherwise
+const lookupSpy = jest.spyOn(dns.promises, 'lookup');
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  lookupSpy.mockResolvedValue([{ address: '93.184.216.34', family: 4 }]);
+});
+
+afterAll(() => {
+  lookupSpy.mockRestore();
+});
+
+const subscription = (overrides) => ({
+  id: 1,
+  url: 'https://example.com/hook',
+  secret: 's3cret-s3cret-s3cret',
+  events: ['schedule.changed'],
+  course_codes: null,
+  acadsem: null,
+  active: true,
+  ...overrides
+});
+
+describe('Webhook helpers', () => {
+  it('should only accept public addresses', () => {
+    for (const address of ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1',
+      '0.0.0.0', '::1', '::', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', '::127.0.0.1', '64:ff9b::a9fe:a9fe',
+      '2001:db8::1', 'not-an-ip']) {
+      expect(isPublicAddress(address)).toBe(false);
+    }
+    expect(isPublicAddress('93.184.216.34')).toBe(true);
+    expect(isPublicAddress('2606:2800:220:1:248:1893:25c8:1946')).toBe(true);
+  });
+
+  it('should check every address a receiver host resolves to', async () => {
+    await expect(assertPublicUrl('https://example.com/hook')).resolves.toBeUndefined();
+    await expect(assertPublicUrl('http://169.254.169.254/latest/meta-data')).rejects.toMatchObject({ code: 'WEBHOOK_HOST_BLOCKED' });
+    await expect(assertPublicUrl('http://[::1]:8080/')).rejects.toMatchObject({ code: 'WEBHOOK_HOST_BLOCKED' });
+
+    lookupSpy.mockResolvedValue([{ address: '93.184.216.34', family: 4 }, { address: '10.0.0.5', family: 4 }]);
+    await expect(assertPublicUrl('https://internal.example.com/')).rejects.toMatchObject({ code: 'WEBHOOK_HOST_BLOCKED' });
+  });
+
+  it('should refuse blocked addresses at connect time', async () => {
+    const lookup = jest.spyOn(dns, 'lookup').mockImplementation((host, options, callback) => callback(null, [{ address: '127.0.0.1', family: 4 }]));
+    try {
+      const err = await new Promise(resolve => publicLookup('rebind.example.com', { all: true }, resolve));
+      expect(err.code).toBe('WEBHOOK_HOST_BLOCKED');
+    } finally {
+      lookup.mockRestore();
+    }
+  });
+
+  it('should sign the timestamp and body with HMAC-SHA256', () => {
+    const expected = crypto.createHmac('sha256', 'secret').update('1700000000.{"a":1}').digest('hex');
+    expect(signPayload('secret', 1700000000, '{"a":1}')).toBe(`sha256=${expected}`);
+  });
+
+  it('should match subscriptions on event, semester and course', () => {
+    const item = { course_code: 'SC2103', acadsem: '2025_2' };
+
+    expect(matchesSubscription(subscription(), 'schedule.changed', item)).toBe(true);
+    expect(matchesSubscription(subscription(), 'content.changed', item)).toBe(false);
+    expect(matchesSubscription(subscription({ acadsem: '2025_1' }), 'schedule.changed', item)).toBe(false);
+    expect(matchesSubscription(subscription({ course_codes: ['SC2008'] }), 'schedule.changed', item)).toBe(false);
+    expect(matchesSubscription(subscription({ course_codes: ['SC2103'] }), 'schedule.changed', item)).toBe(true);
+  });
+
+  it('should split payloads by semester and size', () => {
+    const items = [
+      ...Array.from({ length: MAX_EVENTS_PER_DELIVERY + 1 }, (_, i) => ({ course_code: `SC${i}`, acadsem: '2025_2' })),
+      { course_code: 'SC2103', acadsem: '2025_1' }
+    ];
+
+    const payloads = buildPayloads('schedule.changed', items);
+    expect(payloads.map(p => [p.acadsem, p.data.length])).toEqual([
+      ['2025_2', MAX_EVENTS_PER_DELIVERY],
+      ['2025_2', 1],
+      ['2025_1', 1]
+    ]);
+    expect(payloads[0].event).toBe('schedule.changed');
+  });
+});
+
+describe('Webhook subscription routes', () => {
+  test('should require an API key', async () => {
+    await request(app).get('/webhooks').expect(401);
+    await request(app).get('/webhooks').set('X-API-Key', 'wrong').expect(401);
+    expect(repo.getWebhookSubscriptions).not.toHaveBeenCalled();
+  });
+
+  test('should create a subscription with a generated secret', async () => {
+    repo.createWebhookSubscription.mockImplementation(async (sub) => ({ id: 5, ...sub, active: true }));
+
+    const response = await request(app)
+      .post('/webhooks')
+      .set('X-API-Key', API_KEY)
+      .send({ url: 'https://example.com/hook', events: ['schedule.changed', 'schedule.changed'], course_codes: ['sc2103'] })
+      .expect(201);
+
+    const created = repo.createWebhookSubscription.mock.calls[0][0];
+    expect(created.events).toEqual(['schedule.changed']);
+    expect(created.course_codes).toEqual(['SC2103']);
+    expect(created.secret).toMatch(/^[0-9a-f]{64}$/);
+    expect(created.owner_key).toBe(OWNER_KEY);
+    expect(response.body.secret).toBe(created.secret);
+    expect(response.body).not.toHaveProperty('owner_key');
+  });
+
+  test('should reject receivers on private, loopback or link-local hosts', async () => {
+    await request(app)
+      .post('/webhooks')
+      .set('X-API-Key', API_KEY)
+      .send({ url: 'http://169.254.169.254/latest/meta-data', events: ['schedule.changed'] })
+      .expect(400);
+
+    lookupSpy.mockResolvedValue([{ address: '192.168.0.10', family: 4 }]);
+    const response = await request(app)
+      .post('/webhooks')
+      .set('X-API-Key', API_KEY)
+      .send({ url: 'https://intranet.example.com/hook', events: ['schedule.changed'] })
+      .expect(400);
+
+    expect(response.body.error.message).toMatch(/public host/);
+    expect(repo.createWebhookSubscription).not.toHaveBeenCalled();
+  });
+
+  test('should reject invalid subscriptions', async () => {
+    await request(app)
+      .post('/webhooks')
+      .set('X-API-Key', API_KEY)
+      .send({ url: 'ftp://example.com/hook', events: ['schedule.changed'] })
+      .expect(400);
+    await request(app)
+      .post('/webhooks')
+      .set('X-API-Key', API_KEY)
+      .send({ url: 'https://example.com/hook', events: ['vacancy.changed'] })
+      .expect(400);
+    expect(repo.createWebhookSubscription).not.toHaveBeenCalled();
+  });
+
+  test('should list only the caller\'s subscriptions, without secrets', async () => {
+    repo.getWebhookSubscriptions.mockResolvedValue([subscription({ owner_key: OWNER_KEY })]);
+
+    const response = await request(app).get('/webhooks').set('X-API-Key', API_KEY).expect(200);
+    expect(repo.getWebhookSubscriptions).toHaveBeenCalledWith({ owner_key: OWNER_KEY });
+    expect(response.body.count).toBe(1);
+    expect(response.body.rows[0]).not.toHaveProperty('secret');
+    expect(response.body.rows[0]).not.toHaveProperty('owner_key');
+  });
+
+  test('should scope reads and deletes to the key that created the subscription', async () => {
+    repo.getWebhookSubscription.mockResolvedValue(null);
+    repo.deleteWebhookSubscription.mockResolvedValue(false);
+    const otherOwner = crypto.createHash('sha256').update('other-key').digest('hex');
+
+    await request(app).get('/webhooks/1').set('X-API-Key', 'other-key').expect(404);
+    await request(app).get('/webhooks/1/deliveries').set('X-API-Key', 'other-key').expect(404);
+    await request(app).delete('/webhooks/1').set('X-API-Key', 'other-key').expect(404);
+
+    expect(repo.getWebhookSubscription).toHaveBeenCalledWith(1, { owner_key: otherOwner });
+    expect(repo.deleteWebhookSubscription).toHaveBeenCalledWith(1, { owner_key: otherOwner });
+    expect(repo.getWebhookDeliveries).not.toHaveBeenCalled();
+  });
+
+  test('should delete subscriptions and report unknown ones', async () => {
+    repo.deleteWebhookSubscription.mockResolvedValueOnce(true).mockResolvedValueOnce(false);
+
+    await request(app).delete('/webhooks/1').set('X-API-Key', API_KEY).expect(204);
+    await request(app).delete('/webhooks/2').set('X-API-Key', API_KEY).expect(404);
+    await request(app).delete('/webhooks/abc').set('X-API-Key', API_KEY).expect(404);
+    expect(repo.deleteWebhookSubscription).toHaveBeenCalledTimes(2);
+  });
+
+  test('should return the delivery log', async () => {
+    repo.getWebhookSubscription.mockResolvedValue(subscription());
+    repo.getWebhookDeliveries.mockResolvedValue({ total: 0, count: 0, rows: [] });
+
+    await request(app).get('/webhooks/1/deliveries?status=failed').set('X-API-Key', API_KEY).expect(200);
+    expect(repo.getWebhookDeliveries).toHaveBeenCalledWith({ subscription_id: 1, status: 'failed', limit: 100, offset: 0 });
+
+    await request(app).get('/webhooks/1/deliveries?status=lost').set('X-API-Key', API_KEY).expect(400);
+  });
+});
+
+describe('publishEvents', () => {
+  test('should queue one delivery per matching subscription', async () => {
+    repo.getWebhookSubscriptions.mockResolvedValue([
+      subscription({ id: 1 }),
+      subscription({ id: 2, course_codes: ['SC2008'] }),
+      subscription({ id: 3, events: ['content.changed'] })
+    ]);
+    repo.createWebhookDelivery.mockImplementation(async (delivery) => ({ id: 40 + delivery.subscription_id }));
+
+    const items = [{ course_code: 'SC2103', acadsem: '2025_2', change_type: 'modified' }];
+    const queued = await publishEvents('schedule.changed', items);
+
+    expect(queued).toBe(1);
+    expect(repo.getWebhookSubscriptions).toHaveBeenCalledWith({ active: true });
+    expect(repo.createWebhookDelivery).toHaveBeenCalledWith({
+      subscription_id: 1,
+      event: 'schedule.changed',
+      acadsem: '2025_2',
+      payload: { event: 'schedule.changed', acadsem: '2025_2', data: items }
+    });
+    expect(addWebhookJob).toHaveBeenCalledWith({ deliveryId: 41 });
+  });
+
+  test('should do nothing without events and never throw', async () => {
+    expect(await publishEvents('schedule.changed', [])).toBe(0);
+    expect(repo.getWebhookSubscriptions).not.toHaveBeenCalled();
+
+    repo.getWebhookSubscriptions.mockRejectedValue(new Error('Database error'));
+    expect(await publishEvents('content.changed', [{ course_code: 'SC2103', acadsem: '2025_2' }])).toBe(0);
+  });
+});
+
+describe('processWebhookDelivery', () => {
+  const delivery = (overrides) => ({
+    id: 41,
+    event: 'schedule.changed',
+    payload: { event: 'schedule.changed', acadsem: '2025_2', data: [] },
+    attempts: 0,
+    url: 'https://example.com/hook',
+    secret: 'secret',
+    active: true,
+    ...overrides
+  });
+  const job = { data: { deliveryId: 41 }, opts: { attempts: 3 } };
+
+  test('should post a signed payload and mark it delivered', async () => {
+    repo.getWebhookDelivery.mockResolvedValue(delivery());
+    httpClient.post.mockResolvedValue({ status: 204 });
+
+    await expect(processWebhookDelivery(job)).resolves.toEqual({ status: 'delivered', response_status: 204 });
+
+    const [url, body, options] = httpClient.post.mock.calls[0];
+    expect(url).toBe('https://example.com/hook');
+    expect(JSON.parse(body)).toEqual({ id: '41', event: 'schedule.changed', acadsem: '2025_2', data: [] });
+    const timestamp = options.headers['X-Webhook-Timestamp'];
+    expect(options.headers['X-Webhook-Signature']).toBe(signPayload('secret', timestamp, body));
+    expect(options.proxy).toBe(false);
+    expect(repo.updateWebhookDelivery).toHaveBeenCalledWith(41, { status: 'delivered', attempts: 1, response_status: 204 });
+  });
+
+  test('should not send to a host that now resolves to a private address', async () => {
+    repo.getWebhookDelivery.mockResolvedValue(delivery());
+    lookupSpy.mockResolvedValue([{ address: '127.0.0.1', family: 4 }]);
+
+    await expect(processWebhookDelivery(job)).resolves.toEqual({ status: 'failed' });
+    expect(httpClient.post).not.toHaveBeenCalled();
+    expect(repo.updateWebhookDelivery).toHaveBeenCalledWith(41, expect.objectContaining({ status: 'failed', attempts: 1 }));
+  });
+
+  test('should record failed attempts and throw so the job is retried', async () => {
+    repo.getWebhookDelivery.mockResolvedValue(delivery({ attempts: 1 }));
+    httpClient.post.mockResolvedValue({ status: 500 });
+
+    await expect(processWebhookDelivery(job)).rejects.toThrow('HTTP 500');
+    expect(repo.updateWebhookDelivery).toHaveBeenCalledWith(41, expect.objectContaining({ status: 'retrying', attempts: 2, response_status: 500 }));
+  });
+
+  test('should mark the last attempt as failed', async () => {
+    repo.getWebhookDelivery.mockResolvedValue(delivery({ attempts: 2 }));
+    httpClient.post.mockRejectedValue(new Error('connect ECONNREFUSED'));
+
+    await expect(processWebhookDelivery(job)).rejects.toThrow('ECONNREFUSED');
+    expect(repo.updateWebhookDelivery).toHaveBeenCalledWith(41, expect.objectContaining({ status: 'failed', attempts: 3, last_error: 'connect ECONNREFUSED' }));
+  });
+
+  test('should cancel deliveries of inactive subscriptions', async () => {
+    repo.getWebhookDelivery.mockResolvedValue(delivery({ active: false }));
+
+    await expect(processWebhookDelivery(job)).resolves.toEqual({ status: 'cancelled' });
+    expect(httpClient.post).not.toHaveBeenCalled();
+  });
+});